@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "public"."airtable_schemas_tableName_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "airtable_schemas_baseId_airtableId_key" ON "public"."airtable_schemas"("baseId", "airtableId");
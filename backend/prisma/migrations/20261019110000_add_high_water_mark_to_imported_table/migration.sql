@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."imported_tables" ADD COLUMN     "highWaterMark" TIMESTAMP(3),
+ADD COLUMN     "lastModifiedField" TEXT;
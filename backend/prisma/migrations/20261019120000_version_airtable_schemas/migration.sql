@@ -0,0 +1,15 @@
+-- DropIndex
+DROP INDEX "public"."airtable_schemas_baseId_airtableId_key";
+
+-- AlterTable
+ALTER TABLE "public"."airtable_schemas" ADD COLUMN     "fieldsHash" TEXT,
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "public"."imported_tables" ADD COLUMN     "schemaVersion" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "airtable_schemas_baseId_airtableId_idx" ON "public"."airtable_schemas"("baseId", "airtableId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "airtable_schemas_baseId_airtableId_version_key" ON "public"."airtable_schemas"("baseId", "airtableId", "version");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."import_sessions" ADD COLUMN     "options" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."imported_tables" ADD COLUMN     "checkpointOffset" TEXT,
+ADD COLUMN     "checkpointRows" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "checkpointTable" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."imported_tables" ADD COLUMN     "destination" TEXT;
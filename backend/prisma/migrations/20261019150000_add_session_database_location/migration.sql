@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."import_sessions" ADD COLUMN     "databaseLocation" TEXT;
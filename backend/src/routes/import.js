@@ -1,6 +1,12 @@
 const express = require('express');
+const fs = require('fs');
 const { authenticateToken } = require('../middleware/auth');
 const ImportService = require('../services/import');
+const ImportDatabaseService = require('../services/importDatabase');
+const AttachmentService = require('../services/attachments');
+const { createAttachmentStorage } = require('../services/attachmentStorage');
+const { isValidTimeZone } = require('../utils/timezone');
+const { diffSchemaFields, hasSchemaChanges } = require('../services/schemaHistory');
 const { getUserSettings } = require('./settings');
 const DatabaseService = require('../services/database');
 
@@ -9,13 +15,27 @@ const router = express.Router();
 // Initialize database service for import session management
 const db = new DatabaseService();
 
+// Largest bulk-write batch an import may ask for
+const MAX_BATCH_SIZE = 10000;
+
+// Import service of each running session, so the session can be cancelled
+const activeImports = new Map();
+
+// 'table-count' events of each user's latest discovery, replayed when a client joins the room late
+const discoveryCounts = new Map();
+
 /**
- * Initialize import routes database connection
+ * Initialize import routes database connection, and fail the sessions a
+ * previous server process left running so they show up as resumable
  */
 async function initializeImportService() {
   try {
     await db.connect();
     console.log('✅ Import routes database connection established');
+    const interrupted = await db.failInterruptedSessions('Interrupted by a server restart');
+    if (interrupted > 0) {
+      console.warn(`⚠️  Marked ${interrupted} interrupted import sessions as failed; they can be resumed`);
+    }
   } catch (error) {
     console.error('❌ Failed to connect import routes to database:', error.message);
   }
@@ -24,6 +44,255 @@ async function initializeImportService() {
 // Initialize on startup
 initializeImportService();
 
+/**
+ * Validate the optional per-table selection of an import request
+ * (fields, view, filterByFormula, sort, maxRecords)
+ *
+ * @param {Object} table - Table entry from the `tables` payload
+ * @returns {{selection: Object|null, error: string|null}} Normalized selection or validation error
+ */
+function parseTableSelection(table) {
+  const { fields, view, filterByFormula, sort, maxRecords } = table;
+  const selection = {};
+
+  if (fields !== undefined) {
+    if (!Array.isArray(fields) || fields.length === 0 || !fields.every(field => typeof field === 'string' && field)) {
+      return { selection: null, error: `fields for table '${table.name}' must be a non-empty array of field names or IDs` };
+    }
+    selection.fields = fields;
+  }
+  if (view !== undefined) {
+    if (typeof view !== 'string' || !view) {
+      return { selection: null, error: `view for table '${table.name}' must be a view name or ID` };
+    }
+    selection.view = view;
+  }
+  if (filterByFormula !== undefined) {
+    if (typeof filterByFormula !== 'string' || !filterByFormula.trim()) {
+      return { selection: null, error: `filterByFormula for table '${table.name}' must be a formula string` };
+    }
+    selection.filterByFormula = filterByFormula;
+  }
+  if (sort !== undefined) {
+    const validSort = Array.isArray(sort) && sort.every(entry =>
+      entry && typeof entry.field === 'string' && entry.field &&
+      (entry.direction === undefined || entry.direction === 'asc' || entry.direction === 'desc')
+    );
+    if (!validSort) {
+      return { selection: null, error: `sort for table '${table.name}' must be an array of { field, direction: 'asc' | 'desc' }` };
+    }
+    selection.sort = sort.map(entry => ({ field: entry.field, direction: entry.direction || 'asc' }));
+  }
+  if (maxRecords !== undefined) {
+    if (!Number.isInteger(maxRecords) || maxRecords < 1) {
+      return { selection: null, error: `maxRecords for table '${table.name}' must be a positive integer` };
+    }
+    selection.maxRecords = maxRecords;
+  }
+
+  return { selection: Object.keys(selection).length > 0 ? selection : null, error: null };
+}
+
+/**
+ * Check a rejected-record limit: null (no limit) or a non-negative integer
+ *
+ * @param {*} value - Limit from the request
+ * @returns {boolean} True if the limit is valid
+ */
+function isValidRejectLimit(value) {
+  return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+/**
+ * Check a bulk-write batch size: an integer from 1 to MAX_BATCH_SIZE
+ *
+ * @param {*} value - Batch size from the request
+ * @returns {boolean} True if the batch size is valid
+ */
+function isValidBatchSize(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_BATCH_SIZE;
+}
+
+/**
+ * Read the tables of an import or preview request.
+ * Accepts either legacy format (array of table names) or enhanced format (array of table objects)
+ *
+ * @param {Array} tableNames - Legacy array of table names
+ * @param {Array} tables - Table objects with metadata and an optional selection
+ * @returns {{tablesToImport: string[], tableMetadata: Object, error: string|null}} Table names,
+ *   metadata by table name, or a validation error
+ */
+function parseImportTables(tableNames, tables) {
+  const tablesToImport = [];
+  const tableMetadata = {};
+
+  if (tables && Array.isArray(tables) && tables.length > 0) {
+    // New format: array of table objects with metadata and an optional field/row selection
+    tablesToImport.push(...tables.map(table => table.name || table));
+    for (const table of tables) {
+      if (typeof table === 'object' && table.name) {
+        const { selection, error } = parseTableSelection(table);
+        if (error) {
+          return { tablesToImport, tableMetadata, error };
+        }
+        if (table.maxRejectedRecords !== undefined && !isValidRejectLimit(table.maxRejectedRecords)) {
+          return { tablesToImport, tableMetadata, error: `maxRejectedRecords for table '${table.name}' must be null or a non-negative integer` };
+        }
+        tableMetadata[table.name] = {
+          id: table.id,
+          recordCount: table.recordCount,
+          description: table.description,
+          selection,
+          ...(table.maxRejectedRecords !== undefined ? { maxRejectedRecords: table.maxRejectedRecords } : {})
+        };
+      }
+    }
+  } else if (tableNames && Array.isArray(tableNames) && tableNames.length > 0) {
+    // Legacy format: array of table names
+    tablesToImport.push(...tableNames);
+  } else {
+    return { tablesToImport, tableMetadata, error: 'Table names array or tables array is required' };
+  }
+
+  // Validate we have tables to import
+  if (tablesToImport.length === 0) {
+    return { tablesToImport, tableMetadata, error: 'At least one table must be specified for import' };
+  }
+
+  return { tablesToImport, tableMetadata, error: null };
+}
+
+/**
+ * Run the tables of an import session in the background and record the
+ * outcome on the session. Used when a session starts and when it resumes.
+ *
+ * @param {ImportService} importService - Service of the session, registered in activeImports
+ * @param {string} sessionId - Import session ID
+ * @param {string[]} tablesToImport - Airtable tables to import
+ * @param {Object} settings - User settings with the Airtable and database connection
+ * @param {Object} importOptions - Options for importMultipleTables
+ * @param {Object} previous - What an earlier attempt of the session finished
+ * @param {Object} previous.results - Per-table results of its successful tables
+ * @param {number} previous.completedTables - Number of tables it completed
+ * @param {string} previous.databaseLocation - SQLite file it wrote to, reopened instead of a new file
+ * @param {string} previous.destination - Database it wrote to, already recorded on the session
+ */
+async function runImportSession(importService, sessionId, tablesToImport, settings, importOptions, previous = {}) {
+  const { airtableApiKey, airtableBaseId, databaseUrl } = settings;
+  const { results: previousResults = {}, completedTables = 0, databaseLocation = null } = previous;
+  const previousRecords = Object.values(previousResults).reduce((sum, r) => sum + (r.processedRecords || 0), 0);
+
+  try {
+    // Update session status to running
+    await db.updateImportSession(sessionId, { 
+      status: 'RUNNING'
+    });
+
+    // Forward progress events (including Airtable retry counts) to the session room
+    importService.addProgressCallback(sessionId, (progress) => {
+      if (global.socketIO) {
+        global.socketIO.to(`progress-${sessionId}`).emit('import-progress', { sessionId, ...progress });
+      }
+    });
+    
+    console.log(`🔍 Import service connection parameters:`, {
+      hasApiKey: !!airtableApiKey,
+      apiKeyLength: airtableApiKey ? airtableApiKey.length : 0,
+      hasBaseId: !!airtableBaseId,
+      baseId: airtableBaseId,
+      hasDatabaseUrl: !!databaseUrl,
+      databaseUrl: databaseUrl ? databaseUrl.substring(0, 20) + '...' : null
+    });
+    
+    const { targetDatabase } = await importService.connect(airtableApiKey, airtableBaseId, databaseUrl, {
+      sqliteLocation: databaseLocation
+    });
+    if (!previous.destination) {
+      // Checkpoints and staging tables only mean something in this database; a resume must reach the same one.
+      // A new SQLite file is created per connection, so its path is kept too to reopen it.
+      await db.updateImportSession(sessionId, {
+        destination: importService.importDatabaseService.getDestination(),
+        ...(targetDatabase.dbType === 'sqlite' ? { databaseLocation: targetDatabase.location } : {})
+      });
+    }
+    
+    // Import all tables and get results
+    const results = await importService.importMultipleTables(tablesToImport, sessionId, importOptions);
+    
+    // Calculate success metrics from results array
+    const successfulImports = results.filter(r => r.success);
+    const failedImports = results.filter(r => !r.success && !r.cancelled);
+    
+    // Calculate totals across all tables
+    const totalRecordsProcessed = successfulImports.reduce((sum, r) => sum + (r.processedRecords || 0), 0);
+    const totalRecordsSkipped = successfulImports.reduce((sum, r) => sum + (r.skippedRecords || 0), 0);
+    const totalRecordsAttempted = results.reduce((sum, r) => sum + (r.totalRecords || 0), 0);
+    
+    // Create per-table results structure (tables finished by an earlier attempt included)
+    const tableResults = { ...previousResults };
+    results.forEach(result => {
+      tableResults[result.tableName] = {
+        tableName: result.tableName,
+        success: result.success,
+        mode: result.mode,
+        processedRecords: result.processedRecords || 0,
+        updatedRecords: result.updatedRecords || 0,
+        skippedRecords: result.skippedRecords || 0,
+        deletedRecords: result.deletedRecords || 0,
+        rejectedRecords: result.rejectedRecords || 0,
+        errorCells: result.errorCells || 0,
+        unknownSelectValues: result.unknownSelectValues || {},
+        unknownFieldTypes: result.unknownFieldTypes || [],
+        schemaChanges: result.schemaChanges || [],
+        attachments: result.attachments || null,
+        comments: result.comments || null,
+        totalRecords: result.totalRecords || 0,
+        highWaterMark: result.highWaterMark || null,
+        linkTables: (result.links || []).map(link => link.linkTable),
+        foreignKeys: result.foreignKeys || null,
+        cancelled: !!result.cancelled,
+        rolledBack: !!result.rolledBack,
+        resumedRecords: result.resumedRecords || 0,
+        error: result.error || null
+      };
+    });
+    
+    // Determine final status: successful if no failures, even if nothing was processed
+    const finalStatus = importService.isCancelled() ? 'CANCELLED' :
+                       failedImports.length === 0 ? 'COMPLETED' : 
+                       (successfulImports.length + completedTables > 0 ? 'PARTIAL_FAILED' : 'FAILED');
+    
+    // Update session with completion status and detailed results
+    await db.updateImportSession(sessionId, {
+      status: finalStatus,
+      endTime: new Date(),
+      processedRecords: totalRecordsProcessed + previousRecords,
+      results: JSON.stringify(tableResults), // Store per-table results
+      errorMessage: failedImports.length > 0 ? JSON.stringify(failedImports.map(f => f.error)) : null
+    });
+
+    console.log(`✅ Import session ${finalStatus === 'CANCELLED' ? 'cancelled' : 'completed'}: ${sessionId}`);
+  } catch (error) {
+    console.error(`❌ Import session failed: ${sessionId}`, error.message);
+    
+    // Update session with error status
+    await db.updateImportSession(sessionId, {
+      status: importService.isCancelled() ? 'CANCELLED' : 'FAILED',
+      endTime: new Date(),
+      errorMessage: error.message
+    });
+  } finally {
+    // Failed sessions are resumed with a new service, so this one lets go of its connection either way
+    importService.removeProgressCallback(sessionId);
+    try {
+      await importService.disconnect();
+    } catch (error) {
+      console.error(`❌ Failed to disconnect import session ${sessionId}:`, error.message);
+    }
+    activeImports.delete(sessionId);
+  }
+}
+
 /**
  * Start import process endpoint
  * Creates import session in database and starts Airtable data import
@@ -31,39 +300,76 @@ initializeImportService();
  */
 router.post('/start', authenticateToken, async (req, res) => {
   try {
-    const { tableNames, tables, overwrite = false } = req.body;
+    const {
+      tableNames,
+      tables,
+      overwrite = false,
+      incremental = false,
+      deletionMode = 'none',
+      foreignKeys = false,
+      selectStorage = 'text',
+      timeZone = 'UTC',
+      localDateColumns = false,
+      attachmentMode = 'metadata',
+      comments = false,
+      maxRejectedRecords = null,
+      batchSize = null,
+      concurrency = null
+    } = req.body;
     const userId = req.user.userId;
 
-    // Support both legacy format (tableNames array) and new format (tables array with metadata)
-    let tablesToImport = [];
-    let tableMetadata = {};
-
+    const { tablesToImport, tableMetadata, error: tablesError } = parseImportTables(tableNames, tables);
+    if (tablesError) {
+      return res.status(400).json({ error: tablesError });
+    }
     if (tables && Array.isArray(tables) && tables.length > 0) {
-      // New format: array of table objects with metadata
-      tablesToImport = tables.map(table => table.name || table);
-      tableMetadata = tables.reduce((acc, table) => {
-        if (typeof table === 'object' && table.name) {
-          acc[table.name] = {
-            id: table.id,
-            recordCount: table.recordCount,
-            description: table.description
-          };
-        }
-        return acc;
-      }, {});
       console.log(`📊 Import starting with table metadata:`, Object.keys(tableMetadata).map(name => 
         `${name} (${tableMetadata[name].recordCount} records)`).join(', '));
-    } else if (tableNames && Array.isArray(tableNames) && tableNames.length > 0) {
-      // Legacy format: array of table names
-      tablesToImport = tableNames;
-      console.log(`📋 Import starting with table names:`, tablesToImport.join(', '));
     } else {
-      return res.status(400).json({ error: 'Table names array or tables array is required' });
+      console.log(`📋 Import starting with table names:`, tablesToImport.join(', '));
     }
 
-    // Validate we have tables to import
-    if (tablesToImport.length === 0) {
-      return res.status(400).json({ error: 'At least one table must be specified for import' });
+    if (!ImportDatabaseService.DELETION_MODES.includes(deletionMode)) {
+      return res.status(400).json({
+        error: `deletionMode must be one of: ${ImportDatabaseService.DELETION_MODES.join(', ')}`
+      });
+    }
+
+    if (!ImportDatabaseService.SELECT_STORAGE_MODES.includes(selectStorage)) {
+      return res.status(400).json({
+        error: `selectStorage must be one of: ${ImportDatabaseService.SELECT_STORAGE_MODES.join(', ')}`
+      });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
+    }
+
+    if (!isValidRejectLimit(maxRejectedRecords)) {
+      return res.status(400).json({ error: 'maxRejectedRecords must be null or a non-negative integer' });
+    }
+
+    if (batchSize !== null && !isValidBatchSize(batchSize)) {
+      return res.status(400).json({ error: `batchSize must be null or an integer between 1 and ${MAX_BATCH_SIZE}` });
+    }
+
+    if (concurrency !== null && !(Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= ImportService.MAX_CONCURRENT_TABLES)) {
+      return res.status(400).json({ error: `concurrency must be null or an integer between 1 and ${ImportService.MAX_CONCURRENT_TABLES}` });
+    }
+
+    if (!AttachmentService.ATTACHMENT_MODES.includes(attachmentMode)) {
+      return res.status(400).json({
+        error: `attachmentMode must be one of: ${AttachmentService.ATTACHMENT_MODES.join(', ')}`
+      });
+    }
+
+    if (attachmentMode === 'download') {
+      // Fail before the session starts when the storage backend is misconfigured
+      try {
+        createAttachmentStorage();
+      } catch (error) {
+        return res.status(400).json({ error: `Attachment storage is not configured: ${error.message}` });
+      }
     }
 
     // Get user settings from database
@@ -72,7 +378,7 @@ router.post('/start', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Please configure your settings first' });
     }
 
-    const { airtableApiKey, airtableBaseId, databaseUrl } = settings;
+    const { airtableApiKey, airtableBaseId } = settings;
 
     // Validate required settings (databaseUrl is optional, defaults to SQLite)
     if (!airtableApiKey || !airtableBaseId) {
@@ -81,93 +387,52 @@ router.post('/start', authenticateToken, async (req, res) => {
       });
     }
 
+    // Stored with the session so it can be resumed with the same options
+    const importOptions = {
+      overwrite,
+      incremental,
+      deletionMode,
+      selectStorage,
+      timeZone,
+      localDateColumns,
+      attachmentMode,
+      comments,
+      maxRejectedRecords,
+      batchSize,
+      ...(concurrency !== null ? { concurrency } : {}),
+      foreignKeys,
+      tableMetadata
+    };
+
     // Create import session in database using Prisma
-    const importSession = await db.createImportSession(userId, tablesToImport);
+    const importSession = await db.createImportSession(userId, tablesToImport, importOptions);
     const sessionId = importSession.id;
 
     console.log(`✅ Import session created: ${sessionId} for user ${req.user.email} with ${tablesToImport.length} tables`);
 
-    // Start import process asynchronously
-    (async () => {
-      try {
-        // Update session status to running
-        await db.updateImportSession(sessionId, { 
-          status: 'RUNNING'
-        });
-
-        // Create and configure import service
-        const importService = new ImportService();
-        
-        console.log(`🔍 Import service connection parameters:`, {
-          hasApiKey: !!airtableApiKey,
-          apiKeyLength: airtableApiKey ? airtableApiKey.length : 0,
-          hasBaseId: !!airtableBaseId,
-          baseId: airtableBaseId,
-          hasDatabaseUrl: !!databaseUrl,
-          databaseUrl: databaseUrl ? databaseUrl.substring(0, 20) + '...' : null
-        });
-        
-        await importService.connect(airtableApiKey, airtableBaseId, databaseUrl);
-        
-        // Import all tables and get results
-        const results = await importService.importMultipleTables(tablesToImport, sessionId, { overwrite });
-        
-        // Calculate success metrics from results array
-        const successfulImports = results.filter(r => r.success);
-        const failedImports = results.filter(r => !r.success);
-        
-        // Calculate totals across all tables
-        const totalRecordsProcessed = successfulImports.reduce((sum, r) => sum + (r.processedRecords || 0), 0);
-        const totalRecordsSkipped = successfulImports.reduce((sum, r) => sum + (r.skippedRecords || 0), 0);
-        const totalRecordsAttempted = results.reduce((sum, r) => sum + (r.totalRecords || 0), 0);
-        
-        // Create per-table results structure
-        const tableResults = {};
-        results.forEach(result => {
-          tableResults[result.tableName] = {
-            tableName: result.tableName,
-            success: result.success,
-            mode: result.mode,
-            processedRecords: result.processedRecords || 0,
-            updatedRecords: result.updatedRecords || 0,
-            skippedRecords: result.skippedRecords || 0,
-            totalRecords: result.totalRecords || 0,
-            error: result.error || null
-          };
-        });
-        
-        // Determine final status: successful if no failures, even if nothing was processed
-        const finalStatus = failedImports.length === 0 ? 'COMPLETED' : 
-                           (successfulImports.length > 0 ? 'PARTIAL_FAILED' : 'FAILED');
-        
-        // Update session with completion status and detailed results
-        await db.updateImportSession(sessionId, {
-          status: finalStatus,
-          endTime: new Date(),
-          processedRecords: totalRecordsProcessed,
-          results: JSON.stringify(tableResults), // Store per-table results
-          errorMessage: failedImports.length > 0 ? JSON.stringify(failedImports.map(f => f.error)) : null
-        });
+    // Create and configure import service (db records per-table imports and sync marks)
+    const importService = new ImportService({ db });
+    activeImports.set(sessionId, importService);
 
-        console.log(`✅ Import session completed: ${sessionId}`);
-        await importService.disconnect();
-      } catch (error) {
-        console.error(`❌ Import session failed: ${sessionId}`, error.message);
-        
-        // Update session with error status
-        await db.updateImportSession(sessionId, {
-          status: 'FAILED',
-          endTime: new Date(),
-          errorMessage: error.message
-        });
-      }
-    })();
+    // Start import process asynchronously
+    runImportSession(importService, sessionId, tablesToImport, settings, { ...importOptions, userId });
 
     res.json({
       sessionId,
       message: 'Import started successfully',
       tableNames: tablesToImport,
       overwrite,
+      incremental,
+      deletionMode,
+      selectStorage,
+      timeZone,
+      localDateColumns,
+      attachmentMode,
+      comments,
+      maxRejectedRecords,
+      batchSize,
+      concurrency,
+      foreignKeys,
       status: 'PENDING'
     });
   } catch (error) {
@@ -176,6 +441,86 @@ router.post('/start', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Import preview endpoint
+ * Dry run of an import: per table, the CREATE TABLE statement, the column
+ * mapping, a sample of converted rows and predicted conversion problems.
+ * Reads from Airtable only; the destination database is never contacted.
+ */
+router.post('/preview', authenticateToken, async (req, res) => {
+  try {
+    const {
+      tableNames,
+      tables,
+      sampleSize = 10,
+      selectStorage = 'text',
+      timeZone = 'UTC',
+      localDateColumns = false
+    } = req.body;
+
+    const { tablesToImport, tableMetadata, error: tablesError } = parseImportTables(tableNames, tables);
+    if (tablesError) {
+      return res.status(400).json({ error: tablesError });
+    }
+
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > 100) {
+      return res.status(400).json({ error: 'sampleSize must be an integer between 1 and 100' });
+    }
+
+    if (!ImportDatabaseService.SELECT_STORAGE_MODES.includes(selectStorage)) {
+      return res.status(400).json({
+        error: `selectStorage must be one of: ${ImportDatabaseService.SELECT_STORAGE_MODES.join(', ')}`
+      });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
+    }
+
+    const settings = await getUserSettings(req.user.userId);
+    if (!settings) {
+      return res.status(400).json({ error: 'Please configure your settings first' });
+    }
+
+    const { airtableApiKey, airtableBaseId, databaseUrl } = settings;
+    if (!airtableApiKey || !airtableBaseId) {
+      return res.status(400).json({ 
+        error: 'Missing required settings: Airtable API key or base ID' 
+      });
+    }
+
+    const importService = new ImportService();
+    importService.airtableService.connect(airtableApiKey, airtableBaseId);
+    let dbType;
+    try {
+      dbType = importService.importDatabaseService.setDialect(databaseUrl);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const previews = [];
+    for (const tableName of tablesToImport) {
+      try {
+        previews.push(await importService.previewTable(tableName, {
+          sampleSize,
+          selection: tableMetadata[tableName]?.selection,
+          selectStorage,
+          timeZone,
+          localDateColumns
+        }));
+      } catch (error) {
+        console.error(`❌ Error previewing table '${tableName}':`, error.message);
+        previews.push({ tableName, success: false, error: error.message });
+      }
+    }
+
+    res.json({ success: true, dbType, tables: previews });
+  } catch (error) {
+    console.error('❌ Error previewing import:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * Get import status endpoint
  * Retrieves import session status from database
@@ -230,6 +575,7 @@ router.get('/status/:sessionId', authenticateToken, async (req, res) => {
         tableName: table.tableName,
         recordCount: table.recordCount,
         status: table.status,
+        checkpointRows: table.checkpointRows || 0,
         createdAt: table.createdAt
       }));
     }
@@ -241,6 +587,159 @@ router.get('/status/:sessionId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Cancel import session endpoint
+ * Stops a running import after the page being written. Tables not started
+ * are skipped and full imports in progress leave their live table as it was.
+ * With `rollback: true`, tables the session already replaced are restored too;
+ * tables synced in place are kept. The session ends as CANCELLED.
+ */
+router.post('/sessions/:sessionId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { rollback = false } = req.body || {};
+
+    if (typeof rollback !== 'boolean') {
+      return res.status(400).json({ error: 'rollback must be a boolean' });
+    }
+
+    const session = await db.getImportSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!['PENDING', 'RUNNING'].includes(session.status)) {
+      return res.status(409).json({ error: `Session is already ${session.status.toLowerCase()}` });
+    }
+
+    const importService = activeImports.get(sessionId);
+    if (importService) {
+      // The background task marks the session CANCELLED once it has stopped
+      importService.cancel({ rollback });
+      console.log(`🛑 Cancelling import session ${sessionId} (rollback: ${rollback})`);
+      return res.status(202).json({ sessionId, status: 'CANCELLING', rollback });
+    }
+
+    // No task is running it (e.g. the server restarted mid-import)
+    await db.updateImportSession(sessionId, { status: 'CANCELLED', endTime: new Date() });
+    res.json({ sessionId, status: 'CANCELLED', rollback: false });
+  } catch (error) {
+    console.error('❌ Error cancelling import session:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Resume import session endpoint
+ * Restarts a failed session, or one left running by a server restart, with
+ * the options it was started with and in the database it was writing to
+ * (a SQLite session reopens its own file; a PostgreSQL session is refused
+ * when the settings now point elsewhere). Tables the session completed are kept;
+ * the others continue from their last checkpoint (the Airtable offset after
+ * the last records written), or start over when the table they were writing
+ * to is gone.
+ */
+router.post('/sessions/:sessionId/resume', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await db.getImportSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (session.userId !== req.user.userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!['FAILED', 'PARTIAL_FAILED', 'PENDING', 'RUNNING'].includes(session.status)) {
+      return res.status(409).json({ error: `Session is ${session.status.toLowerCase()} and cannot be resumed` });
+    }
+    if (!session.options) {
+      return res.status(409).json({ error: 'Session has no stored import options and cannot be resumed' });
+    }
+
+    const importedTables = session.importedTables || [];
+    const completed = new Set(importedTables.filter(table => table.status === 'COMPLETED').map(table => table.tableName));
+    const tablesToImport = session.tableNames.filter(tableName => !completed.has(tableName));
+    if (tablesToImport.length === 0) {
+      return res.status(409).json({ error: 'Every table of the session is already imported' });
+    }
+
+    const settings = await getUserSettings(session.userId);
+    if (!settings || !settings.airtableApiKey || !settings.airtableBaseId) {
+      return res.status(400).json({ error: 'Missing required settings: Airtable API key or base ID' });
+    }
+    // A session that wrote to SQLite continues in its own file, whatever the settings say now
+    if (session.databaseLocation && !fs.existsSync(session.databaseLocation)) {
+      return res.status(409).json({ error: 'The SQLite database file of the session no longer exists' });
+    }
+    if (!session.databaseLocation && !settings.databaseUrl) {
+      return res.status(409).json({ error: 'Session has no stored SQLite database file and cannot be resumed' });
+    }
+    if (!session.databaseLocation) {
+      let destination = null;
+      try {
+        destination = new ImportDatabaseService().describeDestination(settings.databaseUrl, settings.airtableBaseId);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid database URL in settings: ${error.message}` });
+      }
+      if (!session.destination || destination !== session.destination) {
+        return res.status(409).json({
+          error: 'The database in your settings is not the one the session was importing into, so it cannot be resumed'
+        });
+      }
+    }
+
+    // Checked last so no other request can start it in between
+    if (activeImports.has(sessionId)) {
+      return res.status(409).json({ error: 'Session is still running' });
+    }
+    const importService = new ImportService({ db });
+    activeImports.set(sessionId, importService);
+
+    const resumeTables = {};
+    importedTables
+      .filter(table => !completed.has(table.tableName))
+      .forEach(table => { resumeTables[table.tableName] = table; });
+
+    // Results of the tables the earlier attempt finished stay in the session
+    const storedResults = typeof session.results === 'string' ? JSON.parse(session.results) : (session.results || {});
+    const previousResults = Object.fromEntries(Object.entries(storedResults).filter(([, result]) => result.success));
+
+    await db.updateImportSession(sessionId, { status: 'PENDING', endTime: null, errorMessage: null });
+    console.log(`⏯️  Resuming import session ${sessionId} with ${tablesToImport.length} unfinished tables`);
+
+    runImportSession(importService, sessionId, tablesToImport, {
+      ...settings,
+      databaseUrl: session.databaseLocation ? null : settings.databaseUrl
+    }, {
+      ...session.options,
+      userId: session.userId,
+      resumeTables
+    }, {
+      results: previousResults,
+      completedTables: completed.size,
+      databaseLocation: session.databaseLocation,
+      destination: session.destination
+    });
+
+    res.json({
+      sessionId,
+      message: 'Import resumed',
+      tableNames: tablesToImport,
+      checkpoints: tablesToImport.map(tableName => ({
+        tableName,
+        checkpointRows: resumeTables[tableName] && resumeTables[tableName].checkpointTable ? resumeTables[tableName].checkpointRows : 0
+      })),
+      status: 'PENDING'
+    });
+  } catch (error) {
+    console.error('❌ Error resuming import session:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * List import sessions for user endpoint
  * Retrieves all import sessions for the authenticated user
@@ -291,8 +790,10 @@ router.get('/sessions', authenticateToken, async (req, res) => {
 
 /**
  * Discover tables endpoint
- * Fetches all available tables from Airtable base with record counts
- * Uses Metadata API for table discovery and data API for record counting
+ * Returns table metadata from the Airtable Metadata API immediately.
+ * Record counts not in the per-base cache are computed in the background
+ * and pushed to the user's discovery room as 'table-count' socket events;
+ * counts that finish before the client joins the room are sent when it joins.
  */
 router.get('/discover-tables', authenticateToken, async (req, res) => {
   try {
@@ -320,9 +821,10 @@ router.get('/discover-tables', authenticateToken, async (req, res) => {
     // Connect to Airtable base
     await airtableService.connect(airtableApiKey, airtableBaseId);
 
-    // Discover tables with record counts
+    // Discover tables (counts come from cache or are marked pending)
     console.log(`Discovering tables for user ${userId} in base ${airtableBaseId}...`);
     const tablesWithCounts = await airtableService.discoverTablesWithCounts();
+    const pendingCounts = tablesWithCounts.filter(table => table.countStatus === 'pending').length;
 
     console.log(`✅ Successfully discovered ${tablesWithCounts.length} tables`);
 
@@ -330,9 +832,26 @@ router.get('/discover-tables', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       tables: tablesWithCounts,
+      countsPending: pendingCounts,
       message: `Found ${tablesWithCounts.length} table(s) in your Airtable base`
     });
 
+    // Count records in the background and push each count as it finishes
+    discoveryCounts.delete(userId);
+    if (pendingCounts > 0) {
+      const counts = new Map();
+      discoveryCounts.set(userId, counts);
+      airtableService.countRecordsInBackground(tablesWithCounts, (countUpdate) => {
+        const event = { baseId: airtableBaseId, ...countUpdate };
+        counts.set(countUpdate.tableId, event);
+        if (global.socketIO) {
+          global.socketIO.to(`discovery-${userId}`).emit('table-count', event);
+        }
+      }).catch(error => {
+        console.error('Background record counting failed:', error.message);
+      });
+    }
+
   } catch (error) {
     console.error('Error discovering tables:', error.message);
     
@@ -348,6 +867,199 @@ router.get('/discover-tables', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Refresh base metadata endpoint
+ * Invalidates the cached Airtable metadata for the user's base and downloads it again
+ */
+router.post('/metadata/refresh', authenticateToken, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.user.userId);
+    if (!settings) {
+      return res.status(400).json({ error: 'Please configure your settings first' });
+    }
+
+    const { airtableApiKey, airtableBaseId } = settings;
+    if (!airtableApiKey || !airtableBaseId) {
+      return res.status(400).json({ 
+        error: 'Airtable API key and Base ID are required to refresh metadata' 
+      });
+    }
+
+    const AirtableService = require('../services/airtable');
+    const airtableService = new AirtableService();
+    airtableService.connect(airtableApiKey, airtableBaseId);
+
+    airtableService.invalidateMetadata();
+    const tables = await airtableService.getBaseMetadata({ forceRefresh: true });
+
+    console.log(`🔄 Refreshed metadata for base ${airtableBaseId} (${tables.length} tables)`);
+    res.json({
+      success: true,
+      baseId: airtableBaseId,
+      tablesFound: tables.length,
+      refreshedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error refreshing metadata:', error.message);
+
+    const statusCode = error.message.includes('authentication') ? 401 :
+                      error.message.includes('not found') ? 404 :
+                      error.message.includes('Access denied') ? 403 : 500;
+
+    res.status(statusCode).json({ error: error.message, success: false });
+  }
+});
+
+/**
+ * Schema status endpoint
+ * Compares the current Airtable schema of every table the user imported
+ * with the schema version of its last completed import
+ */
+router.get('/schemas/status', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const settings = await getUserSettings(userId);
+    if (!settings) {
+      return res.status(400).json({ error: 'Please configure your settings first' });
+    }
+
+    const { airtableApiKey, airtableBaseId } = settings;
+    if (!airtableApiKey || !airtableBaseId) {
+      return res.status(400).json({ 
+        error: 'Airtable API key and Base ID are required to check schema changes' 
+      });
+    }
+
+    const AirtableService = require('../services/airtable');
+    const airtableService = new AirtableService();
+    airtableService.connect(airtableApiKey, airtableBaseId);
+
+    // Served from the metadata cache, which also stores any new schema version
+    const currentTables = new Map((await airtableService.getBaseMetadata()).map(table => [table.id, table]));
+    const lastImports = await db.getLastImportedSchemaVersions(userId);
+
+    const tables = [];
+    for (const importedTable of lastImports) {
+      const importedSchema = await db.getAirtableSchema(airtableBaseId, importedTable.airtableTableId, importedTable.schemaVersion);
+      if (!importedSchema) {
+        continue; // Imported from another base
+      }
+
+      const currentTable = currentTables.get(importedTable.airtableTableId);
+      const diff = currentTable ? diffSchemaFields(importedSchema.fields, currentTable.fields) : null;
+      tables.push({
+        airtableTableId: importedTable.airtableTableId,
+        tableName: currentTable ? currentTable.name : importedSchema.tableName,
+        importedTableName: importedTable.tableName,
+        importedVersion: importedTable.schemaVersion,
+        importedAt: importedTable.updatedAt,
+        tableRemoved: !currentTable,
+        changed: !currentTable || hasSchemaChanges(diff),
+        summary: diff ? {
+          added: diff.added.length,
+          removed: diff.removed.length,
+          renamed: diff.renamed.length,
+          changed: diff.changed.length
+        } : null
+      });
+    }
+
+    res.json({ success: true, baseId: airtableBaseId, tables });
+  } catch (error) {
+    console.error('❌ Error checking schema status:', error.message);
+
+    const statusCode = error.message.includes('authentication') ? 401 :
+                      error.message.includes('not found') ? 404 :
+                      error.message.includes('Access denied') ? 403 : 500;
+
+    res.status(statusCode).json({ error: error.message, success: false });
+  }
+});
+
+/**
+ * List schema versions endpoint
+ * Returns the stored schema versions of an Airtable table, newest first
+ */
+router.get('/schemas/:airtableTableId/versions', authenticateToken, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.user.userId);
+    if (!settings || !settings.airtableBaseId) {
+      return res.status(400).json({ error: 'Please configure your settings first' });
+    }
+
+    const versions = await db.getAirtableSchemaVersions(settings.airtableBaseId, req.params.airtableTableId);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'No schema versions stored for this table' });
+    }
+
+    res.json({
+      success: true,
+      baseId: settings.airtableBaseId,
+      airtableTableId: req.params.airtableTableId,
+      versions: versions.map(schema => ({
+        version: schema.version,
+        tableName: schema.tableName,
+        fieldCount: Array.isArray(schema.fields) ? schema.fields.length : 0,
+        fieldsHash: schema.fieldsHash,
+        createdAt: schema.createdAt,
+        lastSeenAt: schema.lastSync
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error listing schema versions:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Diff schema versions endpoint
+ * Compares two schema versions of an Airtable table field by field.
+ * `to` defaults to the latest version and `from` to the version before `to`.
+ */
+router.get('/schemas/:airtableTableId/diff', authenticateToken, async (req, res) => {
+  try {
+    const settings = await getUserSettings(req.user.userId);
+    if (!settings || !settings.airtableBaseId) {
+      return res.status(400).json({ error: 'Please configure your settings first' });
+    }
+
+    const parseVersion = value => value === undefined ? null : Number(value);
+    const requestedFrom = parseVersion(req.query.from);
+    const requestedTo = parseVersion(req.query.to);
+    if ([requestedFrom, requestedTo].some(version => version !== null && (!Number.isInteger(version) || version < 1))) {
+      return res.status(400).json({ error: 'from and to must be positive version numbers' });
+    }
+
+    const { airtableTableId } = req.params;
+    const baseId = settings.airtableBaseId;
+    const to = await db.getAirtableSchema(baseId, airtableTableId, requestedTo);
+    if (!to) {
+      return res.status(404).json({ error: `Schema version ${requestedTo || 'latest'} not found for this table` });
+    }
+    const fromVersion = requestedFrom !== null ? requestedFrom : to.version - 1;
+    if (fromVersion < 1) {
+      return res.status(400).json({ error: `Version ${to.version} is the first stored schema version of this table` });
+    }
+    const from = await db.getAirtableSchema(baseId, airtableTableId, fromVersion);
+    if (!from) {
+      return res.status(404).json({ error: `Schema version ${fromVersion} not found for this table` });
+    }
+
+    const diff = diffSchemaFields(from.fields, to.fields);
+    res.json({
+      success: true,
+      airtableTableId,
+      from: { version: from.version, tableName: from.tableName, createdAt: from.createdAt },
+      to: { version: to.version, tableName: to.tableName, createdAt: to.createdAt },
+      changed: hasSchemaChanges(diff),
+      diff
+    });
+  } catch (error) {
+    console.error('❌ Error diffing schema versions:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * Test table access endpoint
  * Validates access to specific Airtable table without importing
@@ -442,6 +1154,23 @@ function setupSocketIO(io) {
       }
     });
 
+    // Handle discovery room joining for background record counts
+    socket.on('join-discovery', ({ token }) => {
+      try {
+        const jwt = require('jsonwebtoken');
+        const JWT_SECRET = process.env.JWT_SECRET || 'default-dev-secret-change-this-in-production';
+        const decoded = jwt.verify(token, JWT_SECRET);
+
+        socket.join(`discovery-${decoded.userId}`);
+        socket.emit('joined-discovery', { userId: decoded.userId });
+        // Counts that finished before the client joined
+        (discoveryCounts.get(decoded.userId) || new Map()).forEach(event => socket.emit('table-count', event));
+      } catch (error) {
+        console.error('❌ Socket authentication error:', error.message);
+        socket.emit('error', { message: 'Invalid token' });
+      }
+    });
+
     // Legacy support for old subscribe-progress event
     socket.on('subscribe-progress', ({ sessionId, token }) => {
       // Redirect to join-session for backward compatibility
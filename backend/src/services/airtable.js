@@ -1,11 +1,73 @@
 const Airtable = require('airtable');
 const fetch = require('node-fetch');
+const { airtableRateLimiter } = require('./rateLimiter');
+const { BaseMetadataCache, baseMetadataCache } = require('./metadataCache');
+const { runWithConcurrency } = require('../utils/concurrency');
+
+const AIRTABLE_API_URL = 'https://api.airtable.com/v0';
+const DEFAULT_COUNT_CONCURRENCY = 3;
+const RECORD_COUNT_TTL_MS = parseInt(process.env.AIRTABLE_COUNT_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+
+// Record counts per base, shared across requests: "baseId:tableId" -> { recordCount, expiresAt }
+const recordCountCache = new Map();
+// Counts currently being computed: "baseId:tableId" -> Promise<number>
+const inFlightCounts = new Map();
+// Metadata downloads in progress: "baseId:keyFingerprint" -> Promise<Object[]>
+const inFlightMetadata = new Map();
+
+/**
+ * Get a cached record count if it has not expired
+ *
+ * @param {string} baseId - Airtable base ID
+ * @param {string} tableId - Airtable table ID
+ * @returns {number|null} Cached count or null
+ */
+function getCachedRecordCount(baseId, tableId) {
+  const entry = recordCountCache.get(`${baseId}:${tableId}`);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return null;
+  }
+  return entry.recordCount;
+}
+
+/**
+ * Store a record count for the configured TTL
+ *
+ * @param {string} baseId - Airtable base ID
+ * @param {string} tableId - Airtable table ID
+ * @param {number} recordCount - Number of records
+ */
+function setCachedRecordCount(baseId, tableId, recordCount) {
+  recordCountCache.set(`${baseId}:${tableId}`, {
+    recordCount,
+    expiresAt: Date.now() + RECORD_COUNT_TTL_MS
+  });
+}
+
+/**
+ * Best available description of a failed Airtable response
+ *
+ * @param {Response} response - fetch response that is not ok
+ * @returns {Promise<string>} Error message from the body, or the status text
+ */
+async function getErrorDetail(response) {
+  try {
+    const body = await response.json();
+    return body?.error?.message || body?.error?.type || body?.error || response.statusText;
+  } catch (parseError) {
+    // Keep the status text when the body is not JSON
+    return response.statusText;
+  }
+}
 
 class AirtableService {
   constructor() {
     this.base = null;
     this.apiKey = null;
     this.baseId = null;
+    this.rateLimiter = airtableRateLimiter;
+    this.metadataCache = baseMetadataCache;
+    this.retryCounts = new Map(); // Table name (or '_meta') -> number of retried requests
   }
 
   connect(apiKey, baseId) {
@@ -44,11 +106,218 @@ class AirtableService {
   }
 
   /**
-   * Discovers all tables in the Airtable base with their record counts.
-   * Uses the Airtable Metadata API to fetch table information and then
-   * queries each table to get accurate record counts.
+   * Send a request to the Airtable API through the shared per-base scheduler.
+   * 429/503 responses are retried with backoff; retries are counted per table
+   * so they can be reported in import progress events.
+   *
+   * @param {string} url - Fully qualified Airtable API URL
+   * @param {string|null} tableName - Table the request belongs to (for retry accounting)
+   * @returns {Promise<Response>} Final fetch response
+   */
+  async airtableFetch(url, tableName = null) {
+    const retryKey = tableName || '_meta';
+
+    return await this.rateLimiter.schedule(
+      this.baseId,
+      () => fetch(url, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      }),
+      {
+        onRetry: () => {
+          this.retryCounts.set(retryKey, (this.retryCounts.get(retryKey) || 0) + 1);
+        }
+      }
+    );
+  }
+
+  /**
+   * Number of requests retried because of rate limiting or unavailability
+   *
+   * @param {string} [tableName] - Table name; omit for the total across all tables
+   * @returns {number} Retry count
+   */
+  getRetryCount(tableName) {
+    if (tableName) {
+      return this.retryCounts.get(tableName) || 0;
+    }
+    let total = 0;
+    this.retryCounts.forEach(count => { total += count; });
+    return total;
+  }
+
+  /**
+   * Get the table metadata of the connected base.
+   * Served from the shared per-base cache when fresh; otherwise downloaded
+   * once (concurrent callers share the same download) and cached.
+   *
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.forceRefresh - Bypass the cache and download again
+   * @returns {Promise<Object[]>} Tables with id, name, primaryFieldId, fields and views
+   * @throws {Error} When not connected or the Metadata API fails
+   */
+  async getBaseMetadata(options = {}) {
+    const { forceRefresh = false } = options;
+
+    if (!this.base) {
+      throw new Error('Not connected to Airtable');
+    }
+
+    if (!forceRefresh) {
+      const cached = this.metadataCache.get(this.baseId, this.apiKey);
+      if (cached) {
+        return cached.tables;
+      }
+    }
+
+    const inFlightKey = `${this.baseId}:${BaseMetadataCache.fingerprint(this.apiKey)}`;
+    if (!inFlightMetadata.has(inFlightKey)) {
+      inFlightMetadata.set(inFlightKey, this.fetchBaseMetadata().finally(() => {
+        inFlightMetadata.delete(inFlightKey);
+      }));
+    }
+    return await inFlightMetadata.get(inFlightKey);
+  }
+
+  /**
+   * Download table metadata from the Airtable Metadata API and cache it
+   *
+   * @returns {Promise<Object[]>} Tables of the base
+   * @throws {Error} With a descriptive message for auth, permission and not-found errors
+   */
+  async fetchBaseMetadata() {
+    console.log(`📥 Downloading metadata for base ${this.baseId}...`);
+
+    const metadataUrl = `${AIRTABLE_API_URL}/meta/bases/${this.baseId}/tables`;
+    const response = await this.airtableFetch(metadataUrl);
+
+    if (response.status === 401) {
+      throw new Error('Invalid API key - authentication failed');
+    } else if (response.status === 403) {
+      throw new Error('Access denied - check API key permissions');
+    } else if (response.status === 404) {
+      throw new Error('Base not found - check Base ID');
+    } else if (!response.ok) {
+      throw new Error(`Metadata API error: ${response.status} ${response.statusText}`);
+    }
+
+    const metadata = await response.json();
+
+    if (!metadata || !metadata.tables || !Array.isArray(metadata.tables)) {
+      throw new Error('Invalid response from Metadata API - no tables found');
+    }
+
+    this.metadataCache.set(this.baseId, this.apiKey, metadata.tables);
+    return metadata.tables;
+  }
+
+  /**
+   * Drop the cached metadata of the connected base
+   *
+   * @returns {boolean} True if cached metadata was removed
+   */
+  invalidateMetadata() {
+    return this.metadataCache.invalidate(this.baseId);
+  }
+
+  /**
+   * Build the query string for the list records endpoint
+   *
+   * @param {Object} params - List parameters (pageSize, maxRecords, fields, sort, view, filterByFormula, ...)
+   * @param {string|null} offset - Pagination offset from the previous page
+   * @returns {string} Encoded query string
+   */
+  buildListQuery(params = {}, offset = null) {
+    const query = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || value === null) {
+        return;
+      }
+      if (key === 'fields' && Array.isArray(value)) {
+        value.forEach(field => query.append('fields[]', field));
+      } else if (key === 'sort' && Array.isArray(value)) {
+        value.forEach((sort, index) => {
+          query.append(`sort[${index}][field]`, sort.field);
+          if (sort.direction) {
+            query.append(`sort[${index}][direction]`, sort.direction);
+          }
+        });
+      } else {
+        query.append(key, String(value));
+      }
+    });
+
+    if (offset) {
+      query.append('offset', offset);
+    }
+
+    return query.toString();
+  }
+
+  /**
+   * Build a filterByFormula expression matching records created or modified
+   * after a point in time. Uses the given last-modified-time field when one
+   * is available, otherwise Airtable's LAST_MODIFIED_TIME() function. A
+   * field whose name contains `}` cannot be referenced as `{name}`, so the
+   * function is used for it too; it matches at least the same records.
+   *
+   * @param {Date} since - Only records changed after this instant match
+   * @param {string|null} lastModifiedField - Name of a lastModifiedTime field
+   * @returns {string} Airtable formula
+   */
+  buildModifiedSinceFormula(since, lastModifiedField = null) {
+    const sinceValue = `DATETIME_PARSE('${since.toISOString()}')`;
+    const modifiedExpression = lastModifiedField && !lastModifiedField.includes('}')
+      ? `{${lastModifiedField}}`
+      : 'LAST_MODIFIED_TIME()';
+
+    // Records that were never edited may have no modification time, so creation time is checked too
+    return `OR(IS_AFTER(${modifiedExpression}, ${sinceValue}), IS_AFTER(CREATED_TIME(), ${sinceValue}))`;
+  }
+
+  /**
+   * Fetch a single page of records via the Airtable REST API
+   *
+   * @param {string} tableName - Table name or ID
+   * @param {Object} params - List parameters passed to buildListQuery
+   * @param {string|null} offset - Offset returned by the previous page
+   * @returns {Promise<{records: Array, offset: string|null}>} Page records and the next offset
+   * @throws {Error} When Airtable returns a non-success status; code 'OFFSET_EXPIRED' when
+   *   Airtable no longer accepts the offset
+   */
+  async fetchRecordsPage(tableName, params = {}, offset = null) {
+    const queryString = this.buildListQuery(params, offset);
+    const url = `${AIRTABLE_API_URL}/${this.baseId}/${encodeURIComponent(tableName)}${queryString ? `?${queryString}` : ''}`;
+    const response = await this.airtableFetch(url, tableName);
+
+    if (!response.ok) {
+      const detail = await getErrorDetail(response);
+      const error = new Error(`Airtable API error for table "${tableName}": ${response.status} ${detail}`);
+      // Offsets are only valid for a limited time (LIST_RECORDS_ITERATOR_NOT_AVAILABLE)
+      if (offset && response.status === 422 && /ITERATOR_NOT_AVAILABLE|iterator/i.test(String(detail))) {
+        error.code = 'OFFSET_EXPIRED';
+      }
+      throw error;
+    }
+
+    const data = await response.json();
+    return {
+      records: data.records || [],
+      offset: data.offset || null
+    };
+  }
+
+  /**
+   * Discovers all tables in the Airtable base.
+   * Only the Metadata API is called, so this returns immediately even for
+   * large bases. Record counts are filled in from the per-base count cache
+   * when a fresh value exists; otherwise `recordCount` is null and
+   * `countStatus` is 'pending' until countRecordsInBackground reports it.
    * 
-   * @returns {Promise<Array>} Array of table objects with name, id, and recordCount
+   * @returns {Promise<Array>} Array of table objects with id, name, recordCount, countStatus and description
    * @throws {Error} When API access fails or base is not accessible
    */
   async discoverTablesWithCounts() {
@@ -59,82 +328,146 @@ class AirtableService {
     try {
       console.log('Discovering tables using Airtable Metadata API...');
       
-      // Step 1: Get table metadata from Airtable Metadata API
-      const metadataUrl = `https://api.airtable.com/v0/meta/bases/${this.baseId}/tables`;
-      const response = await fetch(metadataUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
+      const baseTables = await this.getBaseMetadata();
+
+      console.log(`Found ${baseTables.length} tables in base`);
+
+      const tables = baseTables.map(tableInfo => {
+        const cachedCount = getCachedRecordCount(this.baseId, tableInfo.id);
+        return {
+          id: tableInfo.id,
+          name: tableInfo.name,
+          primaryFieldId: tableInfo.primaryFieldId || null,
+          recordCount: cachedCount !== null ? cachedCount : null,
+          countStatus: cachedCount !== null ? 'cached' : 'pending',
+          description: tableInfo.description || null
+        };
       });
 
-      if (response.status === 401) {
-        throw new Error('Invalid API key - authentication failed');
-      } else if (response.status === 403) {
-        throw new Error('Access denied - check API key permissions');
-      } else if (response.status === 404) {
-        throw new Error('Base not found - check Base ID');
-      } else if (!response.ok) {
-        throw new Error(`Metadata API error: ${response.status} ${response.statusText}`);
-      }
+      console.log(`Successfully discovered ${tables.length} tables (${tables.filter(t => t.countStatus === 'pending').length} counts pending)`);
+      return tables;
+    } catch (error) {
+      console.error('Error discovering tables:', error.message);
+      throw error;
+    }
+  }
 
-      const metadata = await response.json();
-      
-      if (!metadata || !metadata.tables || !Array.isArray(metadata.tables)) {
-        throw new Error('Invalid response from Metadata API - no tables found');
+  /**
+   * Count the records of one table.
+   * Only the primary field is requested so each page stays small (all
+   * fields come back if the metadata did not include a primary field ID).
+   * The result is cached per base with a TTL.
+   *
+   * @param {Object} table - Table object from discoverTablesWithCounts
+   * @returns {Promise<number>} Number of records in the table
+   */
+  async countTableRecords(table) {
+    const params = { pageSize: 100 };
+    if (table.primaryFieldId) {
+      params.fields = [table.primaryFieldId];
+      params.returnFieldsByFieldId = true;
+    }
+
+    let recordCount = 0;
+    let offset = null;
+    do {
+      const page = await this.fetchRecordsPage(table.name, params, offset);
+      recordCount += page.records.length;
+      offset = page.offset;
+    } while (offset);
+
+    setCachedRecordCount(this.baseId, table.id, recordCount);
+    return recordCount;
+  }
+
+  /**
+   * List the IDs of every record in a table, projecting only the primary
+   * field so the pages stay small
+   *
+   * @param {Object} table - Table with name and primaryFieldId
+   * @param {Object} rowFilters - Optional view, filterByFormula, sort and maxRecords limiting the records listed
+   * @returns {Promise<Set<string>>} Record IDs present in Airtable
+   */
+  async listRecordIds(table, rowFilters = {}) {
+    const params = { ...rowFilters, pageSize: 100 };
+    if (table.primaryFieldId) {
+      params.fields = [table.primaryFieldId];
+      params.returnFieldsByFieldId = true;
+    }
+
+    const recordIds = new Set();
+    let offset = null;
+    do {
+      const page = await this.fetchRecordsPage(table.name, params, offset);
+      page.records.forEach(record => recordIds.add(record.id));
+      offset = page.offset;
+    } while (offset);
+
+    return recordIds;
+  }
+
+  /**
+   * Fetch every comment of a record, following pagination. Requests go
+   * through the same per-base rate limiter as record pages.
+   *
+   * @param {string} tableName - Table name or ID
+   * @param {string} recordId - Airtable record ID
+   * @returns {Promise<Object[]>} Comments ({id, author, text, createdTime, lastUpdatedTime, mentioned})
+   */
+  async listRecordComments(tableName, recordId) {
+    const comments = [];
+    let offset = null;
+    do {
+      const query = new URLSearchParams({ pageSize: '100' });
+      if (offset) {
+        query.set('offset', offset);
       }
+      const url = `${AIRTABLE_API_URL}/${this.baseId}/${encodeURIComponent(tableName)}/${recordId}/comments?${query.toString()}`;
+      const response = await this.airtableFetch(url, tableName);
 
-      console.log(`Found ${metadata.tables.length} tables in base`);
+      if (!response.ok) {
+        throw new Error(`Airtable API error for comments of record ${recordId} in table "${tableName}": ${response.status} ${await getErrorDetail(response)}`);
+      }
 
-      // Step 2: Get record counts for each table using the data API
-      const tablesWithCounts = [];
-      
-      for (const tableInfo of metadata.tables) {
-        try {
-          console.log(`Getting record count for table: ${tableInfo.name}`);
-          
-          // Use the airtable.js library to get record count
-          // We'll fetch just the first page to get the total count from offset
-          const page = await this.base(tableInfo.name).select({
-            maxRecords: 1, // Just get one record to minimize data transfer
-            pageSize: 1
-          }).firstPage();
-          
-          // Get the total count by making a separate request to count all records
-          let recordCount = 0;
-          await this.base(tableInfo.name).select().eachPage((records, fetchNextPage) => {
-            recordCount += records.length;
-            fetchNextPage();
-          });
+      const data = await response.json();
+      comments.push(...(data.comments || []));
+      offset = data.offset || null;
+    } while (offset);
 
-          tablesWithCounts.push({
-            id: tableInfo.id,
-            name: tableInfo.name,
-            recordCount: recordCount,
-            description: tableInfo.description || null
-          });
+    return comments;
+  }
 
-          console.log(`Table "${tableInfo.name}": ${recordCount} records`);
-        } catch (tableError) {
-          console.warn(`Could not get record count for table "${tableInfo.name}":`, tableError.message);
-          
-          // Still include the table but with unknown record count
-          tablesWithCounts.push({
-            id: tableInfo.id,
-            name: tableInfo.name,
-            recordCount: -1, // -1 indicates unknown count
-            description: tableInfo.description || null,
-            error: tableError.message
-          });
+  /**
+   * Count records for tables that have no fresh cached count, with bounded
+   * parallelism. Concurrent discovery requests for the same base share the
+   * in-flight count instead of starting another one.
+   *
+   * @param {Array} tables - Tables from discoverTablesWithCounts
+   * @param {Function} onCount - Called with {tableId, tableName, recordCount, countStatus, error} as each count finishes
+   * @param {Object} options - Counting options
+   * @param {number} options.concurrency - Maximum tables counted at once
+   * @returns {Promise<void>} Resolves when every pending count has finished
+   */
+  async countRecordsInBackground(tables, onCount, options = {}) {
+    const { concurrency = DEFAULT_COUNT_CONCURRENCY } = options;
+    const pendingTables = tables.filter(table => table.countStatus === 'pending');
+
+    await runWithConcurrency(pendingTables, concurrency, async (table) => {
+      const inFlightKey = `${this.baseId}:${table.id}`;
+      try {
+        if (!inFlightCounts.has(inFlightKey)) {
+          inFlightCounts.set(inFlightKey, this.countTableRecords(table).finally(() => {
+            inFlightCounts.delete(inFlightKey);
+          }));
         }
+        const recordCount = await inFlightCounts.get(inFlightKey);
+        console.log(`Table "${table.name}": ${recordCount} records`);
+        onCount({ tableId: table.id, tableName: table.name, recordCount, countStatus: 'counted' });
+      } catch (error) {
+        console.warn(`Could not get record count for table "${table.name}":`, error.message);
+        onCount({ tableId: table.id, tableName: table.name, recordCount: -1, countStatus: 'error', error: error.message });
       }
-
-      console.log(`Successfully discovered ${tablesWithCounts.length} tables with record counts`);
-      return tablesWithCounts;
-    } catch (error) {
-      console.error('Error discovering tables with counts:', error.message);
-      throw error;
-    }
+    });
   }
 
   /**
@@ -153,63 +486,64 @@ class AirtableService {
     }
   }
 
-  async getTableRecords(tableName, progressCallback) {
-    console.log(`🔍 getTableRecords called for table: ${tableName}`);
-    
+  /**
+   * Stream the records of a table one Airtable page (max 100 records) at a time.
+   * The next page is only requested once `onPage` has resolved, so a slow
+   * consumer (e.g. the database writer) naturally throttles fetching and only
+   * one page is held in memory at a time.
+   *
+   * @param {string} tableName - Name of the table to read
+   * @param {Function} onPage - Async callback (records, pageInfo) invoked for every page
+   * @param {Object} options - Stream options
+   * @param {Object} options.params - List parameters passed to the records endpoint
+   * @param {string} options.offset - Offset to continue an earlier stream from (the `offset`
+   *   of its last page info); the list parameters must be the same
+   * @returns {Promise<{fetchedRecords: number, pages: number}>} Totals for the stream
+   * @throws {Error} When not connected, Airtable fails, or `onPage` throws
+   */
+  async streamTableRecords(tableName, onPage, options = {}) {
     if (!this.base) {
       throw new Error('Not connected to Airtable');
     }
 
-    // Test the API key with a direct HTTP request first
-    console.log(`🧪 Testing API key with direct HTTP request...`);
-    try {
-      // First test: Base metadata (requires less permissions)
-      const metaUrl = `https://api.airtable.com/v0/meta/bases/${this.baseId}/tables`;
-      const metaResponse = await fetch(metaUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      console.log(`🧪 Base metadata test:`, {
-        status: metaResponse.status,
-        statusText: metaResponse.statusText,
-        ok: metaResponse.ok
-      });
-      
-      if (metaResponse.ok) {
-        const metaData = await metaResponse.json();
-        console.log(`🧪 Base metadata success - found ${metaData.tables?.length || 0} tables`);
-      } else {
-        const metaError = await metaResponse.text();
-        console.log(`🧪 Base metadata error:`, metaError);
-      }
+    const { params = {} } = options;
+    let offset = options.offset || null;
+    let fetchedRecords = 0;
+    let pages = 0;
 
-      // Second test: Table records (requires read permissions)
-      const testUrl = `https://api.airtable.com/v0/${this.baseId}/${encodeURIComponent(tableName)}?maxRecords=1`;
-      const testResponse = await fetch(testUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      console.log(`🧪 Table records test:`, {
-        status: testResponse.status,
-        statusText: testResponse.statusText,
-        ok: testResponse.ok
+    do {
+      const page = await this.fetchRecordsPage(tableName, { pageSize: 100, ...params }, offset);
+      fetchedRecords += page.records.length;
+      pages++;
+      offset = page.offset;
+
+      console.log(`📄 Got page ${pages} with ${page.records.length} records for table: ${tableName}`);
+
+      await onPage(page.records, {
+        pageNumber: pages,
+        fetchedRecords,
+        hasMore: !!offset,
+        offset // Continues the stream after this page
       });
-      
-      if (!testResponse.ok) {
-        const errorBody = await testResponse.text();
-        console.log(`🧪 Table records error:`, errorBody);
-      } else {
-        const testData = await testResponse.json();
-        console.log(`🧪 Table records success - found ${testData.records?.length || 0} records`);
-      }
-    } catch (directError) {
-      console.error(`🧪 Direct API test failed:`, directError.message);
+    } while (offset);
+
+    return { fetchedRecords, pages };
+  }
+
+  /**
+   * Fetch all records of a table into memory.
+   * Prefer streamTableRecords for imports; this is kept for small lookups
+   * such as the table access test.
+   *
+   * @param {string} tableName - Name of the table to read
+   * @param {Function} progressCallback - Optional progress callback
+   * @returns {Promise<Array>} All records of the table
+   */
+  async getTableRecords(tableName, progressCallback) {
+    console.log(`🔍 getTableRecords called for table: ${tableName}`);
+    
+    if (!this.base) {
+      throw new Error('Not connected to Airtable');
     }
 
     const records = [];
@@ -218,25 +552,19 @@ class AirtableService {
     try {
       console.log(`🔍 Starting Airtable query for table: ${tableName}`);
       
-      await this.base(tableName).select({
-        // Optionally specify fields, filters, sort, etc.
-      }).eachPage(
-        (pageRecords, fetchNextPage) => {
-          console.log(`📄 Got page with ${pageRecords.length} records for table: ${tableName}`);
-          records.push(...pageRecords);
-          recordCount += pageRecords.length;
-          
-          if (progressCallback) {
-            progressCallback({
-              table: tableName,
-              recordsProcessed: recordCount,
-              status: 'fetching'
-            });
-          }
-
-          fetchNextPage();
+      await this.streamTableRecords(tableName, (pageRecords) => {
+        records.push(...pageRecords);
+        recordCount += pageRecords.length;
+
+        if (progressCallback) {
+          progressCallback({
+            table: tableName,
+            recordsProcessed: recordCount,
+            status: 'fetching',
+            retries: this.getRetryCount(tableName)
+          });
         }
-      );
+      });
 
       console.log(`✅ Completed Airtable query for table: ${tableName}, total records: ${records.length}`);
 
@@ -245,7 +573,8 @@ class AirtableService {
           table: tableName,
           recordsProcessed: recordCount,
           status: 'completed',
-          totalRecords: records.length
+          totalRecords: records.length,
+          retries: this.getRetryCount(tableName)
         });
       }
 
@@ -270,44 +599,14 @@ class AirtableService {
     }
 
     try {
-      // Test the connection by trying to access the base metadata
-      // We'll attempt to read from a likely table or just verify API access
-      
-      // Method 1: Try to make a basic API call to test credentials
-      const testUrl = `https://api.airtable.com/v0/meta/bases/${this.baseId}/tables`;
-      const response = await fetch(testUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      // Test the connection by reading the base metadata (shared with discovery and imports)
+      const tables = await this.getBaseMetadata();
 
-      if (response.status === 401) {
-        throw new Error('Invalid API key - authentication failed');
-      } else if (response.status === 403) {
-        throw new Error('Access denied - check API key permissions');
-      } else if (response.status === 404) {
-        throw new Error('Base not found - check Base ID');
-      } else if (!response.ok) {
-        throw new Error(`API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      
-      // Successful response should have tables array
-      if (data && data.tables && Array.isArray(data.tables)) {
-        return {
-          success: true,
-          tablesFound: data.tables.length,
-          tableNames: data.tables.map(table => table.name).slice(0, 5) // First 5 table names
-        };
-      } else {
-        // Fallback: just verify we got a valid response
-        return {
-          success: true,
-          message: 'Connection successful (basic verification)'
-        };
-      }
+      return {
+        success: true,
+        tablesFound: tables.length,
+        tableNames: tables.map(table => table.name).slice(0, 5) // First 5 table names
+      };
     } catch (error) {
       // Handle network errors, invalid JSON, etc.
       if (error.message.includes('fetch')) {
@@ -332,27 +631,11 @@ class AirtableService {
     try {
       console.log(`🔍 Getting schema for table: ${tableName}`);
       
-      // Get table metadata from Airtable Metadata API
-      const metadataUrl = `https://api.airtable.com/v0/meta/bases/${this.baseId}/tables`;
-      const response = await fetch(metadataUrl, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Metadata API error: ${response.status} ${response.statusText}`);
-      }
-
-      const metadata = await response.json();
-      
-      if (!metadata || !metadata.tables || !Array.isArray(metadata.tables)) {
-        throw new Error('Invalid response from Metadata API - no tables found');
-      }
+      // Get table metadata from the per-base cache (downloaded at most once per import)
+      const tables = await this.getBaseMetadata();
 
       // Find the specific table
-      const tableInfo = metadata.tables.find(table => table.name === tableName);
+      const tableInfo = tables.find(table => table.name === tableName);
       if (!tableInfo) {
         throw new Error(`Table "${tableName}" not found in base`);
       }
@@ -371,6 +654,7 @@ class AirtableService {
         id: tableInfo.id,
         name: tableInfo.name,
         description: tableInfo.description || null,
+        primaryFieldId: tableInfo.primaryFieldId || null,
         fields: tableInfo.fields || []
       };
     } catch (error) {
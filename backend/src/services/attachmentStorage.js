@@ -0,0 +1,252 @@
+/**
+ * Attachment Storage Backends
+ *
+ * Content-addressed stores for downloaded Airtable attachments: a local
+ * directory (backend/data/attachments by default) or an S3-compatible
+ * bucket such as AWS S3 or MinIO. S3 requests are signed with AWS
+ * Signature Version 4 so no SDK is needed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const fetch = require('node-fetch');
+
+const ATTACHMENT_STORAGE_TYPES = ['local', 's3'];
+const DEFAULT_ATTACHMENT_DIR = path.join(__dirname, '../../data/attachments');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full object URL
+ * @param {Object} request.headers - Extra headers to sign (e.g. content-type)
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {Object} credentials - Signing credentials
+ * @param {string} credentials.accessKeyId - Access key ID
+ * @param {string} credentials.secretAccessKey - Secret access key
+ * @param {string} credentials.region - Region of the bucket
+ * @param {Date} date - Request time
+ * @returns {Object} Headers to send, including Authorization
+ */
+function signRequest(request, credentials, date = new Date()) {
+  const url = new URL(request.url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.substring(0, 8);
+  const scope = `${dateStamp}/${credentials.region}/s3/aws4_request`;
+
+  const headers = {
+    ...Object.fromEntries(Object.entries(request.headers || {}).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    'x-amz-content-sha256': request.payloadHash,
+    'x-amz-date': amzDate
+  };
+  const signed = { host: url.host, ...headers };
+  const signedHeaders = Object.keys(signed).sort();
+
+  const canonicalRequest = [
+    request.method,
+    url.pathname,
+    url.searchParams.toString(),
+    signedHeaders.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    request.payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), credentials.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * Attachments as files in a local directory
+ */
+class LocalAttachmentStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.directory - Root directory for stored files
+   */
+  constructor(options = {}) {
+    this.type = 'local';
+    this.directory = options.directory || DEFAULT_ATTACHMENT_DIR;
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    return path.join(this.directory, key);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True if the file is already stored
+   */
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {Buffer} body - File contents
+   * @returns {Promise<void>}
+   */
+  async put(key, body) {
+    await fs.promises.mkdir(path.dirname(this.resolve(key)), { recursive: true });
+    await fs.promises.writeFile(this.resolve(key), body);
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {string} file:// URL of the stored copy
+   */
+  getUrl(key) {
+    return pathToFileURL(this.resolve(key)).href;
+  }
+}
+
+/**
+ * Attachments as objects in an S3-compatible bucket
+ */
+class S3AttachmentStorage {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.endpoint - Endpoint URL, e.g. http://localhost:9000 for MinIO
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Bucket region (default us-east-1)
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {boolean} options.forcePathStyle - Address objects as endpoint/bucket/key (default true)
+   * @param {string} options.publicUrl - Base URL written to the columns instead of the endpoint
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor(options = {}) {
+    if (!options.endpoint || !options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+      throw new Error('S3 attachment storage needs an endpoint, bucket, access key ID and secret access key');
+    }
+    this.type = 's3';
+    this.endpoint = options.endpoint.replace(/\/+$/, '');
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.credentials = { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey, region: this.region };
+    this.forcePathStyle = options.forcePathStyle !== false;
+    this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+    this.fetch = options.fetch || fetch;
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {string} Object URL on the endpoint
+   */
+  getObjectUrl(key) {
+    if (this.forcePathStyle) {
+      return `${this.endpoint}/${this.bucket}/${key}`;
+    }
+    const endpoint = new URL(this.endpoint);
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}/${key}`;
+  }
+
+  /**
+   * Send a signed request for an object
+   *
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Buffer} body - Request body
+   * @param {Object} headers - Extra headers
+   * @returns {Promise<Response>} fetch response
+   */
+  async request(method, key, body = null, headers = {}) {
+    const url = this.getObjectUrl(key);
+    const signedHeaders = signRequest({ method, url, headers, payloadHash: sha256(body || '') }, this.credentials);
+    return this.fetch(url, { method, headers: signedHeaders, body: body || undefined });
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True if the object is already stored
+   */
+  async exists(key) {
+    const response = await this.request('HEAD', key);
+    if (response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      throw new Error(`S3 HEAD ${key} failed with status ${response.status}`);
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {Buffer} body - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  async put(key, body, contentType) {
+    const response = await this.request('PUT', key, body, contentType ? { 'content-type': contentType } : {});
+    if (!response.ok) {
+      throw new Error(`S3 upload of ${key} failed with status ${response.status}`);
+    }
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @returns {string} URL of the stored copy
+   */
+  getUrl(key) {
+    return this.publicUrl ? `${this.publicUrl}/${key}` : this.getObjectUrl(key);
+  }
+}
+
+/**
+ * Create the storage backend configured in the environment
+ * (ATTACHMENT_STORAGE and ATTACHMENT_DIR / ATTACHMENT_S3_* variables)
+ *
+ * @param {Object} env - Environment variables
+ * @returns {LocalAttachmentStorage|S3AttachmentStorage} Storage backend
+ */
+function createAttachmentStorage(env = process.env) {
+  const type = env.ATTACHMENT_STORAGE || 'local';
+  if (!ATTACHMENT_STORAGE_TYPES.includes(type)) {
+    throw new Error(`Invalid ATTACHMENT_STORAGE '${type}'. Expected one of: ${ATTACHMENT_STORAGE_TYPES.join(', ')}`);
+  }
+
+  if (type === 's3') {
+    return new S3AttachmentStorage({
+      endpoint: env.ATTACHMENT_S3_ENDPOINT,
+      bucket: env.ATTACHMENT_S3_BUCKET,
+      region: env.ATTACHMENT_S3_REGION,
+      accessKeyId: env.ATTACHMENT_S3_ACCESS_KEY_ID,
+      secretAccessKey: env.ATTACHMENT_S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.ATTACHMENT_S3_FORCE_PATH_STYLE !== 'false',
+      publicUrl: env.ATTACHMENT_S3_PUBLIC_URL
+    });
+  }
+  return new LocalAttachmentStorage({ directory: env.ATTACHMENT_DIR });
+}
+
+module.exports = {
+  ATTACHMENT_STORAGE_TYPES,
+  LocalAttachmentStorage,
+  S3AttachmentStorage,
+  createAttachmentStorage,
+  signRequest
+};
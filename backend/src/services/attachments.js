@@ -0,0 +1,172 @@
+/**
+ * Attachment Download Service
+ *
+ * Copies the files behind Airtable attachment fields (and their thumbnails)
+ * into an attachment storage backend before the records are written, so the
+ * imported columns point at stored copies instead of Airtable URLs that
+ * expire after a few hours. Files are stored under their SHA-256 content
+ * hash, so identical files are kept once, and each stored attachment is
+ * recorded in the import database so re-syncs skip files that have not
+ * changed.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { runWithConcurrency } = require('../utils/concurrency');
+
+// 'metadata' keeps Airtable's attachment JSON as is, 'download' stores the files
+const ATTACHMENT_MODES = ['metadata', 'download'];
+const ATTACHMENT_FIELD_TYPES = ['multipleAttachments', 'attachment'];
+const DOWNLOAD_CONCURRENCY = parseInt(process.env.ATTACHMENT_DOWNLOAD_CONCURRENCY, 10) || 4;
+
+class AttachmentService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.storage - Storage backend from createAttachmentStorage
+   * @param {Object} options.importDatabaseService - Import database holding the stored-attachment index
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor(options = {}) {
+    this.storage = options.storage;
+    this.importDatabaseService = options.importDatabaseService;
+    this.fetch = options.fetch || fetch;
+    this.pendingUploads = new Map(); // storage key -> upload in flight, so parallel duplicates upload once
+  }
+
+  /**
+   * Attachment fields of a table
+   *
+   * @param {Array} fields - Airtable field definitions
+   * @returns {Array} Fields whose values are attachments
+   */
+  static getAttachmentFields(fields) {
+    return (fields || []).filter(field => ATTACHMENT_FIELD_TYPES.includes(field.type));
+  }
+
+  /**
+   * List the files of one attachment: the file itself and each thumbnail
+   *
+   * @param {Object} attachment - Attachment object from Airtable
+   * @returns {Array<{attachmentId: string, variant: string, url: string, contentType: string}>} Files to store
+   */
+  getFiles(attachment) {
+    const files = [{ attachmentId: attachment.id, variant: 'file', url: attachment.url, contentType: attachment.type }];
+    Object.entries(attachment.thumbnails || {}).forEach(([size, thumbnail]) => {
+      if (thumbnail && thumbnail.url) {
+        files.push({ attachmentId: attachment.id, variant: `thumbnail_${size}`, url: thumbnail.url, contentType: null });
+      }
+    });
+    return files.filter(file => file.attachmentId && file.url);
+  }
+
+  /**
+   * Download one file and put it in storage under its content hash
+   *
+   * @param {Object} file - Entry from getFiles
+   * @returns {Promise<{contentHash: string, storageKey: string, url: string, size: number, deduplicated: boolean}>} Stored copy
+   */
+  async storeFile(file) {
+    const response = await this.fetch(file.url);
+    if (!response.ok) {
+      throw new Error(`Download of attachment ${file.attachmentId} (${file.variant}) failed with status ${response.status}`);
+    }
+    const body = await response.buffer();
+    const contentHash = crypto.createHash('sha256').update(body).digest('hex');
+    const storageKey = `${contentHash.substring(0, 2)}/${contentHash}`;
+
+    let deduplicated = true;
+    if (this.pendingUploads.has(storageKey)) {
+      await this.pendingUploads.get(storageKey);
+    } else {
+      const upload = (async () => {
+        if (await this.storage.exists(storageKey)) {
+          return true;
+        }
+        await this.storage.put(storageKey, body, file.contentType || response.headers.get('content-type'));
+        return false;
+      })();
+      this.pendingUploads.set(storageKey, upload);
+      try {
+        deduplicated = await upload;
+      } finally {
+        this.pendingUploads.delete(storageKey);
+      }
+    }
+    return { contentHash, storageKey, url: this.storage.getUrl(storageKey), size: body.length, deduplicated };
+  }
+
+  /**
+   * Store the attachments of a page of records and return copies of the
+   * records whose attachment values point at the stored files. Files that
+   * fail to download keep their Airtable URL and are counted as failed.
+   *
+   * @param {Array} records - Airtable records
+   * @param {Array} fields - Attachment fields of the table
+   * @returns {Promise<{records: Array, downloaded: number, unchanged: number, deduplicated: number, failed: number}>} Rewritten records and counts
+   */
+  async storeRecordAttachments(records, fields) {
+    const stats = { downloaded: 0, unchanged: 0, deduplicated: 0, failed: 0 };
+    const files = [];
+    records.forEach(record => fields.forEach(field => {
+      const value = record.fields ? record.fields[field.name] : null;
+      (Array.isArray(value) ? value : []).forEach(attachment => files.push(...this.getFiles(attachment)));
+    }));
+    if (files.length === 0) {
+      return { records, ...stats };
+    }
+
+    const fileKey = file => `${file.attachmentId}:${file.variant}`;
+    const stored = await this.importDatabaseService.getStoredAttachments([...new Set(files.map(file => file.attachmentId))]);
+    const pending = [...new Map(files.filter(file => !stored.has(fileKey(file))).map(file => [fileKey(file), file])).values()];
+    stats.unchanged = files.length - pending.length;
+
+    const results = await runWithConcurrency(pending, DOWNLOAD_CONCURRENCY, file => this.storeFile(file));
+    for (let index = 0; index < pending.length; index++) {
+      const file = pending[index];
+      const result = results[index];
+      if (result.status === 'rejected') {
+        stats.failed++;
+        console.warn(`⚠️  Could not store attachment ${file.attachmentId} (${file.variant}):`, result.reason.message);
+        continue;
+      }
+      stats.downloaded++;
+      if (result.value.deduplicated) {
+        stats.deduplicated++;
+      }
+      const copy = { attachmentId: file.attachmentId, variant: file.variant, ...result.value };
+      await this.importDatabaseService.saveStoredAttachment(copy);
+      stored.set(fileKey(file), copy);
+    }
+
+    const rewrite = attachment => {
+      const file = stored.get(`${attachment.id}:file`);
+      const thumbnails = {};
+      Object.entries(attachment.thumbnails || {}).forEach(([size, thumbnail]) => {
+        const copy = stored.get(`${attachment.id}:thumbnail_${size}`);
+        thumbnails[size] = copy ? { ...thumbnail, url: copy.url, storageKey: copy.storageKey } : thumbnail;
+      });
+      return {
+        ...attachment,
+        ...(file ? { url: file.url, storageKey: file.storageKey, contentHash: file.contentHash } : {}),
+        ...(attachment.thumbnails ? { thumbnails } : {})
+      };
+    };
+
+    return {
+      records: records.map(record => {
+        const rewrittenFields = { ...record.fields };
+        fields.forEach(field => {
+          if (Array.isArray(rewrittenFields[field.name])) {
+            rewrittenFields[field.name] = rewrittenFields[field.name].map(rewrite);
+          }
+        });
+        return { ...record, fields: rewrittenFields };
+      }),
+      ...stats
+    };
+  }
+}
+
+AttachmentService.ATTACHMENT_MODES = ATTACHMENT_MODES;
+
+module.exports = AttachmentService;
@@ -270,8 +270,8 @@ class DatabaseService {
   // IMPORT SESSION MANAGEMENT (Forward to Prisma)
   // ==========================================
 
-  async createImportSession(userId, tableNames) {
-    return await this.prisma.createImportSession(userId, tableNames);
+  async createImportSession(userId, tableNames, options = null) {
+    return await this.prisma.createImportSession(userId, tableNames, options);
   }
 
   async updateImportSession(sessionId, updates) {
@@ -286,6 +286,42 @@ class DatabaseService {
     return await this.prisma.getImportSessions(userId, limit);
   }
 
+  async failInterruptedSessions(errorMessage) {
+    return await this.prisma.failInterruptedSessions(errorMessage);
+  }
+
+  // ==========================================
+  // IMPORTED TABLE MANAGEMENT (Forward to Prisma)
+  // ==========================================
+
+  async createImportedTable(sessionId, tableName, metadata = {}) {
+    return await this.prisma.createImportedTable(sessionId, tableName, metadata);
+  }
+
+  async updateImportedTable(tableId, updates) {
+    return await this.prisma.updateImportedTable(tableId, updates);
+  }
+
+  async getLatestHighWaterMark(userId, airtableTableId, destination = null) {
+    return await this.prisma.getLatestHighWaterMark(userId, airtableTableId, destination);
+  }
+
+  async getLastImportedSchemaVersions(userId) {
+    return await this.prisma.getLastImportedSchemaVersions(userId);
+  }
+
+  async saveAirtableSchema(tableName, baseId, airtableId, fields) {
+    return await this.prisma.saveAirtableSchema(tableName, baseId, airtableId, fields);
+  }
+
+  async getAirtableSchema(baseId, airtableId, version = null) {
+    return await this.prisma.getAirtableSchema(baseId, airtableId, version);
+  }
+
+  async getAirtableSchemaVersions(baseId, airtableId) {
+    return await this.prisma.getAirtableSchemaVersions(baseId, airtableId);
+  }
+
   // ==========================================
   // UTILITY METHODS
   // ==========================================
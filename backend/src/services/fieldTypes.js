@@ -0,0 +1,173 @@
+/**
+ * Airtable Field Type Registry
+ *
+ * One entry per Airtable field type describing how ImportDatabaseService
+ * stores it: the SQL column type, the type used when a formula, rollup or
+ * lookup returns it, how to pull the stored value out of a structured API
+ * value, extra companion columns and the column comment. Supporting a new
+ * field type means adding an entry here; types without an entry are
+ * imported as TEXT and reported in the import results.
+ */
+
+/**
+ * @typedef {Object} FieldTypeDefinition
+ * @property {string|Function} column - SQL column type, or (options, service) => type
+ * @property {string} [resultColumn] - Column type when a computed field returns this type
+ *   (defaults to `column`)
+ * @property {boolean} [textValue] - Values are plain strings, so lookups of them fit TEXT[]
+ * @property {Function} [extract] - (value) => value to store, for structured API values
+ * @property {Array<{suffix: string, column: string, extract: Function}>} [companions] - Extra
+ *   `<field><suffix>` columns filled from the same value
+ * @property {Function} [describe] - (options, service) => column comment or null
+ */
+
+const text = { column: 'TEXT', textValue: true };
+
+const describePrecision = (label, options) =>
+  options.precision !== undefined ? `${label} (precision ${options.precision})` : null;
+
+/** @type {Object<string, FieldTypeDefinition>} */
+const FIELD_TYPES = {
+  singleLineText: text,
+  multilineText: text,
+  richText: text,
+  email: text,
+  url: text,
+  phoneNumber: text,
+  singleSelect: text,
+  multipleSelects: text,
+  multipleRecordLinks: text, // JSON array of record IDs; links also go to a junction table
+
+  number: {
+    column: (options, service) => service.getNumericType(options.precision),
+    resultColumn: 'NUMERIC', // Computed numbers have no fixed precision
+    describe: options => describePrecision('Airtable number', options)
+  },
+  currency: {
+    column: (options, service) => service.getNumericType(options.precision),
+    resultColumn: 'NUMERIC',
+    describe: options => `Airtable currency (symbol ${options.symbol || '?'}${options.precision !== undefined ? `, precision ${options.precision}` : ''})`
+  },
+  percent: {
+    // Stored as a fraction (49.5% is 0.495), so two more decimals than displayed
+    column: (options, service) => service.getNumericType(options.precision, 2),
+    resultColumn: 'NUMERIC',
+    describe: options => `Airtable percent stored as a fraction${options.precision !== undefined ? ` (precision ${options.precision})` : ''}`
+  },
+  rating: { column: 'INTEGER', resultColumn: 'NUMERIC' },
+  autoNumber: { column: 'INTEGER', resultColumn: 'NUMERIC' },
+  count: { column: 'INTEGER', resultColumn: 'NUMERIC' },
+  duration: {
+    column: 'INTERVAL', // Airtable sends seconds; SQLite keeps them as a REAL seconds column
+    resultColumn: 'NUMERIC',
+    describe: (options, service) =>
+      `Airtable duration (format ${options.durationFormat || 'h:mm'}, ${service.dbType === 'postgresql' ? 'interval' : 'seconds'})`
+  },
+
+  checkbox: {
+    column: 'BOOLEAN',
+    // Custom icons and colours only change how Airtable draws the box
+    describe: options => options.icon ? `Airtable checkbox (icon ${options.icon}${options.color ? `, color ${options.color}` : ''})` : null
+  },
+
+  date: { column: 'DATE' },
+  dateTime: { column: 'TIMESTAMPTZ' }, // SQLite stores ISO-8601 text with the offset of the import time zone
+  createdTime: { column: 'TIMESTAMPTZ' },
+  lastModifiedTime: { column: 'TIMESTAMPTZ' },
+
+  formula: { column: (options, service) => service.mapResultTypeToSQL(options.result) },
+  rollup: { column: (options, service) => service.mapResultTypeToSQL(options.result) },
+  multipleLookupValues: {
+    column: (options, service) => {
+      const elementType = service.getArrayElementType(options.result);
+      return elementType ? `${elementType}[]` : 'JSON';
+    }
+  },
+
+  // Computed collaborator values are not normalised
+  singleCollaborator: { column: 'COLLABORATOR', resultColumn: 'JSON' }, // User ID referencing _airtable_collaborators
+  createdBy: { column: 'COLLABORATOR', resultColumn: 'JSON' },
+  lastModifiedBy: { column: 'COLLABORATOR', resultColumn: 'JSON' },
+  multipleCollaborators: { column: 'TEXT[]', resultColumn: 'JSON' }, // Array of user IDs (JSON array on SQLite)
+
+  attachment: { column: 'JSON' },
+  multipleAttachments: { column: 'JSON' }, // Attachment metadata as JSON
+  barcode: { column: 'TEXT' },
+
+  button: {
+    // {label, url}: the URL is per record, the label usually comes from the field
+    column: 'TEXT',
+    resultColumn: 'JSON',
+    extract: value => value.url || null,
+    companions: [{ suffix: '_label', column: 'TEXT', extract: value => value.label || null }]
+  },
+  aiText: {
+    // {state: 'generated' | 'pending' | 'empty' | 'error', value, isStale}
+    column: 'TEXT',
+    resultColumn: 'JSON',
+    extract: value => value.state === 'error' ? null : (value.value === undefined ? null : value.value),
+    companions: [{ suffix: '_state', column: 'TEXT', extract: value => value.state || null }]
+  },
+  externalSyncSource: {
+    // The source of a synced record, shaped like a select choice ({id, name, color})
+    column: 'TEXT',
+    resultColumn: 'JSON',
+    extract: value => value.name || null
+  }
+};
+FIELD_TYPES.lookup = FIELD_TYPES.multipleLookupValues;
+
+/**
+ * Get the registry entry of a field type
+ *
+ * @param {string} type - Airtable field type
+ * @returns {FieldTypeDefinition|null} Entry, or null for unknown types
+ */
+function getFieldType(type) {
+  return Object.prototype.hasOwnProperty.call(FIELD_TYPES, type) ? FIELD_TYPES[type] : null;
+}
+
+/**
+ * Check whether a field type has a registry entry
+ *
+ * @param {string} type - Airtable field type
+ * @returns {boolean} True if the type is handled explicitly
+ */
+function isKnownFieldType(type) {
+  return getFieldType(type) !== null;
+}
+
+/**
+ * Fields of a table whose type has no registry entry
+ *
+ * @param {Array} fields - Airtable field definitions
+ * @returns {Array<{field: string, type: string}>} Unknown fields and their types
+ */
+function getUnknownFieldTypes(fields) {
+  return (fields || [])
+    .filter(field => !isKnownFieldType(field.type))
+    .map(field => ({ field: field.name, type: field.type }));
+}
+
+/**
+ * Companion columns of a field, e.g. `<field>_label` for buttons
+ *
+ * @param {Object} field - Airtable field definition
+ * @returns {Array<{name: string, column: string, extract: Function}>} Column names, types and extractors
+ */
+function getCompanionColumns(field) {
+  const fieldType = getFieldType(field.type);
+  return ((fieldType && fieldType.companions) || []).map(companion => ({
+    name: `${field.name}${companion.suffix}`,
+    column: companion.column,
+    extract: companion.extract
+  }));
+}
+
+module.exports = {
+  FIELD_TYPES,
+  getFieldType,
+  isKnownFieldType,
+  getUnknownFieldTypes,
+  getCompanionColumns
+};
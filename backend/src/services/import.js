@@ -1,18 +1,47 @@
 const AirtableService = require('./airtable');
 const ImportDatabaseService = require('./importDatabase');
+const AttachmentService = require('./attachments');
+const { createAttachmentStorage } = require('./attachmentStorage');
+const { getUnknownFieldTypes } = require('./fieldTypes');
+const { runWithConcurrency, createLimiter } = require('../utils/concurrency');
+
+// Incremental windows start this long before the stored mark to absorb clock skew;
+// re-fetched records are simply upserted again
+const HIGH_WATER_MARK_OVERLAP_MS = 60 * 1000;
+// Comments need one request per record: fetch a few records at a time and write them in batches
+const COMMENT_CONCURRENCY = 3;
+const COMMENT_BATCH_SIZE = 50;
+// Records fetched for an import preview unless the request asks for another sample size
+const DEFAULT_PREVIEW_SAMPLE_SIZE = 10;
+// Tables of one session imported at once unless the request sets a concurrency
+const DEFAULT_TABLE_CONCURRENCY = parseInt(process.env.IMPORT_TABLE_CONCURRENCY, 10) || 3;
+// Tables imported at once across all sessions of this server
+const MAX_CONCURRENT_TABLES = parseInt(process.env.IMPORT_MAX_CONCURRENT_TABLES, 10) || 6;
+const tableImportLimiter = createLimiter(MAX_CONCURRENT_TABLES);
 
 class ImportService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.db - App database service (DatabaseService) used to track
+   *   imported tables and incremental sync marks; optional
+   * @param {AttachmentService} options.attachmentService - Attachment downloader; created from the
+   *   ATTACHMENT_* environment on first use when omitted
+   */
+  constructor(options = {}) {
     this.airtableService = new AirtableService();
     this.importDatabaseService = new ImportDatabaseService();
+    this.db = options.db || null;
+    this.attachmentService = options.attachmentService || null;
     this.progressCallbacks = new Map();
+    this.cancellation = null; // {rollback} once cancel() has been called
+    this.replacedTables = []; // Full imports swapped in this session: {tableName, importedTable, replaced}
   }
 
-  async connect(airtableApiKey, airtableBaseId, databaseUrl) {
+  async connect(airtableApiKey, airtableBaseId, databaseUrl, options = {}) {
     try {
       // Connect to both services - pass base ID to database service for naming
       this.airtableService.connect(airtableApiKey, airtableBaseId);
-      const dbConnection = await this.importDatabaseService.connect(databaseUrl, airtableBaseId);
+      const dbConnection = await this.importDatabaseService.connect(databaseUrl, airtableBaseId, options);
       
       return { 
         success: true, 
@@ -36,77 +65,434 @@ class ImportService {
     this.progressCallbacks.delete(sessionId);
   }
 
+  /**
+   * Ask the running import to stop. Tables in progress stop after the page
+   * being written and tables not started yet are skipped; a full import in
+   * progress leaves its live table as it was.
+   *
+   * @param {Object} options - Cancel options
+   * @param {boolean} options.rollback - Also restore the tables this session already replaced
+   */
+  cancel(options = {}) {
+    this.cancellation = { rollback: !!options.rollback };
+    console.log(`🛑 Import cancellation requested${this.cancellation.rollback ? ' (rolling back completed tables)' : ''}`);
+  }
+
+  /**
+   * @returns {boolean} True once cancel() has been called
+   */
+  isCancelled() {
+    return this.cancellation !== null;
+  }
+
+  /**
+   * @returns {Error} Error with code 'IMPORT_CANCELLED' that unwinds a cancelled import
+   */
+  createCancelledError() {
+    const error = new Error('Import cancelled');
+    error.code = 'IMPORT_CANCELLED';
+    return error;
+  }
+
+  /**
+   * @throws {Error} The cancellation error when cancel() has been called
+   */
+  throwIfCancelled() {
+    if (this.cancellation) {
+      throw this.createCancelledError();
+    }
+  }
+
+  /**
+   * Emit a progress event for a session.
+   * Every event carries the number of Airtable requests retried so far for
+   * its table (rate limiting / service unavailable), so slow imports can be
+   * told apart from stuck ones.
+   *
+   * @param {string} sessionId - Import session ID
+   * @param {Object} data - Progress payload (table, status, message, ...)
+   */
   emitProgress(sessionId, data) {
     const callback = this.progressCallbacks.get(sessionId);
     if (callback) {
-      callback(data);
+      callback({
+        ...data,
+        retries: this.airtableService.getRetryCount(data.table),
+        totalRetries: this.airtableService.getRetryCount()
+      });
     }
   }
 
-  async importTable(tableName, sessionId, options = {}) {
-    const { overwrite = false } = options;
-    
+  /**
+   * Record the start of a table import in the app database (best effort)
+   *
+   * @param {string} sessionId - Import session ID
+   * @param {string} tableName - Airtable table name
+   * @param {Object} tableSchema - Table schema from the Metadata API
+   * @param {number|null} schemaVersion - AirtableSchema version of the table
+   * @returns {Promise<Object|null>} ImportedTable record, or null when tracking is unavailable
+   */
+  async trackTableStart(sessionId, tableName, tableSchema, schemaVersion = null) {
+    if (!this.db) {
+      return null;
+    }
     try {
-      this.emitProgress(sessionId, {
-        table: tableName,
-        status: 'starting',
-        message: 'Starting import process...'
+      const destination = this.importDatabaseService.getDestination();
+      return await this.db.createImportedTable(sessionId, tableName, {
+        airtableTableId: tableSchema.id,
+        ...(destination ? { destination } : {}),
+        ...(schemaVersion ? { schemaVersion } : {})
       });
+    } catch (error) {
+      console.warn(`⚠️  Could not record import of table '${tableName}':`, error.message);
+      return null;
+    }
+  }
 
-      // Fetch records from Airtable
-      this.emitProgress(sessionId, {
-        table: tableName,
-        status: 'fetching',
-        message: 'Fetching records from Airtable...'
-      });
+  /**
+   * Update the ImportedTable record of a table import (best effort)
+   *
+   * @param {Object|null} importedTable - Record returned by trackTableStart
+   * @param {Object} updates - Fields to update
+   */
+  async trackTableUpdate(importedTable, updates) {
+    if (!this.db || !importedTable) {
+      return;
+    }
+    try {
+      await this.db.updateImportedTable(importedTable.id, updates);
+    } catch (error) {
+      console.warn(`⚠️  Could not update import record of table '${importedTable.tableName}':`, error.message);
+    }
+  }
 
-      console.log(`🔍 About to fetch records from Airtable table: ${tableName}`);
-      console.log(`🔍 Airtable service state:`, {
-        hasService: !!this.airtableService,
-        hasBase: !!this.airtableService?.base,
-        baseId: this.airtableService?.baseId
+  /**
+   * Find the field incremental sync can read modification times from.
+   * Only lastModifiedTime fields that track every field qualify; a field
+   * watching a subset of columns would miss changes to the others.
+   *
+   * @param {Object} tableSchema - Table schema from the Metadata API
+   * @returns {Object|null} Field definition or null to fall back to LAST_MODIFIED_TIME()
+   */
+  getLastModifiedField(tableSchema) {
+    return (tableSchema.fields || []).find(field =>
+      field.type === 'lastModifiedTime' &&
+      !(field.options && Array.isArray(field.options.referencedFieldIds) && field.options.referencedFieldIds.length > 0)
+    ) || null;
+  }
+
+  /**
+   * Work out the record filter for an incremental sync
+   *
+   * @param {Object} tableSchema - Table schema from the Metadata API
+   * @param {number} userId - Owner of the session (marks are per user and destination database)
+   * @returns {Promise<{since: Date, filterByFormula: string}|null>} Window, or null when a full fetch is needed
+   */
+  async getIncrementalWindow(tableSchema, userId) {
+    if (!this.db || !tableSchema.id) {
+      return null;
+    }
+
+    let previousImport = null;
+    try {
+      previousImport = await this.db.getLatestHighWaterMark(userId, tableSchema.id, this.importDatabaseService.getDestination());
+    } catch (error) {
+      console.warn(`⚠️  Could not load high-water mark for table '${tableSchema.name}':`, error.message);
+    }
+    if (!previousImport || !previousImport.highWaterMark) {
+      return null;
+    }
+
+    const lastModifiedField = this.getLastModifiedField(tableSchema);
+    const since = new Date(new Date(previousImport.highWaterMark).getTime() - HIGH_WATER_MARK_OVERLAP_MS);
+
+    return {
+      since,
+      filterByFormula: this.airtableService.buildModifiedSinceFormula(since, lastModifiedField ? lastModifiedField.name : null)
+    };
+  }
+
+  /**
+   * Describe the junction tables for the linked-record fields of a table
+   *
+   * @param {string} sanitizedTableName - Destination table name
+   * @param {Object} tableSchema - Schema restricted to the imported fields
+   * @returns {Array<{fieldName: string, linkedTableId: string, linkTable: string}>} One entry per link field
+   */
+  getRecordLinks(sanitizedTableName, tableSchema) {
+    return (tableSchema.fields || [])
+      .filter(field => field.type === 'multipleRecordLinks')
+      .map(field => ({
+        fieldName: field.name,
+        linkedTableId: field.options ? field.options.linkedTableId : null,
+        linkTable: this.importDatabaseService.getLinkTableName(sanitizedTableName, field.name)
+      }));
+  }
+
+  /**
+   * Add foreign keys to the junction tables of a finished session.
+   * Runs after every table is loaded so links may point at tables imported later.
+   *
+   * @param {Array} results - Per-table results from importTable; successful ones gain `foreignKeys`
+   */
+  async constrainLinkTables(results) {
+    const tables = await this.airtableService.getBaseMetadata();
+    const tableNamesById = new Map(tables.map(table => [table.id, table.name.replace(/[^a-zA-Z0-9_]/g, '_')]));
+
+    for (const result of results) {
+      if (!result.success || !result.links || result.links.length === 0) {
+        continue;
+      }
+
+      result.foreignKeys = [];
+      for (const link of result.links) {
+        const targetTable = tableNamesById.get(link.linkedTableId);
+        const outcome = targetTable
+          ? await this.importDatabaseService.addLinkForeignKeys(link.linkTable, result.tableName, targetTable)
+          : { status: 'skipped', reason: `Linked table ${link.linkedTableId} not found in base` };
+        result.foreignKeys.push({ linkTable: link.linkTable, ...outcome });
+      }
+    }
+  }
+
+  /**
+   * Restrict a table schema to the selected fields
+   *
+   * @param {Object} tableSchema - Table schema from the Metadata API
+   * @param {string[]} fields - Selected field names or IDs; all fields when omitted
+   * @returns {Object} Schema containing only the selected fields, in table order
+   * @throws {Error} When a selected field does not exist in the table
+   */
+  applyFieldSelection(tableSchema, fields) {
+    if (!fields || fields.length === 0) {
+      return tableSchema;
+    }
+
+    const unknownFields = fields.filter(selected =>
+      !tableSchema.fields.some(field => field.name === selected || field.id === selected)
+    );
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown fields for table '${tableSchema.name}': ${unknownFields.join(', ')}`);
+    }
+
+    return {
+      ...tableSchema,
+      fields: tableSchema.fields.filter(field => fields.includes(field.name) || fields.includes(field.id))
+    };
+  }
+
+  /**
+   * Extract the parameters of a selection that limit which records are imported
+   *
+   * @param {Object|null} selection - Per-table selection
+   * @returns {Object} view, filterByFormula, sort and maxRecords when set
+   */
+  getRowFilters(selection) {
+    const rowFilters = {};
+    if (selection) {
+      ['view', 'filterByFormula', 'sort', 'maxRecords'].forEach(key => {
+        if (selection[key] !== undefined) {
+          rowFilters[key] = selection[key];
+        }
       });
+    }
+    return rowFilters;
+  }
+
+  /**
+   * Build the list records parameters for a table import
+   *
+   * @param {Object} tableSchema - Schema restricted to the imported fields
+   * @param {Object|null} selection - Per-table selection (fields, view, filterByFormula, sort, maxRecords)
+   * @param {Object|null} incrementalWindow - Window from getIncrementalWindow
+   * @returns {Object} Parameters for streamTableRecords
+   */
+  buildRecordParams(tableSchema, selection, incrementalWindow) {
+    const { filterByFormula, ...params } = this.getRowFilters(selection);
+
+    if (selection && selection.fields) {
+      // Request by name so record fields line up with the created columns
+      params.fields = tableSchema.fields.map(field => field.name);
+    }
+
+    const formulas = [filterByFormula, incrementalWindow && incrementalWindow.filterByFormula].filter(Boolean);
+    if (formulas.length > 0) {
+      params.filterByFormula = formulas.length > 1 ? `AND(${formulas.join(', ')})` : formulas[0];
+    }
+
+    return params;
+  }
 
-      const records = await this.airtableService.getTableRecords(
-        tableName,
-        (progress) => this.emitProgress(sessionId, progress)
+  /**
+   * Store the table's field definitions as a versioned AirtableSchema
+   * record (best effort)
+   *
+   * @param {Object} tableSchema - Table schema from the Metadata API
+   * @returns {Promise<number|null>} Version of the schema, or null when unavailable
+   */
+  async snapshotTableSchema(tableSchema) {
+    if (!this.db) {
+      return null;
+    }
+    try {
+      const snapshot = await this.db.saveAirtableSchema(
+        tableSchema.name, this.airtableService.baseId, tableSchema.id, tableSchema.fields || []
       );
+      return snapshot ? snapshot.version : null;
+    } catch (error) {
+      console.warn(`⚠️  Could not snapshot the schema of table '${tableSchema.name}':`, error.message);
+      return null;
+    }
+  }
 
-      console.log(`📊 Airtable returned:`, {
-        tableName,
-        recordsType: typeof records,
-        recordsValue: records,
-        recordsLength: records ? records.length : 'undefined'
+  /**
+   * Fields of the table as of its previous completed import, from the
+   * AirtableSchema version recorded on that import (best effort)
+   *
+   * @param {string} airtableTableId - Airtable table ID
+   * @param {number} userId - Owner of the imports
+   * @returns {Promise<Array|null>} Stored field definitions, or null when unavailable
+   */
+  async getStoredSchemaFields(airtableTableId, userId) {
+    if (!this.db || !airtableTableId || userId === undefined) {
+      return null;
+    }
+    try {
+      const previousImport = (await this.db.getLastImportedSchemaVersions(userId))
+        .find(importedTable => importedTable.airtableTableId === airtableTableId);
+      if (!previousImport) {
+        return null;
+      }
+      const stored = await this.db.getAirtableSchema(this.airtableService.baseId, airtableTableId, previousImport.schemaVersion);
+      return stored && Array.isArray(stored.fields) ? stored.fields : null;
+    } catch (error) {
+      console.warn(`⚠️  Could not load the stored schema of table ${airtableTableId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Attachment downloader writing to the configured storage backend
+   *
+   * @returns {AttachmentService} Shared downloader of this import service
+   */
+  getAttachmentService() {
+    if (!this.attachmentService) {
+      this.attachmentService = new AttachmentService({
+        storage: createAttachmentStorage(),
+        importDatabaseService: this.importDatabaseService
       });
+    }
+    return this.attachmentService;
+  }
 
-      if (!records) {
-        throw new Error(`No records returned from Airtable for table '${tableName}'`);
-      }
+  /**
+   * Import a single Airtable table into the target database.
+   * Records are streamed page by page: each Airtable page (or, with a
+   * batch size, each batch of pages) is written before the next page is
+   * requested, so memory stays flat regardless of table size and progress
+   * events report rows actually persisted.
+   *
+   * @param {string} tableName - Airtable table name
+   * @param {string} sessionId - Import session ID (for progress events)
+   * @param {Object} options - Import options
+   * @param {boolean} options.overwrite - Drop and recreate an existing table instead of syncing
+   * @param {boolean} options.incremental - In sync mode, fetch only records changed since the last import
+   * @param {string} options.deletionMode - In sync mode, 'none', 'hard' (delete rows) or 'tombstone' (set _deleted_at)
+   * @param {string} options.selectStorage - Select fields as 'text', with option 'lookup' tables, or Postgres 'enum' types
+   * @param {string} options.timeZone - IANA zone timestamps are written in (default UTC)
+   * @param {boolean} options.localDateColumns - Add `<field>_local_date` columns for timestamp fields
+   * @param {string} options.attachmentMode - 'metadata' keeps Airtable's attachment JSON, 'download'
+   *   stores the files and points the column at the stored copies
+   * @param {boolean} options.comments - Also fetch the comments of every imported record into `<table>__comments`
+   * @param {number|null} options.maxRejectedRecords - Records that may fail to insert (and go to `_import_rejects`)
+   *   before the table counts as failed; null for no limit
+   * @param {number|null} options.batchSize - Records per bulk write (COPY on Postgres, one transaction
+   *   on SQLite); pages are buffered up to it. null writes each page with the IMPORT_BATCH_SIZE default
+   * @param {boolean} options.keepReplacedTables - Keep the table a full import replaces (as
+   *   `<table>__previous_<session>`) so a cancelled session can restore it
+   * @param {Object|null} options.resumeFrom - ImportedTable record of an interrupted attempt of this
+   *   table in the same session; the import continues from its checkpoint when the table it was
+   *   writing to is still there, and starts over otherwise
+   * @param {number} options.userId - Owner of the session (scopes incremental sync marks)
+   * @param {number} options.expectedRecords - Record count from discovery, used as progress total
+   * @param {Object} options.selection - Optional fields, view, filterByFormula, sort and maxRecords;
+   *   deletion propagation always compares against every record of the table, so rows outside the
+   *   selection are kept
+   * @returns {Promise<Object>} Per-table import result
+   */
+  async importTable(tableName, sessionId, options = {}) {
+    const {
+      overwrite = false,
+      incremental = false,
+      deletionMode = 'none',
+      selectStorage = 'text',
+      timeZone = 'UTC',
+      localDateColumns = false,
+      attachmentMode = 'metadata',
+      comments = false,
+      maxRejectedRecords = null,
+      batchSize = null,
+      keepReplacedTables = false,
+      resumeFrom = null,
+      userId,
+      expectedRecords,
+      selection = null
+    } = options;
+    const storageOptions = { selectStorage, timeZone, localDateColumns };
+    let totalRecords = typeof expectedRecords === 'number' && expectedRecords >= 0 ? expectedRecords : undefined;
+    const rowFilters = this.getRowFilters(selection);
+    // A run limited to some rows says nothing about changes to the others
+    const rowsFiltered = !!(rowFilters.view || rowFilters.filterByFormula || rowFilters.maxRecords);
+    let importedTable = null;
+    // Staging tables of a full import that have not been swapped in yet
+    let stagingTables = [];
+    // Whether what was written so far is kept for a later resume if the import fails
+    let resumable = false;
 
-      if (records.length === 0) {
-        this.emitProgress(sessionId, {
-          table: tableName,
-          status: 'completed',
-          message: 'No records found in table',
-          recordsProcessed: 0
-        });
-        return {
-          tableName: sanitizedTableName,
-          success: true,
-          mode: 'empty',
-          processedRecords: 0,
-          skippedRecords: 0,
-          totalRecords: 0,
-          recordsImported: 0, // Legacy compatibility
-          recordsSkipped: 0   // Legacy compatibility
-        };
+    // A view or formula makes the discovery count meaningless as a progress total
+    if (rowFilters.view || rowFilters.filterByFormula) {
+      totalRecords = undefined;
+    } else if (rowFilters.maxRecords && totalRecords !== undefined) {
+      totalRecords = Math.min(totalRecords, rowFilters.maxRecords);
+    }
+    
+    try {
+      this.emitProgress(sessionId, {
+        table: tableName,
+        status: 'starting',
+        message: 'Starting import process...'
+      });
+
+      // Get table schema from Airtable metadata API (served from the base metadata cache)
+      const fullTableSchema = await this.airtableService.getTableSchema(tableName);
+      const schemaVersion = await this.snapshotTableSchema(fullTableSchema);
+      if (resumeFrom) {
+        // Carry on the record of the interrupted attempt
+        importedTable = resumeFrom;
+        await this.trackTableUpdate(importedTable, { status: 'RUNNING', errorMessage: null, ...(schemaVersion ? { schemaVersion } : {}) });
+      } else {
+        importedTable = await this.trackTableStart(sessionId, tableName, fullTableSchema, schemaVersion);
       }
+      const tableSchema = this.applyFieldSelection(fullTableSchema, selection && selection.fields);
+      // Changes made while an interrupted attempt was fetching must not fall behind the high-water mark
+      const fetchStartedAt = resumeFrom && resumeFrom.createdAt ? new Date(resumeFrom.createdAt) : new Date();
+      let checkpoint = resumeFrom && resumeFrom.checkpointTable ? resumeFrom : null;
 
       // Check if table already exists and handle based on overwrite flag
       const sanitizedTableName = tableName.replace(/[^a-zA-Z0-9_]/g, '_');
       const tableAlreadyExists = await this.importDatabaseService.tableExists(sanitizedTableName);
+      const syncMode = tableAlreadyExists && !overwrite;
+      const propagateDeletions = syncMode && deletionMode !== 'none';
+      let incrementalWindow = null;
+      let existingColumnTypes = null;
+      let schemaChanges = [];
+
+      // Linked-record fields also land in <table>__<field> junction tables; their foreign
+      // keys are dropped while loading and restored once the whole session is in
+      const links = this.getRecordLinks(sanitizedTableName, tableSchema);
       
-      if (tableAlreadyExists && !overwrite) {
+      if (syncMode) {
         // Table exists and overwrite is false - sync mode
         this.emitProgress(sessionId, {
           table: tableName,
@@ -115,34 +501,51 @@ class ImportService {
         });
         
         console.log(`📊 Table '${tableName}' already exists, syncing new records (overwrite: false)`);
-        
-        // Skip table creation, go directly to record insertion with sync logic
-        const insertResult = await this.importDatabaseService.insertRecords(
-          sanitizedTableName,
-          records,
-          { syncMode: true } // This will skip duplicates
-        );
 
-        this.emitProgress(sessionId, {
-          table: tableName,
-          status: 'completed',
-          message: `Sync completed successfully`,
-          recordsProcessed: insertResult.insertedCount,
-          totalRecords: records.length,
-          skippedRecords: insertResult.skippedCount
-        });
+        if (incremental) {
+          // The filter may use a tracking field even when it is not imported
+          incrementalWindow = await this.getIncrementalWindow(fullTableSchema, userId);
+          if (incrementalWindow) {
+            // The discovery count covers the whole table, not just the changes
+            totalRecords = undefined;
+            console.log(`⏩ Incremental sync of '${tableName}': records changed since ${incrementalWindow.since.toISOString()}`);
+            this.emitProgress(sessionId, {
+              table: tableName,
+              status: 'syncing',
+              message: `Fetching records changed since ${incrementalWindow.since.toISOString()}...`
+            });
+          } else {
+            console.log(`📊 No high-water mark for '${tableName}' yet, running a full sync`);
+          }
+        }
 
-        return {
-          tableName: sanitizedTableName,
-          success: true,
-          mode: 'sync',
-          processedRecords: insertResult.insertedCount,
-          updatedRecords: insertResult.updatedCount || 0,
-          skippedRecords: insertResult.skippedCount,
-          totalRecords: records.length,
-          recordsImported: insertResult.insertedCount, // Legacy compatibility
-          recordsSkipped: insertResult.skippedCount    // Legacy compatibility
-        };
+        if (deletionMode === 'tombstone') {
+          await this.importDatabaseService.ensureTombstoneColumn(sanitizedTableName);
+        }
+
+        // Keep option tables, enum types, columns and column metadata in step with the Airtable schema
+        await this.importDatabaseService.syncSelectCatalogues(sanitizedTableName, tableSchema.fields, storageOptions);
+        schemaChanges = await this.importDatabaseService.evolveTableSchema(sanitizedTableName, tableSchema.fields, {
+          ...storageOptions,
+          allFields: fullTableSchema.fields,
+          previousFields: await this.getStoredSchemaFields(fullTableSchema.id, userId)
+        });
+        if (schemaChanges.length > 0) {
+          this.emitProgress(sessionId, {
+            table: tableName,
+            status: 'syncing',
+            message: `Applied ${schemaChanges.filter(change => change.applied).length} of ${schemaChanges.length} schema changes`
+          });
+        }
+        await this.importDatabaseService.writeColumnMetadata(sanitizedTableName, tableSchema.fields);
+        await this.importDatabaseService.ensureCompanionColumns(sanitizedTableName, tableSchema.fields);
+        if (localDateColumns) {
+          await this.importDatabaseService.ensureLocalDateColumns(sanitizedTableName, tableSchema.fields, storageOptions);
+        }
+        existingColumnTypes = await this.importDatabaseService.getColumnTypes(sanitizedTableName);
+        if (checkpoint && checkpoint.checkpointTable !== sanitizedTableName) {
+          checkpoint = null;
+        }
       } else {
         // Either table doesn't exist or overwrite is true - full import mode
         this.emitProgress(sessionId, {
@@ -154,86 +557,596 @@ class ImportService {
         });
 
         if (tableAlreadyExists && overwrite) {
-          console.log(`🗑️  Table '${tableName}' exists, dropping for fresh import (overwrite: true)`);
-          await this.importDatabaseService.dropTableIfExists(sanitizedTableName);
+          console.log(`🔁 Table '${tableName}' exists, loading a staging table to replace it (overwrite: true)`);
         }
 
-        // Get table schema from Airtable metadata API
-        const tableSchema = await this.airtableService.getTableSchema(tableName);
-        
-        // Create table using metadata instead of inferring from records
-        await this.importDatabaseService.createTableFromAirtableMetadata(
-          tableName,
-          tableSchema
-        );
+        // An interrupted attempt of this session may have left its staging tables to continue
+        const resumedStaging = checkpoint
+          ? await this.importDatabaseService.resumeStaging([sanitizedTableName, ...links.map(link => link.linkTable)], sessionId)
+          : null;
+        if (resumedStaging && resumedStaging[0] === checkpoint.checkpointTable) {
+          console.log(`⏯️  Resuming the staging table of '${tableName}' from ${checkpoint.checkpointRows} records`);
+          stagingTables.push(...resumedStaging);
+          await this.importDatabaseService.syncSelectCatalogues(sanitizedTableName, tableSchema.fields, storageOptions);
+        } else {
+          checkpoint = null;
+          // Create table using metadata instead of inferring from records; a full import loads
+          // a staging table that replaces the live one only once every record is in
+          const stagingTable = await this.importDatabaseService.beginStaging(sanitizedTableName, sessionId);
+          stagingTables.push(stagingTable);
+          await this.importDatabaseService.createTableFromAirtableMetadata(
+            stagingTable,
+            tableSchema,
+            storageOptions
+          );
+        }
       }
+      const writeTable = stagingTables[0] || sanitizedTableName;
+      resumable = !!checkpoint;
+
+      // Inserts convert values (formula results, lookups, error cells) using the field metadata
+      this.importDatabaseService.setTableFields(sanitizedTableName, tableSchema.fields, { ...storageOptions, existingColumnTypes });
+
+      const linkWriteTables = new Map(); // junction table -> table its links are written to
+      for (const [index, link] of links.entries()) {
+        await this.importDatabaseService.dropLinkForeignKeys(link.linkTable);
+        if (syncMode) {
+          await this.importDatabaseService.createLinkTable(link.linkTable, { replace: false });
+          linkWriteTables.set(link.linkTable, link.linkTable);
+        } else if (checkpoint) {
+          linkWriteTables.set(link.linkTable, stagingTables[index + 1]);
+        } else {
+          const stagingTable = await this.importDatabaseService.beginStaging(link.linkTable, sessionId);
+          stagingTables.push(stagingTable);
+          await this.importDatabaseService.createLinkTable(stagingTable, { replace: true });
+          linkWriteTables.set(link.linkTable, stagingTable);
+        }
+      }
+      const linkCounts = new Map(); // table links are written to -> links written
 
-      // Insert records for full import mode (overwrite or new table)
       this.emitProgress(sessionId, {
         table: tableName,
-        status: 'inserting',
-        message: 'Inserting records into database...',
-        totalRecords: records.length
+        status: 'fetching',
+        message: 'Fetching records from Airtable...',
+        recordsProcessed: 0,
+        totalRecords
       });
 
-      const insertResult = await this.importDatabaseService.insertRecords(
-        sanitizedTableName,
-        records,
-        { syncMode: false } // Full import mode
-      );
+      // Write each batch once its pages are in; the next page is fetched only after the batch is persisted
+      let insertedCount = 0;
+      let updatedCount = 0;
+      let skippedCount = 0;
+      let errorCells = 0;
+      let rejectedCount = 0;
+      const unknownSelectValues = {};
+
+      // Attachment files are copied to storage before their records are written
+      const attachmentFields = attachmentMode === 'download' ? AttachmentService.getAttachmentFields(tableSchema.fields) : [];
+      const attachments = attachmentFields.length > 0 ? { downloaded: 0, unchanged: 0, deduplicated: 0, failed: 0 } : null;
+
+      // High-water mark: the fetch start, or the latest modification seen when a tracking field shows an earlier
+      // one (a server clock ahead of Airtable's). Never later than the fetch start: a record on an early page
+      // edited while later pages were fetched must still be newer than the mark.
+      const lastModifiedField = this.getLastModifiedField(tableSchema);
+      let latestModification = null;
+
+      // IDs seen in a full fetch double as the source set for deletion detection
+      const sourceIds = new Set();
+      // Records whose comments are fetched once all records are in
+      const commentRecordIds = [];
+
+      // Records an interrupted attempt already wrote; a resumed stream continues after them
+      let resumedRows = checkpoint ? checkpoint.checkpointRows || 0 : 0;
+      let streamedFromStart = !(checkpoint && checkpoint.checkpointOffset);
+      const stagedRows = checkpoint && !syncMode ? await this.importDatabaseService.countRows(writeTable) : 0;
+      // Records written after the last checkpoint may already be in a resumed table
+      const upsert = syncMode || !!checkpoint;
+
+      // Sync mode upserts and skips duplicates
+      const insertOptions = { syncMode: upsert, sessionId, ...(batchSize ? { batchSize } : {}) };
+      if (syncMode && deletionMode === 'tombstone') {
+        // Records restored in Airtable come back to life
+        insertOptions.clearTombstones = true;
+      }
+
+      // Records fetched but not yet written, and the raw records whose links are written with them
+      const pending = { records: [], linkRecords: [] };
+      let lastPageInfo = null;
+      const writePending = async () => {
+        const insertResult = await this.importDatabaseService.insertRecords(
+          writeTable,
+          pending.records,
+          insertOptions
+        );
+
+        // Links of rejected records would point at rows that do not exist
+        const rejectedIds = new Set(insertResult.rejectedIds || []);
+        const linkRecords = rejectedIds.size > 0 ? pending.linkRecords.filter(record => !rejectedIds.has(record.id)) : pending.linkRecords;
+        for (const link of links) {
+          const linkTable = linkWriteTables.get(link.linkTable);
+          const written = await this.importDatabaseService.writeRecordLinks(linkTable, link.fieldName, linkRecords, { replace: upsert });
+          linkCounts.set(linkTable, (linkCounts.get(linkTable) || 0) + (written || 0));
+        }
+
+        insertedCount += insertResult.insertedCount;
+        updatedCount += insertResult.updatedCount || 0;
+        skippedCount += insertResult.skippedCount;
+        errorCells += insertResult.errorCells || 0;
+        rejectedCount += insertResult.rejectedCount || 0;
+        if (maxRejectedRecords !== null && rejectedCount > maxRejectedRecords) {
+          const error = new Error(`Rejected ${rejectedCount} records, more than the limit of ${maxRejectedRecords} (see ${ImportDatabaseService.REJECTS_TABLE})`);
+          error.rejectedRecords = rejectedCount;
+          throw error;
+        }
+        Object.entries(insertResult.unknownSelectValues || {}).forEach(([fieldName, values]) => {
+          unknownSelectValues[fieldName] = [...new Set([...(unknownSelectValues[fieldName] || []), ...values])];
+        });
+
+        // Everything up to the last buffered page is persisted: a resume fetches the pages after it
+        const writtenRecords = resumedRows + insertedCount + updatedCount + skippedCount;
+        await this.trackTableUpdate(importedTable, {
+          checkpointTable: writeTable,
+          checkpointOffset: lastPageInfo.offset || null,
+          checkpointRows: writtenRecords
+        });
+        resumable = true;
+
+        this.emitProgress(sessionId, {
+          table: tableName,
+          status: syncMode ? 'syncing' : 'inserting',
+          message: `Persisted ${writtenRecords} records (page ${lastPageInfo.pageNumber})` +
+            (rejectedCount > 0 ? `, ${rejectedCount} rejected...` : '...'),
+          recordsProcessed: writtenRecords,
+          rejectedRecords: rejectedCount,
+          totalRecords: totalRecords !== undefined ? Math.max(totalRecords, resumedRows + lastPageInfo.fetchedRecords) : undefined
+        });
+        pending.records = [];
+        pending.linkRecords = [];
+      };
+
+      const onPage = async (records, pageInfo) => {
+        if (propagateDeletions && !incrementalWindow) {
+          records.forEach(record => sourceIds.add(record.id));
+        }
+        if (comments) {
+          records.forEach(record => commentRecordIds.push(record.id));
+        }
+
+        if (lastModifiedField) {
+          records.forEach(record => {
+            [record.fields?.[lastModifiedField.name], record.createdTime].forEach(value => {
+              const time = value ? new Date(value) : null;
+              if (time && !isNaN(time) && (!latestModification || time > latestModification)) {
+                latestModification = time;
+              }
+            });
+          });
+        }
+
+        let pageRecords = records;
+        if (attachments) {
+          const stored = await this.getAttachmentService().storeRecordAttachments(records, attachmentFields);
+          pageRecords = stored.records;
+          Object.keys(attachments).forEach(key => { attachments[key] += stored[key]; });
+        }
+
+        pending.records.push(...pageRecords);
+        pending.linkRecords.push(...records);
+        lastPageInfo = pageInfo;
+        if (!batchSize || pending.records.length >= batchSize) {
+          await writePending();
+        }
+
+        // A cancelled import stops once the current page is written
+        if (this.cancellation) {
+          if (pending.records.length > 0) {
+            await writePending();
+          }
+          this.throwIfCancelled();
+        }
+      };
+
+      const params = this.buildRecordParams(tableSchema, selection, incrementalWindow);
+      let streamed;
+      try {
+        streamed = await this.airtableService.streamTableRecords(tableName, onPage, {
+          params,
+          ...(streamedFromStart ? {} : { offset: checkpoint.checkpointOffset })
+        });
+      } catch (error) {
+        if (error.code !== 'OFFSET_EXPIRED' || streamedFromStart) {
+          throw error;
+        }
+        // Records already written are upserted again on the way
+        console.warn(`⚠️  Airtable no longer accepts the checkpoint of '${tableName}', fetching it from the first page`);
+        resumedRows = 0;
+        streamedFromStart = true;
+        streamed = await this.airtableService.streamTableRecords(tableName, onPage, { params });
+      }
+      const fetchedRecords = resumedRows + streamed.fetchedRecords;
+      if (pending.records.length > 0) {
+        await writePending();
+      }
+
+      if (stagingTables.length > 0) {
+        // Swap the table and its junction tables in together, once their row counts check out
+        // (links rewritten after a resume replace their earlier copies, so those are not counted)
+        const replaced = await this.importDatabaseService.swapStagingTables([
+          { stagingTable: writeTable, expectedRows: stagedRows + insertedCount },
+          ...[...linkWriteTables.values()].map(linkTable => ({
+            stagingTable: linkTable,
+            expectedRows: checkpoint ? undefined : linkCounts.get(linkTable) || 0
+          }))
+        ], { keepPrevious: keepReplacedTables });
+        stagingTables = [];
+        if (keepReplacedTables) {
+          this.replacedTables.push({ tableName, importedTable, replaced });
+        }
+        await this.importDatabaseService.writeColumnMetadata(sanitizedTableName, tableSchema.fields);
+      }
+
+      // A resumed stream only saw the records after the checkpoint
+      const commentResult = comments
+        ? await this.importRecordComments(
+          tableName,
+          sanitizedTableName,
+          streamedFromStart ? commentRecordIds : [...await this.airtableService.listRecordIds(tableSchema, rowFilters)],
+          sessionId,
+          { replace: !syncMode, timeZone }
+        )
+        : null;
+
+      let deletedCount = 0;
+      if (propagateDeletions) {
+        this.emitProgress(sessionId, {
+          table: tableName,
+          status: 'syncing',
+          message: 'Checking for records deleted in Airtable...'
+        });
+
+        // An incremental, resumed or filtered fetch only sees some records, so list every ID
+        // of the table separately; records outside a view, formula or maxRecords are not deleted
+        const presentIds = incrementalWindow || !streamedFromStart || rowsFiltered
+          ? await this.airtableService.listRecordIds(tableSchema)
+          : sourceIds;
+        deletedCount = await this.importDatabaseService.deleteMissingRecords(sanitizedTableName, presentIds, {
+          mode: deletionMode,
+          linkTables: links.map(link => link.linkTable),
+          ...(commentResult ? { commentsTable: commentResult.table } : {})
+        });
+      }
+
+      const mode = incrementalWindow ? 'incremental' :
+        (fetchedRecords === 0 ? 'empty' : (syncMode ? 'sync' : 'import'));
+      // No mark for a filtered or capped run: a later incremental sync would skip the rows it left out
+      const highWaterMark = rowsFiltered ? null : (lastModifiedField
+        ? (latestModification
+          ? new Date(Math.min(latestModification.getTime(), fetchStartedAt.getTime()))
+          : (incrementalWindow ? new Date(incrementalWindow.since.getTime() + HIGH_WATER_MARK_OVERLAP_MS) : fetchStartedAt))
+        : fetchStartedAt);
+
+      await this.trackTableUpdate(importedTable, {
+        status: 'COMPLETED',
+        recordCount: resumedRows + insertedCount + updatedCount,
+        checkpointTable: null,
+        checkpointOffset: null,
+        highWaterMark,
+        lastModifiedField: lastModifiedField && highWaterMark ? lastModifiedField.name : null
+      });
 
       this.emitProgress(sessionId, {
         table: tableName,
         status: 'completed',
-        message: `Import completed successfully`,
-        recordsProcessed: insertResult.insertedCount,
-        totalRecords: records.length
+        message: fetchedRecords === 0 ? 'No records found in table' :
+          (syncMode ? 'Sync completed successfully' : 'Import completed successfully'),
+        recordsProcessed: resumedRows + insertedCount + updatedCount + skippedCount,
+        totalRecords: fetchedRecords,
+        skippedRecords: skippedCount,
+        deletedRecords: deletedCount,
+        rejectedRecords: rejectedCount,
+        errorCells
       });
 
       return {
         tableName: sanitizedTableName,
         success: true,
-        mode: 'import',
-        processedRecords: insertResult.insertedCount,
-        updatedRecords: 0, // No updated records in full import mode
-        skippedRecords: 0, // No skipped records in full import mode
-        totalRecords: records.length,
-        recordsImported: insertResult.insertedCount, // Legacy compatibility
-        recordsSkipped: 0                            // Legacy compatibility
+        mode,
+        ...(checkpoint ? { resumedRecords: resumedRows } : {}),
+        processedRecords: insertedCount,
+        updatedRecords: updatedCount,
+        skippedRecords: skippedCount,
+        deletedRecords: deletedCount,
+        rejectedRecords: rejectedCount,
+        errorCells,
+        unknownSelectValues,
+        unknownFieldTypes: getUnknownFieldTypes(tableSchema.fields),
+        schemaChanges,
+        attachments,
+        comments: commentResult,
+        totalRecords: fetchedRecords,
+        highWaterMark: highWaterMark ? highWaterMark.toISOString() : null,
+        links,
+        recordsImported: insertedCount, // Legacy compatibility
+        recordsSkipped: skippedCount    // Legacy compatibility
       };
 
     } catch (error) {
+      // The live tables were never touched; drop what was loaded so far, unless the
+      // session can resume from it (a table over its reject limit starts over)
+      const cancelled = error.code === 'IMPORT_CANCELLED';
+      if (stagingTables.length > 0 && (cancelled || !resumable || error.rejectedRecords)) {
+        await this.importDatabaseService.discardStagingTables(stagingTables).catch(discardError => {
+          console.warn(`⚠️  Could not drop staging tables of '${tableName}':`, discardError.message);
+        });
+      } else if (stagingTables.length > 0) {
+        console.log(`⏸️  Keeping the staging tables of '${tableName}' to resume the import`);
+      }
+      if (cancelled) {
+        await this.trackTableUpdate(importedTable, { status: 'CANCELLED', errorMessage: error.message, checkpointTable: null, checkpointOffset: null });
+        this.emitProgress(sessionId, { table: tableName, status: 'cancelled', message: 'Import cancelled' });
+        throw error;
+      }
+
+      await this.trackTableUpdate(importedTable, {
+        status: 'FAILED',
+        errorMessage: error.message
+      });
+
       this.emitProgress(sessionId, {
         table: tableName,
         status: 'error',
         message: error.message,
-        error: error.message
+        error: error.message,
+        ...(error.rejectedRecords ? { rejectedRecords: error.rejectedRecords } : {})
       });
       throw error;
     }
   }
 
+  /**
+   * Fetch the comments of imported records into `<table>__comments`,
+   * reported as a separate 'comments' step in the table's progress
+   *
+   * @param {string} tableName - Airtable table name
+   * @param {string} sanitizedTableName - Destination table name
+   * @param {string[]} recordIds - Records whose comments are fetched
+   * @param {string} sessionId - Import session ID (for progress events)
+   * @param {Object} options - Comment options
+   * @param {boolean} options.replace - Recreate the comments table (full import)
+   * @param {string} options.timeZone - IANA zone the comment timestamps are written in
+   * @returns {Promise<{table: string, count: number}>} Comments table and number of comments stored
+   */
+  async importRecordComments(tableName, sanitizedTableName, recordIds, sessionId, options = {}) {
+    const { replace = false, timeZone = 'UTC' } = options;
+    const commentsTable = this.importDatabaseService.getCommentsTableName(sanitizedTableName);
+    await this.importDatabaseService.createCommentsTable(commentsTable, { replace });
+
+    this.emitProgress(sessionId, {
+      table: tableName,
+      status: 'comments',
+      message: `Fetching comments for ${recordIds.length} records...`,
+      recordsProcessed: 0,
+      totalRecords: recordIds.length
+    });
+
+    let count = 0;
+    for (let i = 0; i < recordIds.length; i += COMMENT_BATCH_SIZE) {
+      const batch = recordIds.slice(i, i + COMMENT_BATCH_SIZE);
+      const results = await runWithConcurrency(batch, COMMENT_CONCURRENCY,
+        recordId => this.airtableService.listRecordComments(tableName, recordId));
+      const failure = results.find(result => result.status === 'rejected');
+      if (failure) {
+        throw failure.reason;
+      }
+
+      count += await this.importDatabaseService.writeRecordComments(
+        commentsTable,
+        new Map(batch.map((recordId, index) => [recordId, results[index].value])),
+        { timeZone }
+      );
+      this.emitProgress(sessionId, {
+        table: tableName,
+        status: 'comments',
+        message: `Fetched comments for ${i + batch.length} of ${recordIds.length} records...`,
+        recordsProcessed: i + batch.length,
+        totalRecords: recordIds.length
+      });
+    }
+
+    console.log(`💬 Stored ${count} comments of table '${tableName}' in '${commentsTable}'`);
+    return { table: commentsTable, count };
+  }
+
+  /**
+   * Preview the import of a table without touching the destination database:
+   * the CREATE TABLE statement, column mapping, a sample of converted rows
+   * and predicted conversion problems. The import database service only
+   * needs its dialect set (setDialect or connect).
+   *
+   * @param {string} tableName - Airtable table name
+   * @param {Object} options - Preview options
+   * @param {number} options.sampleSize - Number of records to fetch and convert
+   * @param {Object} options.selection - Optional fields, view, filterByFormula, sort and maxRecords
+   * @param {string} options.selectStorage - Select fields as 'text', 'lookup' or 'enum'
+   * @param {string} options.timeZone - IANA zone timestamps are written in (default UTC)
+   * @param {boolean} options.localDateColumns - Add `<field>_local_date` columns for timestamp fields
+   * @returns {Promise<Object>} Preview of the destination table
+   */
+  async previewTable(tableName, options = {}) {
+    const {
+      sampleSize = DEFAULT_PREVIEW_SAMPLE_SIZE,
+      selection = null,
+      selectStorage = 'text',
+      timeZone = 'UTC',
+      localDateColumns = false
+    } = options;
+
+    const fullTableSchema = await this.airtableService.getTableSchema(tableName);
+    const tableSchema = this.applyFieldSelection(fullTableSchema, selection && selection.fields);
+    const sanitizedTableName = tableName.replace(/[^a-zA-Z0-9_]/g, '_');
+
+    const params = this.buildRecordParams(tableSchema, selection, null);
+    params.maxRecords = Math.min(sampleSize, params.maxRecords || sampleSize);
+    params.pageSize = params.maxRecords;
+    const { records } = await this.airtableService.fetchRecordsPage(tableName, params);
+
+    const preview = this.importDatabaseService.previewTable(sanitizedTableName, tableSchema, records, {
+      selectStorage,
+      timeZone,
+      localDateColumns
+    });
+    console.log(`🔎 Previewed table '${tableName}': ${preview.columns.length} columns, ${preview.rows.length} sample rows, ${preview.problems.length} predicted problems`);
+
+    return {
+      tableName,
+      destinationTable: sanitizedTableName,
+      success: true,
+      dbType: this.importDatabaseService.dbType,
+      sampleSize: preview.rows.length,
+      ...preview
+    };
+  }
+
+  /**
+   * Result of a table that failed or was cancelled
+   *
+   * @param {string} tableName - Airtable table name
+   * @param {Error} error - Error the import ended with
+   * @returns {Object} Per-table result
+   */
+  buildFailedResult(tableName, error) {
+    const cancelled = error.code === 'IMPORT_CANCELLED';
+    return {
+      tableName,
+      success: false,
+      mode: cancelled ? 'cancelled' : 'error',
+      ...(cancelled ? { cancelled: true } : {}),
+      processedRecords: 0,
+      updatedRecords: 0,
+      skippedRecords: 0,
+      rejectedRecords: error.rejectedRecords || 0,
+      totalRecords: 0,
+      error: error.message,
+      recordsImported: 0, // Legacy compatibility
+      recordsSkipped: 0   // Legacy compatibility
+    };
+  }
+
+  /**
+   * Deal with the tables full imports of this session replaced: restore the
+   * previous versions when the session was cancelled with rollback, drop
+   * them otherwise. Tables synced in place cannot be rolled back and are kept.
+   *
+   * @param {Array} results - Per-table results, updated in place for rolled-back tables
+   * @param {string} sessionId - Import session ID (for progress events)
+   */
+  async settleReplacedTables(results, sessionId) {
+    const replacedTables = this.replacedTables;
+    this.replacedTables = [];
+    const rollback = this.cancellation && this.cancellation.rollback;
+
+    for (const { tableName, importedTable, replaced } of replacedTables) {
+      try {
+        if (!rollback) {
+          await this.importDatabaseService.dropReplacedTables(replaced);
+          continue;
+        }
+        await this.importDatabaseService.restoreReplacedTables(replaced);
+        await this.trackTableUpdate(importedTable, { status: 'CANCELLED', errorMessage: 'Rolled back after the import was cancelled' });
+        this.emitProgress(sessionId, { table: tableName, status: 'cancelled', message: 'Rolled back after the import was cancelled' });
+        const index = results.findIndex(result => result.success && result.tableName === replaced[0].tableName);
+        if (index !== -1) {
+          results[index] = { ...this.buildFailedResult(results[index].tableName, this.createCancelledError()), rolledBack: true };
+        }
+      } catch (error) {
+        console.error(`❌ Could not ${rollback ? 'roll back' : 'clean up the previous version of'} table '${tableName}':`, error.message);
+      }
+    }
+
+    if (rollback) {
+      results.filter(result => result.success).forEach(result => {
+        console.warn(`⚠️  Table '${result.tableName}' was synced in place and is kept as imported`);
+      });
+    }
+  }
+
   async importMultipleTables(tableNames, sessionId, options = {}) {
-    const { overwrite = false } = options;
-    const results = [];
+    const {
+      overwrite = false,
+      incremental = false,
+      deletionMode = 'none',
+      selectStorage = 'text',
+      timeZone = 'UTC',
+      localDateColumns = false,
+      attachmentMode = 'metadata',
+      comments = false,
+      maxRejectedRecords = null,
+      batchSize = null,
+      concurrency = DEFAULT_TABLE_CONCURRENCY,
+      foreignKeys = false,
+      userId,
+      tableMetadata = {},
+      resumeTables = {} // Airtable table name -> ImportedTable record of an interrupted attempt
+    } = options;
+
+    // Previous versions kept by an attempt of this session that was interrupted before it could drop them
+    try {
+      const leftovers = await this.importDatabaseService.dropPreviousTables(sessionId);
+      if (leftovers.length > 0) {
+        console.log(`🧹 Dropped ${leftovers.length} previous table versions left by an interrupted attempt of session ${sessionId}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not drop previous table versions of session ${sessionId}:`, error.message);
+    }
+
+    // Download the base metadata once; every table's schema lookup is served from the cache
+    const baseTables = await this.airtableService.getBaseMetadata({ forceRefresh: true });
+
+    // Version the schema of the whole base, including tables not imported this time
+    for (const table of baseTables || []) {
+      await this.snapshotTableSchema(table);
+    }
     
-    for (const tableName of tableNames) {
+    // Tables are independent: import several at once, within this session's and the
+    // server-wide limit. Airtable requests still go through the per-base rate limiter.
+    const outcomes = await runWithConcurrency(tableNames, concurrency, tableName => tableImportLimiter.run(() => {
+      if (this.cancellation) {
+        this.emitProgress(sessionId, { table: tableName, status: 'cancelled', message: 'Import cancelled before the table started' });
+        this.throwIfCancelled();
+      }
+      return this.importTable(tableName, sessionId, {
+        overwrite,
+        incremental,
+        deletionMode,
+        selectStorage,
+        timeZone,
+        localDateColumns,
+        attachmentMode,
+        comments,
+        // A per-table limit overrides the one of the import
+        maxRejectedRecords: tableMetadata[tableName]?.maxRejectedRecords !== undefined
+          ? tableMetadata[tableName].maxRejectedRecords
+          : maxRejectedRecords,
+        batchSize,
+        keepReplacedTables: true,
+        ...(resumeTables[tableName] ? { resumeFrom: resumeTables[tableName] } : {}),
+        userId,
+        expectedRecords: tableMetadata[tableName]?.recordCount,
+        selection: tableMetadata[tableName]?.selection
+      });
+    }));
+
+    // Results keep the order of the requested tables
+    const results = outcomes.map((outcome, index) => outcome.status === 'fulfilled'
+      ? outcome.value // Result already includes success: true
+      : this.buildFailedResult(tableNames[index], outcome.reason));
+    await this.settleReplacedTables(results, sessionId);
+
+    if (foreignKeys) {
       try {
-        const result = await this.importTable(tableName, sessionId, { overwrite });
-        results.push(result); // Result already includes success: true
+        await this.constrainLinkTables(results);
       } catch (error) {
-        results.push({
-          tableName,
-          success: false,
-          mode: 'error',
-          processedRecords: 0,
-          updatedRecords: 0,
-          skippedRecords: 0,
-          totalRecords: 0,
-          error: error.message,
-          recordsImported: 0, // Legacy compatibility
-          recordsSkipped: 0   // Legacy compatibility
-        });
+        console.error('❌ Failed to add foreign keys for linked records:', error.message);
       }
     }
 
@@ -321,4 +1234,6 @@ class ImportService {
   }
 }
 
+ImportService.MAX_CONCURRENT_TABLES = MAX_CONCURRENT_TABLES;
+
 module.exports = ImportService;
\ No newline at end of file
@@ -8,15 +8,63 @@
  */
 
 const sqlite3 = require('sqlite3').verbose();
-const { Client } = require('pg');
+const { Client, utils: pgUtils } = require('pg');
+const { from: copyFrom } = require('pg-copy-streams');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const { Readable } = require('stream');
+const { AsyncLocalStorage } = require('async_hooks');
+const { pipeline } = require('stream/promises');
+const { formatInTimeZone, getLocalDate, isValidTimeZone } = require('../utils/timezone');
+const { getFieldType, getCompanionColumns, getUnknownFieldTypes } = require('./fieldTypes');
+
+// How sync mode treats rows whose record was deleted in Airtable
+const DELETION_MODES = ['none', 'hard', 'tombstone'];
+// How select fields are stored: plain text, with <table>__<field>_options lookup tables,
+// or (Postgres) with an ENUM type for single selects
+const SELECT_STORAGE_MODES = ['text', 'lookup', 'enum'];
+const SELECT_FIELD_TYPES = ['singleSelect', 'multipleSelects'];
+// Per-column Airtable field metadata (currency symbols, duration formats, precision, ...)
+const COLUMN_METADATA_TABLE = '_airtable_column_metadata';
+const MAX_NUMERIC_PRECISION = 38;
+// History of columns added, renamed and retyped by sync-mode schema evolution
+const SCHEMA_CHANGES_TABLE = '_airtable_schema_changes';
+// Per-base dimension of the Airtable users referenced by collaborator fields
+const COLLABORATORS_TABLE = '_airtable_collaborators';
+const COLLABORATOR_FIELD_TYPES = ['singleCollaborator', 'multipleCollaborators', 'createdBy', 'lastModifiedBy'];
+// Downloaded attachment files (and thumbnails) by Airtable attachment ID, so re-syncs skip them
+const ATTACHMENTS_TABLE = '_airtable_attachments';
+const ATTACHMENT_LOOKUP_BATCH_SIZE = 500;
+// Records that could not be written, with their raw JSON and the error, so one bad value does not fail a table
+const REJECTS_TABLE = '_import_rejects';
+const TOMBSTONE_COLUMN = '_deleted_at';
+const DELETE_BATCH_SIZE = 500;
+const LINK_INSERT_BATCH_SIZE = 100; // 3 parameters per row keeps SQLite under its variable limit
+// Records written per COPY (Postgres) or per transaction of multi-row INSERTs (SQLite)
+const DEFAULT_BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE, 10) || 100;
+const SQLITE_MAX_VARIABLES = 999;
+// Session-local table the Postgres sync path COPYs into before upserting
+const STAGING_TABLE = '_import_staging';
+// Longest identifier Postgres keeps; longer names are silently truncated
+const MAX_IDENTIFIER_LENGTH = 63;
+
+// Field types whose value is computed by Airtable and typed by `options.result`
+const COMPUTED_FIELD_TYPES = ['formula', 'rollup', 'multipleLookupValues', 'lookup'];
+// Non-text column types a lookup can store as a typed Postgres array
+const ARRAY_ELEMENT_TYPES = ['NUMERIC', 'BOOLEAN', 'DATE', 'TIMESTAMPTZ'];
 
 class ImportDatabaseService {
   constructor() {
     this.connection = null;
     this.dbType = null;
     this.connectionString = null;
+    this.tableFields = new Map(); // table name -> Map of field name -> {field, columnType}
+    this.stagingTables = new Map(); // staging table name -> table it will replace
+    // Tables imported in parallel share the connection: statements and whole
+    // transactions take turns, and work inside a turn runs directly
+    this.connectionQueue = Promise.resolve();
+    this.connectionTurn = new AsyncLocalStorage();
   }
 
   /**
@@ -79,13 +127,15 @@ class ImportDatabaseService {
    * 
    * @param {string|null} databaseUrl - Database connection URL or null for SQLite
    * @param {string} airtableBaseId - Airtable base ID for database naming
+   * @param {Object} options - Connection options
+   * @param {string} options.sqliteLocation - Existing SQLite file to reopen instead of creating one
    * @returns {Promise<{success: boolean, dbType: string, location: string}>}
    */
-  async connect(databaseUrl, airtableBaseId) {
+  async connect(databaseUrl, airtableBaseId, options = {}) {
     try {
       if (!databaseUrl || databaseUrl.trim() === '') {
         // Default: Create local SQLite database with base ID
-        return await this.connectSQLite(airtableBaseId);
+        return await this.connectSQLite(airtableBaseId, options.sqliteLocation);
       } else {
         // Custom: Connect to database with base-specific naming
         return await this.connectCustomDatabase(databaseUrl, airtableBaseId);
@@ -96,27 +146,52 @@ class ImportDatabaseService {
     }
   }
 
+  /**
+   * Use the SQL dialect of a database URL without connecting, so statements
+   * can be generated (e.g. for previews) without touching the database
+   * 
+   * @param {string|null} databaseUrl - Database connection URL or null for SQLite
+   * @returns {string} 'sqlite' or 'postgresql'
+   */
+  setDialect(databaseUrl) {
+    if (!databaseUrl || databaseUrl.trim() === '') {
+      this.dbType = 'sqlite';
+    } else if (databaseUrl.startsWith('postgresql://') || databaseUrl.startsWith('postgres://')) {
+      this.dbType = 'postgresql';
+    } else {
+      throw new Error(`Unsupported database URL format: ${databaseUrl}`);
+    }
+    return this.dbType;
+  }
+
   /**
    * Connect to local SQLite database (default option)
-   * Creates a new database file in the data directory with base ID
+   * Creates a new database file in the data directory with base ID, or
+   * reopens the file of an earlier session (a resumed import must keep
+   * writing to the file holding its staging tables and completed tables)
    * 
    * @param {string} airtableBaseId - Airtable base ID for database naming
+   * @param {string|null} location - Existing database file to reopen; it is not created when missing
    * @returns {Promise<{success: boolean, dbType: string, location: string}>}
    */
-  async connectSQLite(airtableBaseId) {
-    // Create data directory if it doesn't exist
-    const dataDir = path.join(__dirname, '../../data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
+  async connectSQLite(airtableBaseId, location = null) {
+    let dbPath = location;
+    if (!dbPath) {
+      // Create data directory if it doesn't exist
+      const dataDir = path.join(__dirname, '../../data');
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
 
-    // Generate database filename with base ID and timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const baseIdSafe = airtableBaseId || 'unknown';
-    const dbPath = path.join(dataDir, `airtable_import_data_${baseIdSafe}_${timestamp}.sqlite`);
+      // Generate database filename with base ID and timestamp
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const baseIdSafe = airtableBaseId || 'unknown';
+      dbPath = path.join(dataDir, `airtable_import_data_${baseIdSafe}_${timestamp}.sqlite`);
+    }
+    const mode = location ? sqlite3.OPEN_READWRITE : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
 
     return new Promise((resolve, reject) => {
-      this.connection = new sqlite3.Database(dbPath, (err) => {
+      this.connection = new sqlite3.Database(dbPath, mode, (err) => {
         if (err) {
           reject(new Error(`SQLite connection failed: ${err.message}`));
         } else {
@@ -133,6 +208,39 @@ class ImportDatabaseService {
     });
   }
 
+  /**
+   * Identify the connected database without credentials, e.g.
+   * `postgresql://db.example.com:5432/airtable_import_data_app123` or `sqlite:/path/to/file.sqlite`
+   * 
+   * @returns {string|null} Destination, or null when not connected
+   */
+  getDestination() {
+    if (!this.connectionString) {
+      return null;
+    }
+    if (this.dbType === 'sqlite') {
+      return `sqlite:${this.connectionString}`;
+    }
+    const url = new URL(this.connectionString);
+    return `postgresql://${url.host}${url.pathname}`;
+  }
+
+  /**
+   * The destination getDestination() would report after connecting to a
+   * PostgreSQL URL, worked out without connecting
+   * 
+   * @param {string|null} databaseUrl - Database connection URL
+   * @param {string} airtableBaseId - Airtable base ID for database naming
+   * @returns {string|null} Destination, or null for SQLite (every connection creates a new file)
+   */
+  describeDestination(databaseUrl, airtableBaseId) {
+    if (!databaseUrl || databaseUrl.trim() === '') {
+      return null;
+    }
+    const { url } = this.resolvePostgreSQLTarget(databaseUrl, airtableBaseId);
+    return `postgresql://${url.host}${url.pathname}`;
+  }
+
   /**
    * Connect to custom database via URL string
    * Currently supports PostgreSQL, can be extended for other databases
@@ -151,40 +259,49 @@ class ImportDatabaseService {
   }
 
   /**
-   * Connect to PostgreSQL database with base-specific database name
+   * Work out the database an import into a PostgreSQL URL writes to: the
+   * database of the URL, or a base-specific one when the URL names a
+   * default database (airtable_import, postgres or none)
    * 
    * @param {string} connectionString - PostgreSQL connection string
    * @param {string} airtableBaseId - Airtable base ID for database naming
-   * @returns {Promise<{success: boolean, dbType: string, location: string}>}
+   * @returns {{url: URL, targetDatabaseName: string, isDefaultDatabase: boolean, targetConnectionString: string}}
+   *   Target database and the connection string that reaches it
    */
-  async connectPostgreSQL(connectionString, airtableBaseId) {
-    // Parse the connection string to understand the database configuration
+  resolvePostgreSQLTarget(connectionString, airtableBaseId) {
     const url = new URL(connectionString);
     const originalDatabase = url.pathname.substring(1); // Remove leading '/'
-    const baseIdSafe = airtableBaseId || 'unknown';
-    
-    // Determine if this is the default database or a user-configured database
     const isDefaultDatabase = originalDatabase === 'airtable_import' || 
                              originalDatabase === 'postgres' || 
                              originalDatabase === '';
-    
-    let targetDatabaseName, modifiedConnectionString;
+    if (!isDefaultDatabase) {
+      return { url, targetDatabaseName: originalDatabase, isDefaultDatabase, targetConnectionString: connectionString };
+    }
+
+    const targetDatabaseName = `airtable_import_data_${airtableBaseId || 'unknown'}`;
+    url.pathname = `/${targetDatabaseName}`;
+    return { url, targetDatabaseName, isDefaultDatabase, targetConnectionString: url.toString() };
+  }
+
+  /**
+   * Connect to PostgreSQL database with base-specific database name
+   * 
+   * @param {string} connectionString - PostgreSQL connection string
+   * @param {string} airtableBaseId - Airtable base ID for database naming
+   * @returns {Promise<{success: boolean, dbType: string, location: string}>}
+   */
+  async connectPostgreSQL(connectionString, airtableBaseId) {
+    const { url, targetDatabaseName, isDefaultDatabase, targetConnectionString: modifiedConnectionString } =
+      this.resolvePostgreSQLTarget(connectionString, airtableBaseId);
     
     if (isDefaultDatabase) {
       // Default database: Create a base-specific database
-      targetDatabaseName = `airtable_import_data_${baseIdSafe}`;
       console.log(`🏗️  Using default database - creating base-specific database: ${targetDatabaseName}`);
       
       // Create the database if it doesn't exist
       await this.ensureDatabaseExists(connectionString, targetDatabaseName);
-      
-      // Update connection string to use the new database
-      url.pathname = `/${targetDatabaseName}`;
-      modifiedConnectionString = url.toString();
     } else {
       // User-configured database: Use their specified database directly
-      targetDatabaseName = originalDatabase;
-      modifiedConnectionString = connectionString;
       console.log(`📋 Using user-configured database: ${targetDatabaseName}`);
     }
     
@@ -311,489 +428,2373 @@ class ImportDatabaseService {
   }
 
   /**
-   * Create table from Airtable table schema using field metadata
+   * NUMERIC type with the scale derived from an Airtable precision
    * 
-   * @param {string} tableName - Name of the table to create
-   * @param {Object} tableSchema - Airtable table schema with field definitions
-   * @returns {Promise<string>} Created table name
+   * @param {number} precision - Decimal places from the field options
+   * @param {number} extraScale - Additional decimal places (percent fractions)
+   * @returns {string} NUMERIC(38, scale), or unbounded NUMERIC without a precision
    */
-  async createTableFromAirtableMetadata(tableName, tableSchema) {
-    try {
-      if (!tableSchema || !tableSchema.fields || tableSchema.fields.length === 0) {
-        throw new Error('No field schema provided for table creation');
-      }
-
-      console.log(`🔍 Creating table "${tableName}" from Airtable metadata with ${tableSchema.fields.length} fields`);
-
-      // Drop table if it exists to ensure clean schema
-      await this.dropTableIfExists(tableName);
-
-      // Convert Airtable field types to SQL column definitions
-      const columns = tableSchema.fields.map(field => ({
-        name: field.name,
-        type: this.mapAirtableTypeToSQL(field.type, field.options)
-      }));
-      
-      // Log field mappings for debugging
-      console.log(`🔍 Field type mappings for table "${tableName}":`);
-      tableSchema.fields.forEach((field, index) => {
-        console.log(`  - "${field.name}": ${field.type} -> ${columns[index].type}`);
-      });
-      
-      // Build CREATE TABLE SQL
-      const createTableSQL = this.buildCreateTableSQL(tableName, columns);
-      
-      // Execute the CREATE TABLE statement
-      await this.executeSQL(createTableSQL);
-      
-      console.log(`✅ Created table '${tableName}' with ${columns.length} columns using metadata`);
-      return tableName;
-    } catch (error) {
-      console.error(`❌ Failed to create table '${tableName}' from metadata:`, error.message);
-      throw error;
+  getNumericType(precision, extraScale = 0) {
+    if (!Number.isInteger(precision) || precision < 0) {
+      return 'NUMERIC';
     }
+    return `NUMERIC(${MAX_NUMERIC_PRECISION},${precision + extraScale})`;
   }
 
   /**
-   * Check if a table exists in the database
+   * Human-readable description of the Airtable formatting a column loses in SQL
    * 
-   * @param {string} tableName - Name of table to check
-   * @returns {Promise<boolean>} True if table exists, false otherwise
+   * @param {Object} field - Airtable field definition
+   * @returns {string|null} Column comment or null when nothing is worth noting
    */
-  async tableExists(tableName) {
-    try {
-      console.log(`🔍 Checking if table '${tableName}' exists in ${this.dbType} database...`);
-      
-      if (this.dbType === 'sqlite') {
-        // SQLite query to check table existence
-        const result = await this.executeSQL(
-          "SELECT name FROM sqlite_master WHERE type='table' AND name=?", 
-          [tableName]
-        );
-        const exists = result.length > 0;
-        console.log(`📋 SQLite table '${tableName}' exists: ${exists}`);
-        return exists;
-      } else if (this.dbType === 'postgresql') {
-        // PostgreSQL query to check table existence
-        const result = await this.connection.query(
-          "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1",
-          [tableName]
-        );
-        const exists = result.rows.length > 0;
-        console.log(`📋 PostgreSQL table '${tableName}' exists: ${exists} (found ${result.rows.length} matches)`);
-        return exists;
-      }
-      return false;
-    } catch (error) {
-      console.error(`❌ Error checking if table ${tableName} exists:`, error.message);
-      return false;
-    }
+  describeField(field) {
+    const fieldType = getFieldType(field.type);
+    return fieldType && fieldType.describe ? fieldType.describe(field.options || {}, this) : null;
   }
 
+
   /**
-   * Drop table if it exists
+   * Record the Airtable field metadata of a table's columns in
+   * `_airtable_column_metadata`, and as column comments on Postgres
    * 
-   * @param {string} tableName - Name of the table to drop
+   * @param {string} tableName - Destination table name
+   * @param {Array} fields - Airtable field definitions
    */
-  async dropTableIfExists(tableName) {
-    try {
-      const dropSQL = `DROP TABLE IF EXISTS "${tableName}"`;
-      await this.executeSQL(dropSQL);
-      console.log(`🗑️  Dropped existing table "${tableName}" if it existed`);
-    } catch (error) {
-      console.warn(`⚠️  Warning: Could not drop table "${tableName}":`, error.message);
-      // Don't throw - this is not critical
+  async writeColumnMetadata(tableName, fields) {
+    const placeholders = this.dbType === 'postgresql' ? '$1, $2, $3, $4, $5' : '?, ?, ?, ?, ?';
+
+    await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${COLUMN_METADATA_TABLE}" (
+        table_name TEXT NOT NULL,
+        column_name TEXT NOT NULL,
+        field_id TEXT,
+        field_type TEXT NOT NULL,
+        options TEXT,
+        PRIMARY KEY (table_name, column_name)
+      )`);
+    await this.executeSQL(
+      `DELETE FROM "${COLUMN_METADATA_TABLE}" WHERE table_name = ${this.dbType === 'postgresql' ? '$1' : '?'}`,
+      [tableName]
+    );
+
+    for (const field of fields) {
+      await this.executeSQL(
+        `INSERT INTO "${COLUMN_METADATA_TABLE}" (table_name, column_name, field_id, field_type, options) VALUES (${placeholders})`,
+        [tableName, field.name, field.id || null, field.type, field.options ? JSON.stringify(field.options) : null]
+      );
+
+      const comment = this.dbType === 'postgresql' ? this.describeField(field) : null;
+      if (comment) {
+        await this.executeSQL(`COMMENT ON COLUMN "${tableName}"."${field.name}" IS '${comment.replace(/'/g, "''")}'`);
+      }
     }
   }
 
   /**
-   * Map Airtable field type to SQL column type
+   * Read the field metadata last recorded for a table's columns
    * 
-   * @param {string} airtableType - Airtable field type
-   * @param {Object} options - Field options from Airtable
-   * @returns {string} SQL column type
+   * @param {string} tableName - Destination table name
+   * @returns {Promise<Array<{columnName: string, fieldId: string, fieldType: string, options: Object}>>} Recorded columns
    */
-  mapAirtableTypeToSQL(airtableType, options = {}) {
-    switch (airtableType) {
-      case 'singleLineText':
-      case 'multilineText':
-      case 'richText':
-      case 'email':
-      case 'url':
-      case 'phoneNumber':
-        return 'TEXT';
-      
-      case 'number':
-        // Check if it's a decimal or integer based on precision
-        if (options.precision && options.precision > 0) {
-          return 'DECIMAL(10,2)';
-        }
-        return 'INTEGER';
-      
-      case 'currency':
-        return 'DECIMAL(10,2)';
-      
-      case 'percent':
-        return 'DECIMAL(5,4)'; // For percentage values like 0.4950
-      
-      case 'checkbox':
-        return 'BOOLEAN';
-      
-      case 'date':
-        return 'DATE';
-      
-      case 'dateTime':
-        return 'TIMESTAMP';
-      
-      case 'singleSelect':
-      case 'multipleSelects':
-        return 'TEXT';
-      
-      case 'multipleRecordLinks':
-      case 'lookup':
-      case 'rollup':
-      case 'formula':
-        return 'TEXT'; // Store as text for complex field types
-      
-      case 'attachment':
-        return 'JSON'; // Store attachment metadata as JSON
-      
-      case 'barcode':
-        return 'TEXT';
-      
-      case 'rating':
-        return 'INTEGER';
-      
-      case 'duration':
-        return 'INTEGER'; // Duration in seconds
-      
-      case 'autoNumber':
-        return 'INTEGER';
-      
-      case 'createdTime':
-      case 'lastModifiedTime':
-        return 'TIMESTAMP';
-      
-      case 'createdBy':
-      case 'lastModifiedBy':
-        return 'TEXT';
-      
-      default:
-        console.warn(`⚠️  Unknown Airtable field type: ${airtableType}, defaulting to TEXT`);
-        return 'TEXT';
+  async getColumnMetadata(tableName) {
+    if (!(await this.tableExists(COLUMN_METADATA_TABLE))) {
+      return [];
     }
+    const rows = await this.querySQL(
+      `SELECT column_name, field_id, field_type, options FROM "${COLUMN_METADATA_TABLE}" WHERE table_name = ${this.dbType === 'postgresql' ? '$1' : '?'}`,
+      [tableName]
+    );
+    return rows.map(row => ({
+      columnName: row.column_name,
+      fieldId: row.field_id,
+      fieldType: row.field_type,
+      options: row.options ? JSON.parse(row.options) : null
+    }));
   }
 
   /**
-   * Create table from Airtable records with automatic schema detection
+   * Bring an existing table in line with the current Airtable schema before a
+   * sync: columns of renamed fields (matched by field ID) are renamed, new
+   * fields get columns and lossless type changes are applied. Columns of
+   * removed fields are kept. Every change is recorded in
+   * `_airtable_schema_changes`.
+   *
+   * The baseline is `_airtable_column_metadata`, which describes the schema the
+   * table was last written with; tables imported before it existed fall back
+   * to `previousFields`.
    * 
-   * @param {string} tableName - Name of the table to create
-   * @param {Array} records - Sample Airtable records for schema inference
-   * @returns {Promise<string>} Success status
+   * @param {string} tableName - Destination table name
+   * @param {Array} fields - Current definitions of the imported fields
+   * @param {Object} options - Evolution options, plus the storage options passed to getColumnType
+   * @param {Array} options.allFields - Every field of the Airtable table, so fields left out by a
+   *   selection are not reported as removed
+   * @param {Array} options.previousFields - Fallback baseline (e.g. the schema version of the previous import)
+   * @returns {Promise<Array<Object>>} Changes: {changeType, fieldId, oldName, newName, oldType, newType, applied}
    */
-  async createTableFromAirtableSchema(tableName, records) {
-    try {
-      if (!records || records.length === 0) {
-        throw new Error('No records provided for schema detection');
-      }
+  async evolveTableSchema(tableName, fields, options = {}) {
+    const { allFields = fields, previousFields = null } = options;
+    const recorded = await this.getColumnMetadata(tableName);
+    const baseline = recorded.length > 0
+      ? recorded
+      : (previousFields || []).map(field => ({ columnName: field.name, fieldId: field.id, fieldType: field.type, options: field.options || null }));
+    const previousById = new Map(baseline.filter(entry => entry.fieldId).map(entry => [entry.fieldId, entry]));
+    const columnTypes = await this.getColumnTypes(tableName);
+    const changes = [];
 
-      // Infer column types from sample records
-      const columns = this.inferColumnTypes(records);
-      
-      // Build CREATE TABLE SQL
-      const createTableSQL = this.buildCreateTableSQL(tableName, columns);
-      
-      // Execute the CREATE TABLE statement
-      await this.executeSQL(createTableSQL);
-      
-      console.log(`✅ Created table '${tableName}' with ${columns.length} columns`);
-      return tableName; // Return the table name, not just true
-    } catch (error) {
-      console.error(`❌ Failed to create table '${tableName}':`, error.message);
-      throw error;
-    }
-  }
+    for (const field of fields) {
+      const before = previousById.get(field.id);
+      const columnType = this.getColumnType(tableName, field, options);
 
-  /**
-   * Infer column types from Airtable records
-   * 
-   * @param {Array} records - Airtable records
-   * @returns {Array} Column definitions with names and types
-   */
-  inferColumnTypes(records) {
-    const columns = [];
-    const fieldTypes = {};
+      if (before && before.columnName !== field.name && columnTypes.has(before.columnName) && !columnTypes.has(field.name)) {
+        await this.renameFieldColumns(tableName, before.columnName, field);
+        columnTypes.set(field.name, columnTypes.get(before.columnName));
+        columnTypes.delete(before.columnName);
+        changes.push({ changeType: 'rename', fieldId: field.id, oldName: before.columnName, newName: field.name, applied: true });
+      }
 
-    console.log(`🔍 Analyzing ${records.length} records for type inference...`);
+      if (!columnTypes.has(field.name)) {
+        await this.executeSQL(`ALTER TABLE "${tableName}" ADD COLUMN "${field.name}" ${this.getDatabaseColumnType(columnType)}`);
+        columnTypes.set(field.name, columnType.toLowerCase());
+        changes.push({ changeType: 'add', fieldId: field.id || null, newName: field.name, newType: columnType, applied: true });
+        continue;
+      }
 
-    // Analyze all records to determine field types
-    records.forEach((record, recordIndex) => {
-      if (record.fields) {
-        Object.entries(record.fields).forEach(([fieldName, value]) => {
-          if (!fieldTypes[fieldName]) {
-            fieldTypes[fieldName] = [];
-          }
-          const inferredType = this.inferSQLType(value);
-          fieldTypes[fieldName].push(inferredType);
-          
-          if (recordIndex < 3) { // Log first 3 records for debugging
-            console.log(`🔍 Field "${fieldName}": value="${value}" (${typeof value}) -> type=${inferredType}`);
+      if (before) {
+        const previousType = this.getColumnType(tableName, { ...field, type: before.fieldType, options: before.options || undefined }, options);
+        if (previousType !== columnType) {
+          // SQLite columns take any value, so only Postgres needs the ALTER
+          const applied = this.isWideningChange(previousType, columnType);
+          if (applied && this.dbType === 'postgresql') {
+            const databaseType = this.getDatabaseColumnType(columnType);
+            await this.executeSQL(`ALTER TABLE "${tableName}" ALTER COLUMN "${field.name}" TYPE ${databaseType} USING "${field.name}"::${databaseType}`);
           }
-        });
+          changes.push({
+            changeType: 'type_change',
+            fieldId: field.id,
+            oldName: field.name,
+            newName: field.name,
+            oldType: previousType,
+            newType: columnType,
+            applied
+          });
+        }
       }
-    });
+    }
 
-    // Determine the most appropriate type for each field
-    Object.entries(fieldTypes).forEach(([fieldName, types]) => {
-      // Count type occurrences
-      const typeCount = {};
-      types.forEach(type => {
-        typeCount[type] = (typeCount[type] || 0) + 1;
-      });
-      
-      // Smart type selection logic
-      let chosenType;
-      if (typeCount['INTEGER'] && typeCount['DECIMAL']) {
-        // If we have both integers and decimals, choose DECIMAL to accommodate both
-        chosenType = 'DECIMAL';
-        console.log(`🔍 Field "${fieldName}": Mixed INTEGER/DECIMAL detected, choosing DECIMAL for compatibility`);
-      } else if (typeCount['TEXT'] && (typeCount['INTEGER'] || typeCount['DECIMAL'])) {
-        // If we have text mixed with numbers, choose TEXT to be safe
-        chosenType = 'TEXT';
-        console.log(`🔍 Field "${fieldName}": Mixed TEXT/NUMERIC detected, choosing TEXT for safety`);
-      } else {
-        // Use the most common type
-        chosenType = Object.keys(typeCount).reduce((a, b) => 
-          typeCount[a] > typeCount[b] ? a : b
-        );
-      }
-      
-      console.log(`🔍 Field "${fieldName}": ${JSON.stringify(typeCount)} -> chosen: ${chosenType}`);
-      
-      columns.push({
-        name: fieldName,
-        type: chosenType
-      });
+    const currentIds = new Set(allFields.map(field => field.id));
+    baseline.filter(entry => entry.fieldId && !currentIds.has(entry.fieldId)).forEach(entry => {
+      changes.push({ changeType: 'remove', fieldId: entry.fieldId, oldName: entry.columnName, oldType: entry.fieldType, applied: false });
     });
 
-    console.log(`🔍 Final column types:`, columns.map(c => `${c.name}:${c.type}`).join(', '));
-    return columns;
+    changes.forEach(change => console.log(
+      `🧬 Schema change in '${tableName}': ${change.changeType} ${change.oldName || ''}${change.newName && change.newName !== change.oldName ? ` -> ${change.newName}` : ''}` +
+      `${change.newType ? ` (${change.oldType ? `${change.oldType} -> ` : ''}${change.newType})` : ''}${change.applied ? '' : ' [not applied]'}`
+    ));
+    await this.recordSchemaChanges(tableName, changes);
+    return changes;
   }
 
   /**
-   * Infer SQL type from JavaScript value
+   * Rename the column of a renamed field together with its derived columns
+   * and, for linked-record fields, its junction table
    * 
-   * @param {any} value - Value to analyze
-   * @returns {string} SQL type
+   * @param {string} tableName - Destination table name
+   * @param {string} oldName - Previous field (column) name
+   * @param {Object} field - Current field definition
    */
-  inferSQLType(value) {
-    if (value === null || value === undefined) return 'TEXT';
-    if (typeof value === 'number') {
-      return Number.isInteger(value) ? 'INTEGER' : 'DECIMAL';
+  async renameFieldColumns(tableName, oldName, field) {
+    const suffixes = ['', '_local_date', ...getCompanionColumns(field).map(companion => companion.name.slice(field.name.length))];
+    for (const suffix of suffixes) {
+      if (await this.columnExists(tableName, `${oldName}${suffix}`) && !(await this.columnExists(tableName, `${field.name}${suffix}`))) {
+        await this.executeSQL(`ALTER TABLE "${tableName}" RENAME COLUMN "${oldName}${suffix}" TO "${field.name}${suffix}"`);
+      }
     }
-    if (typeof value === 'string') {
-      // Check if string represents a decimal number
-      const numericValue = parseFloat(value);
-      if (!isNaN(numericValue) && isFinite(numericValue)) {
-        return numericValue % 1 === 0 ? 'INTEGER' : 'DECIMAL';
+
+    if (field.type === 'multipleRecordLinks') {
+      const oldLinkTable = this.getLinkTableName(tableName, oldName);
+      const newLinkTable = this.getLinkTableName(tableName, field.name);
+      if (oldLinkTable !== newLinkTable && await this.tableExists(oldLinkTable) && !(await this.tableExists(newLinkTable))) {
+        await this.executeSQL(`ALTER TABLE "${oldLinkTable}" RENAME TO "${newLinkTable}"`);
       }
-      return 'TEXT';
     }
-    if (typeof value === 'boolean') return 'BOOLEAN';
-    if (value instanceof Date) return 'TIMESTAMP';
-    if (Array.isArray(value)) return 'JSON';
-    if (typeof value === 'object') return 'JSON';
-    return 'TEXT';
   }
 
   /**
-   * Build CREATE TABLE SQL statement
+   * Check whether changing a column type keeps every existing value intact
+   * (e.g. INTEGER to NUMERIC, a larger NUMERIC scale, DATE to TIMESTAMPTZ, anything scalar to TEXT)
    * 
-   * @param {string} tableName - Table name
-   * @param {Array} columns - Column definitions
-   * @returns {string} SQL statement
+   * @param {string} fromType - Previous column type
+   * @param {string} toType - New column type
+   * @returns {boolean} True for widening changes
    */
-  buildCreateTableSQL(tableName, columns) {
-    const columnDefinitions = columns.map(col => {
-      if (this.dbType === 'postgresql') {
-        // PostgreSQL column definition
-        let type = col.type;
-        if (type === 'REAL') type = 'REAL';
-        if (type === 'DECIMAL') type = 'DECIMAL(10,2)';
-        if (type === 'JSON') type = 'JSONB';
-        if (type === 'TIMESTAMP') type = 'TIMESTAMP';
-        return `"${col.name}" ${type}`;
-      } else {
-        // SQLite column definition
-        return `"${col.name}" ${col.type}`;
+  isWideningChange(fromType, toType) {
+    if (fromType === toType) {
+      return false;
+    }
+    if (toType === 'TEXT') {
+      return !fromType.endsWith('[]') && fromType !== 'JSON';
+    }
+    if (toType.startsWith('NUMERIC')) {
+      const scale = type => {
+        const match = /^NUMERIC\(\d+,(\d+)\)$/.exec(type);
+        return match ? parseInt(match[1], 10) : null;
+      };
+      if (fromType === 'INTEGER' || (toType === 'NUMERIC' && fromType.startsWith('NUMERIC'))) {
+        return true;
+      }
+      return fromType.startsWith('NUMERIC(') && toType.startsWith('NUMERIC(') && scale(toType) >= scale(fromType);
+    }
+    return fromType === 'DATE' && toType === 'TIMESTAMPTZ';
+  }
+
+  /**
+   * Append schema changes to `_airtable_schema_changes`
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Array<Object>} changes - Changes from evolveTableSchema
+   */
+  async recordSchemaChanges(tableName, changes) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    const postgres = this.dbType === 'postgresql';
+    await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${SCHEMA_CHANGES_TABLE}" (
+        id ${postgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+        table_name TEXT NOT NULL,
+        field_id TEXT,
+        change_type TEXT NOT NULL,
+        old_name TEXT,
+        new_name TEXT,
+        old_type TEXT,
+        new_type TEXT,
+        applied BOOLEAN NOT NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+    const placeholders = postgres ? '$1, $2, $3, $4, $5, $6, $7, $8' : '?, ?, ?, ?, ?, ?, ?, ?';
+    for (const change of changes) {
+      await this.executeSQL(
+        `INSERT INTO "${SCHEMA_CHANGES_TABLE}" (table_name, field_id, change_type, old_name, new_name, old_type, new_type, applied)
+          VALUES (${placeholders})`,
+        [
+          tableName,
+          change.fieldId || null,
+          change.changeType,
+          change.oldName || null,
+          change.newName || null,
+          change.oldType || null,
+          change.newType || null,
+          change.applied
+        ]
+      );
+    }
+  }
+
+  /**
+   * Read the column types of an existing table
+   * 
+   * @param {string} tableName - Table name
+   * @returns {Promise<Map<string, string>>} Column name -> lower-case database type
+   */
+  async getColumnTypes(tableName) {
+    const rows = this.dbType === 'sqlite'
+      ? (await this.querySQL(`PRAGMA table_info("${tableName}")`)).map(row => ({ name: row.name, type: row.type }))
+      : (await this.querySQL(
+        "SELECT column_name AS name, data_type AS type FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1",
+        [tableName]
+      ));
+    return new Map(rows.map(row => [row.name, String(row.type).toLowerCase()]));
+  }
+
+  /**
+   * Map the result type of a formula or rollup to a SQL column type.
+   * Results can themselves be computed (a rollup over a formula), so this recurses.
+   * 
+   * @param {Object} result - `options.result` from the field metadata ({type, options})
+   * @returns {string} SQL column type
+   */
+  mapResultTypeToSQL(result) {
+    if (!result || !result.type) {
+      return 'TEXT';
+    }
+
+    const fieldType = getFieldType(result.type);
+    if (fieldType && fieldType.resultColumn) {
+      return fieldType.resultColumn;
+    }
+    return this.mapAirtableTypeToSQL(result.type, result.options);
+  }
+
+  /**
+   * Element type for a lookup stored as a typed array
+   * 
+   * @param {Object} result - `options.result` of the lookup field
+   * @returns {string|null} Scalar SQL type, or null when the values need JSON
+   */
+  getArrayElementType(result) {
+    if (!result || !result.type) {
+      return null;
+    }
+    if (COMPUTED_FIELD_TYPES.includes(result.type)) {
+      // Looking up a formula: type by what the formula returns
+      const innerResult = result.options && result.options.result;
+      return innerResult && !['multipleLookupValues', 'lookup'].includes(result.type)
+        ? this.getArrayElementType(innerResult)
+        : null;
+    }
+    const fieldType = getFieldType(result.type);
+    if (fieldType && fieldType.textValue) {
+      return 'TEXT';
+    }
+
+    const columnType = this.mapResultTypeToSQL(result);
+    return ARRAY_ELEMENT_TYPES.includes(columnType) ? columnType : null;
+  }
+
+  /**
+   * Remember the field definitions of a table so inserts can convert values
+   * to the column types the table was created with
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Array} fields - Airtable field definitions
+   * @param {Object} options - Storage options passed to getColumnType
+   * @param {Map} options.existingColumnTypes - Actual column types of a synced table (from getColumnTypes);
+   *   columns created before a type mapping changed keep receiving values they can store
+   * @param {string} options.timeZone - IANA zone timestamps are written in (default UTC)
+   * @param {boolean} options.localDateColumns - Fill the derived `<field>_local_date` columns
+   */
+  setTableFields(tableName, fields, options = {}) {
+    this.tableFields.set(tableName, this.buildFieldDefinitions(tableName, fields, options));
+  }
+
+  /**
+   * Build the per-field conversion definitions used by insertRecords
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Array} fields - Airtable field definitions
+   * @param {Object} options - Same options as setTableFields
+   * @returns {Map<string, Object>} Field name -> {field, columnType, existingType, timeZone, localDateColumn, companions, choices}
+   */
+  buildFieldDefinitions(tableName, fields, options = {}) {
+    const { existingColumnTypes = null, timeZone = 'UTC', localDateColumns = false } = options;
+
+    return new Map((fields || []).map(field => [
+      field.name,
+      {
+        field,
+        columnType: this.getColumnType(tableName, field, options),
+        existingType: existingColumnTypes ? existingColumnTypes.get(field.name) || null : null,
+        timeZone,
+        localDateColumn: localDateColumns ? this.getLocalDateColumn(tableName, field, options) : null,
+        companions: getCompanionColumns(field),
+        // Select values are validated against the choices from the metadata
+        choices: SELECT_FIELD_TYPES.includes(field.type)
+          ? new Set(((field.options && field.options.choices) || []).map(choice => choice.name))
+          : null
+      }
+    ]));
+  }
+
+  /**
+   * Name of the derived local-date column of a timestamp field
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Object} field - Airtable field definition
+   * @param {Object} options - Storage options passed to getColumnType
+   * @returns {string|null} `<field>_local_date`, or null when the field is not a timestamp
+   */
+  getLocalDateColumn(tableName, field, options = {}) {
+    return this.getColumnType(tableName, field, options) === 'TIMESTAMPTZ' ? `${field.name}_local_date` : null;
+  }
+
+  /**
+   * Zone used to derive local dates: the field's own time zone when it has
+   * one (dateTime fields), otherwise the import time zone
+   * 
+   * @param {Object} definition - Entry from setTableFields
+   * @returns {string} IANA time zone name
+   */
+  getFieldTimeZone(definition) {
+    const { field } = definition;
+    const fieldTimeZone = field.options && (field.options.timeZone ||
+      (field.options.result && field.options.result.options && field.options.result.options.timeZone));
+    // 'client' means "whoever is looking", which has no meaning for stored data
+    return fieldTimeZone && fieldTimeZone !== 'client' && isValidTimeZone(fieldTimeZone) ? fieldTimeZone : definition.timeZone;
+  }
+
+  /**
+   * Add missing `<field>_local_date` columns to an existing table
+   * 
+   * @param {string} tableName - Table name
+   * @param {Array} fields - Airtable field definitions
+   * @param {Object} options - Storage options passed to getColumnType
+   */
+  async ensureLocalDateColumns(tableName, fields, options = {}) {
+    for (const field of fields) {
+      const column = this.getLocalDateColumn(tableName, field, options);
+      if (column && !(await this.columnExists(tableName, column))) {
+        await this.executeSQL(`ALTER TABLE "${tableName}" ADD COLUMN "${column}" DATE`);
+        console.log(`📅 Added local date column '${column}' to table '${tableName}'`);
+      }
+    }
+  }
+
+  /**
+   * Add missing companion columns (e.g. `<field>_label` of buttons) to an existing table
+   * 
+   * @param {string} tableName - Table name
+   * @param {Array} fields - Airtable field definitions
+   */
+  async ensureCompanionColumns(tableName, fields) {
+    for (const companion of fields.flatMap(field => getCompanionColumns(field))) {
+      if (!(await this.columnExists(tableName, companion.name))) {
+        await this.executeSQL(`ALTER TABLE "${tableName}" ADD COLUMN "${companion.name}" ${this.getDatabaseColumnType(companion.column)}`);
+        console.log(`➕ Added column '${companion.name}' to table '${tableName}'`);
+      }
+    }
+  }
+
+  /**
+   * Check whether a value is an Airtable error cell (`{error: '#ERROR!'}`,
+   * `{specialValue: 'NaN'}` or the raw error string)
+   * 
+   * @param {*} value - Cell value
+   * @returns {boolean} True for error cells
+   */
+  isErrorValue(value) {
+    if (typeof value === 'string') {
+      return /^#ERROR!?$/.test(value);
+    }
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+      (value.error !== undefined || value.specialValue !== undefined);
+  }
+
+  /**
+   * Convert a scalar to the given column type
+   * 
+   * @param {string} columnType - SQL column type
+   * @param {*} value - Cell value
+   * @param {Object} definition - Entry from setTableFields, used for time zones
+   * @returns {{value: *, errorCells: number}} Converted value and 1 if it had to be nulled
+   */
+  convertScalar(columnType, value, definition = {}) {
+    if (value === null || value === undefined) {
+      return { value: null, errorCells: 0 };
+    }
+    if (this.isErrorValue(value)) {
+      return { value: null, errorCells: 1 };
+    }
+
+    if (columnType === 'NUMERIC') {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isFinite(number) ? { value: number, errorCells: 0 } : { value: null, errorCells: 1 };
+    }
+    if (columnType === 'TIMESTAMPTZ') {
+      const date = new Date(value);
+      if (isNaN(date)) {
+        return { value: null, errorCells: 1 };
+      }
+      // A column created as plain TIMESTAMP would drop the offset, so keep writing UTC there
+      if (definition.existingType && definition.existingType.startsWith('timestamp without')) {
+        return { value: date.toISOString(), errorCells: 0 };
+      }
+      return { value: formatInTimeZone(date, definition.timeZone || 'UTC'), errorCells: 0 };
+    }
+    if (Array.isArray(value) || typeof value === 'object') {
+      return { value: JSON.stringify(value), errorCells: 0 };
+    }
+    return { value, errorCells: 0 };
+  }
+
+  /**
+   * Convert a cell value for its column. Error cells of computed fields become
+   * NULL and are counted instead of failing the insert.
+   * 
+   * @param {Object} definition - Entry from setTableFields ({field, columnType})
+   * @param {*} value - Cell value from the Airtable record
+   * @returns {{value: *, errorCells: number}} Value to bind and the number of error cells nulled
+   */
+  convertFieldValue(definition, value) {
+    const { field, columnType } = definition;
+
+    const fieldType = getFieldType(field.type);
+    if (fieldType && fieldType.extract && value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      value = fieldType.extract(value);
+    }
+
+    if (COLLABORATOR_FIELD_TYPES.includes(field.type)) {
+      return { value: this.getCollaboratorIds(definition, value), errorCells: 0 };
+    }
+
+    if (field.type === 'duration' && typeof value === 'number') {
+      const intervalColumn = this.dbType === 'postgresql' && columnType === 'INTERVAL' &&
+        (!definition.existingType || definition.existingType === 'interval');
+      return { value: intervalColumn ? `${value} seconds` : value, errorCells: 0 };
+    }
+
+    if (columnType === 'TIMESTAMPTZ' && !COMPUTED_FIELD_TYPES.includes(field.type)) {
+      return this.convertScalar(columnType, value, definition);
+    }
+
+    if (field.type === 'multipleSelects' && columnType === 'TEXT[]') {
+      return { value: Array.isArray(value) ? value : (value === null || value === undefined ? null : [value]), errorCells: 0 };
+    }
+
+    if (!COMPUTED_FIELD_TYPES.includes(field.type)) {
+      // Plain fields keep the original behaviour: structured values as JSON text
+      const isStructured = Array.isArray(value) || (typeof value === 'object' && value !== null);
+      return { value: isStructured ? JSON.stringify(value) : value, errorCells: 0 };
+    }
+
+    if (columnType.endsWith('[]')) {
+      if (value === null || value === undefined) {
+        return { value: null, errorCells: 0 };
+      }
+      const elementType = columnType.slice(0, -2);
+      let errorCells = 0;
+      const elements = (Array.isArray(value) ? value : [value]).map(element => {
+        const converted = this.convertScalar(elementType, element, definition);
+        errorCells += converted.errorCells;
+        return converted.value;
+      });
+      // pg binds arrays as Postgres arrays; SQLite keeps them as JSON
+      return { value: this.dbType === 'postgresql' ? elements : JSON.stringify(elements), errorCells };
+    }
+
+    if (columnType === 'JSON') {
+      if (this.isErrorValue(value)) {
+        return { value: null, errorCells: 1 };
+      }
+      return { value: value === null || value === undefined ? null : JSON.stringify(value), errorCells: 0 };
+    }
+
+    return this.convertScalar(columnType, value, definition);
+  }
+
+  /**
+   * Create table from Airtable table schema using field metadata.
+   * A staging table (see beginStaging) gets the columns, enum types and
+   * select catalogues of the table it replaces; its column metadata is
+   * written once it has been swapped in.
+   * 
+   * @param {string} tableName - Name of the table to create
+   * @param {Object} tableSchema - Airtable table schema with field definitions
+   * @param {Object} options - Storage options
+   * @param {string} options.selectStorage - 'text', 'lookup' or 'enum' for select fields
+   * @param {boolean} options.localDateColumns - Add a `<field>_local_date` DATE column per timestamp field
+   * @returns {Promise<string>} Created table name
+   */
+  async createTableFromAirtableMetadata(tableName, tableSchema, options = {}) {
+    try {
+      if (!tableSchema || !tableSchema.fields || tableSchema.fields.length === 0) {
+        throw new Error('No field schema provided for table creation');
+      }
+
+      console.log(`🔍 Creating table "${tableName}" from Airtable metadata with ${tableSchema.fields.length} fields`);
+      const targetTable = this.resolveTableName(tableName);
+
+      // Drop table if it exists to ensure clean schema
+      await this.dropTableIfExists(tableName);
+
+      // Enum types and the collaborators table must exist before columns can reference them
+      await this.syncSelectCatalogues(targetTable, tableSchema.fields, options);
+      if (tableSchema.fields.some(field => COLLABORATOR_FIELD_TYPES.includes(field.type))) {
+        await this.ensureCollaboratorsTable();
+      }
+
+      // Convert Airtable field types to SQL column definitions
+      const columns = this.buildTableColumns(targetTable, tableSchema.fields, options);
+      
+      // Log field mappings for debugging
+      console.log(`🔍 Field type mappings for table "${tableName}":`);
+      tableSchema.fields.forEach((field, index) => {
+        console.log(`  - "${field.name}": ${field.type} -> ${columns[index].type}`);
+      });
+      
+      // Build CREATE TABLE SQL
+      const createTableSQL = this.buildCreateTableSQL(tableName, columns);
+      
+      // Execute the CREATE TABLE statement
+      await this.executeSQL(createTableSQL);
+      if (targetTable === tableName) {
+        await this.writeColumnMetadata(tableName, tableSchema.fields);
+      }
+      
+      console.log(`✅ Created table '${tableName}' with ${columns.length} columns using metadata`);
+      return tableName;
+    } catch (error) {
+      console.error(`❌ Failed to create table '${tableName}' from metadata:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Columns created for a table's fields: one per field, followed by the
+   * companion columns and, when enabled, the derived local-date columns
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Array} fields - Airtable field definitions
+   * @param {Object} options - Storage options passed to getColumnType
+   * @returns {Array<{name: string, type: string, field: Object}>} Columns and the field each one comes from
+   */
+  buildTableColumns(tableName, fields, options = {}) {
+    const columns = fields.map(field => ({ name: field.name, type: this.getColumnType(tableName, field, options), field }));
+    fields.forEach(field => {
+      getCompanionColumns(field).forEach(companion => columns.push({ name: companion.name, type: companion.column, field }));
+    });
+    if (options.localDateColumns) {
+      fields.forEach(field => {
+        const column = this.getLocalDateColumn(tableName, field, options);
+        if (column) {
+          columns.push({ name: column, type: 'DATE', field });
+        }
+      });
+    }
+    return columns;
+  }
+
+  /**
+   * Dry run of createTableFromAirtableMetadata and insertRecords: the
+   * CREATE TABLE statement, the column mapping, sample rows as they would be
+   * written and the conversion problems they show. Nothing is executed, so
+   * only the dialect needs to be known (see setDialect).
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Object} tableSchema - Airtable table schema with field definitions
+   * @param {Array} records - Sample Airtable records
+   * @param {Object} options - Storage options (selectStorage, timeZone, localDateColumns)
+   * @returns {{ddl: string, columns: Array, rows: Array, problems: Array}} Preview of the table
+   */
+  previewTable(tableName, tableSchema, records, options = {}) {
+    if (!this.dbType) {
+      throw new Error('Database dialect unknown - connect or call setDialect() first');
+    }
+
+    const fields = (tableSchema && tableSchema.fields) || [];
+    const columns = this.buildTableColumns(tableName, fields, options);
+    const fieldDefinitions = this.buildFieldDefinitions(tableName, fields, options);
+    const problems = getUnknownFieldTypes(fields).map(({ field, type }) => ({
+      field,
+      problem: 'unknown_field_type',
+      message: `Unknown Airtable field type '${type}' will be stored as TEXT`
+    }));
+
+    // Per-record problems are counted per field, with a few example records
+    const recordProblems = new Map();
+    const addRecordProblem = (field, problem, message, recordId) => {
+      const key = `${field}:${problem}`;
+      if (!recordProblems.has(key)) {
+        recordProblems.set(key, { field, problem, message, count: 0, recordIds: [] });
+      }
+      const entry = recordProblems.get(key);
+      entry.count++;
+      if (entry.recordIds.length < 3) {
+        entry.recordIds.push(recordId);
+      }
+    };
+
+    const rows = records.filter(record => record.fields).map(record => {
+      const converted = this.convertRecord(fieldDefinitions, record);
+      converted.errorFields.forEach(field =>
+        addRecordProblem(field, 'error_cells', 'Airtable error values will be stored as NULL', record.id));
+      fieldDefinitions.forEach((definition, fieldName) => {
+        const predicted = this.predictValueProblem(definition, record.fields[fieldName]);
+        if (predicted) {
+          addRecordProblem(fieldName, predicted.problem, predicted.message, record.id);
+        }
+      });
+      return {
+        airtable_id: record.id,
+        ...Object.fromEntries(converted.columns.map((column, index) => [column, converted.values[index]]))
+      };
+    });
+    problems.push(...recordProblems.values());
+
+    Object.entries(this.findUnknownSelectValues(fieldDefinitions, records)).forEach(([field, values]) => {
+      const enumColumn = fieldDefinitions.get(field).columnType.startsWith('"');
+      problems.push({
+        field,
+        problem: 'unknown_select_values',
+        values,
+        message: enumColumn
+          ? 'Values missing from the field choices will be added to the enum type'
+          : 'Values missing from the field choices will be stored as they are'
+      });
+    });
+
+    return {
+      ddl: this.buildCreateTableSQL(tableName, columns),
+      columns: columns.map(column => ({
+        name: column.name,
+        field: column.field.name,
+        fieldId: column.field.id || null,
+        airtableType: column.field.type,
+        type: column.type,
+        databaseType: this.getDatabaseColumnType(column.type)
+      })),
+      rows,
+      problems
+    };
+  }
+
+  /**
+   * Predict whether a value loses information in its column
+   * 
+   * @param {Object} definition - Entry from buildFieldDefinitions
+   * @param {*} value - Cell value from the Airtable record
+   * @returns {{problem: string, message: string}|null} Predicted problem or null
+   */
+  predictValueProblem(definition, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || COMPUTED_FIELD_TYPES.includes(definition.field.type)) {
+      return null;
+    }
+
+    const numeric = /^NUMERIC\((\d+),(\d+)\)$/.exec(definition.columnType);
+    if (numeric && Number(value.toFixed(Number(numeric[2]))) !== value) {
+      return { problem: 'rounded_values', message: `Values with more than ${numeric[2]} decimal places will be rounded` };
+    }
+    if (definition.columnType === 'INTEGER' && !Number.isInteger(value)) {
+      return {
+        problem: 'non_integer_values',
+        message: this.dbType === 'postgresql'
+          ? 'Fractional values will fail to insert into the INTEGER column'
+          : 'Fractional values will be stored in the INTEGER column as REAL'
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Check if a table exists in the database
+   * 
+   * @param {string} tableName - Name of table to check
+   * @returns {Promise<boolean>} True if table exists, false otherwise
+   */
+  async tableExists(tableName) {
+    try {
+      console.log(`🔍 Checking if table '${tableName}' exists in ${this.dbType} database...`);
+      
+      if (this.dbType === 'sqlite') {
+        // SQLite query to check table existence
+        const result = await this.querySQL(
+          "SELECT name FROM sqlite_master WHERE type='table' AND name=?", 
+          [tableName]
+        );
+        const exists = result.length > 0;
+        console.log(`📋 SQLite table '${tableName}' exists: ${exists}`);
+        return exists;
+      } else if (this.dbType === 'postgresql') {
+        // PostgreSQL query to check table existence
+        const rows = await this.querySQL(
+          "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1",
+          [tableName]
+        );
+        const exists = rows.length > 0;
+        console.log(`📋 PostgreSQL table '${tableName}' exists: ${exists} (found ${rows.length} matches)`);
+        return exists;
+      }
+      return false;
+    } catch (error) {
+      console.error(`❌ Error checking if table ${tableName} exists:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Names of the tables in the database (the public schema on PostgreSQL)
+   * 
+   * @returns {Promise<string[]>} Table names
+   */
+  async listTables() {
+    const rows = this.dbType === 'postgresql'
+      ? await this.querySQL("SELECT table_name AS name FROM information_schema.tables WHERE table_schema = 'public'")
+      : await this.querySQL("SELECT name FROM sqlite_master WHERE type='table'");
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Drop table if it exists
+   * 
+   * @param {string} tableName - Name of the table to drop
+   */
+  async dropTableIfExists(tableName) {
+    try {
+      // CASCADE drops foreign keys of junction tables that point at this table
+      const dropSQL = this.dbType === 'postgresql'
+        ? `DROP TABLE IF EXISTS "${tableName}" CASCADE`
+        : `DROP TABLE IF EXISTS "${tableName}"`;
+      await this.executeSQL(dropSQL);
+      console.log(`🗑️  Dropped existing table "${tableName}" if it existed`);
+    } catch (error) {
+      console.warn(`⚠️  Warning: Could not drop table "${tableName}":`, error.message);
+      // Don't throw - this is not critical
+    }
+  }
+
+  /**
+   * Start loading a full import of a table into `<table>__staging_<session>`,
+   * so the live table stays as it is until swapStagingTables replaces it.
+   * Inserts into the staging table use the field definitions and reject
+   * table name of the live one.
+   * 
+   * @param {string} tableName - Table the staging table will replace
+   * @param {string} sessionId - Import session loading it
+   * @returns {Promise<string>} Staging table name
+   */
+  async beginStaging(tableName, sessionId) {
+    const stagingTable = this.getStagingTableName(tableName, sessionId);
+    // Left over from an earlier attempt of the same session
+    await this.dropTableIfExists(stagingTable);
+    this.stagingTables.set(stagingTable, tableName);
+    return stagingTable;
+  }
+
+  /**
+   * Pick up the staging tables an interrupted attempt of the same session
+   * left behind, keeping the rows already loaded. Either all of them are
+   * resumed or none.
+   * 
+   * @param {string[]} tableNames - Tables the staging tables will replace
+   * @param {string} sessionId - Import session that loaded them
+   * @returns {Promise<string[]|null>} Staging table names in the order of tableNames,
+   *   or null when any of them is missing
+   */
+  async resumeStaging(tableNames, sessionId) {
+    const stagingTables = tableNames.map(tableName => this.getStagingTableName(tableName, sessionId));
+    for (const stagingTable of stagingTables) {
+      if (!await this.tableExists(stagingTable)) {
+        return null;
+      }
+    }
+    stagingTables.forEach((stagingTable, index) => this.stagingTables.set(stagingTable, tableNames[index]));
+    return stagingTables;
+  }
+
+  /**
+   * @param {string} tableName - Table the staging table will replace
+   * @param {string} sessionId - Import session loading it
+   * @returns {string} Staging table name of the table in the session
+   */
+  getStagingTableName(tableName, sessionId) {
+    return this.getSideTableName(tableName, 'staging', String(sessionId).replace(/[^a-zA-Z0-9_]/g, '_'));
+  }
+
+  /**
+   * Name of a table kept next to another one, `<table>__<kind>_<key>`. Names
+   * longer than Postgres keeps get a truncated table prefix and a hash of the
+   * full name instead, so they stay distinct and can be looked up again.
+   * 
+   * @param {string} tableName - Table the name belongs to
+   * @param {string} kind - 'staging' or 'previous'
+   * @param {string} key - Distinguishes the copies of the table, e.g. the session
+   * @returns {string} Table name of at most MAX_IDENTIFIER_LENGTH bytes
+   */
+  getSideTableName(tableName, kind, key) {
+    const name = `${tableName}__${kind}_${key}`;
+    if (Buffer.byteLength(name) <= MAX_IDENTIFIER_LENGTH) {
+      return name;
+    }
+    const suffix = `__${kind}_${crypto.createHash('sha256').update(name).digest('hex').substring(0, 12)}`;
+    let prefix = tableName.substring(0, MAX_IDENTIFIER_LENGTH - suffix.length);
+    while (Buffer.byteLength(prefix) > MAX_IDENTIFIER_LENGTH - suffix.length) {
+      prefix = prefix.slice(0, -1);
+    }
+    return `${prefix}${suffix}`;
+  }
+
+  /**
+   * Name a replaced table is kept under by swapStagingTables with keepPrevious
+   * 
+   * @param {string} tableName - Live table name
+   * @param {string} stagingTable - Staging table swapped in for it
+   * @returns {string} `<table>__previous_<key>`, with the key of the staging table (see getSideTableName)
+   */
+  getPreviousTableName(tableName, stagingTable) {
+    const stagingKey = stagingTable.substring(stagingTable.lastIndexOf('__staging_') + '__staging_'.length);
+    return this.getSideTableName(tableName, 'previous', stagingKey);
+  }
+
+  /**
+   * Drop the previous table versions a session kept with keepPrevious.
+   * They are normally dropped or restored when the session ends; this
+   * clears the ones an interrupted attempt of the session left behind.
+   * 
+   * @param {string} sessionId - Import session that swapped the tables
+   * @returns {Promise<string[]>} Names of the tables dropped
+   */
+  async dropPreviousTables(sessionId) {
+    const tables = await this.listTables();
+    const existing = new Set(tables);
+    const previousTables = tables
+      .map(tableName => this.getPreviousTableName(tableName, this.getStagingTableName(tableName, sessionId)))
+      .filter(previousTable => existing.has(previousTable));
+    for (const previousTable of previousTables) {
+      await this.dropTableIfExists(previousTable);
+    }
+    return previousTables;
+  }
+
+  /**
+   * Table a name stands for: the live table of a staging table, else the name itself
+   * 
+   * @param {string} tableName - Table or staging table name
+   * @returns {string} Live table name
+   */
+  resolveTableName(tableName) {
+    return this.stagingTables.get(tableName) || tableName;
+  }
+
+  /**
+   * Count the rows of a table
+   * 
+   * @param {string} tableName - Table name
+   * @returns {Promise<number>} Row count
+   */
+  async countRows(tableName) {
+    const rows = await this.querySQL(`SELECT COUNT(*) AS count FROM "${tableName}"`);
+    return Number(rows[0].count);
+  }
+
+  /**
+   * Replace live tables with their staging tables in one transaction, after
+   * checking that each staging table holds the rows the import wrote. If a
+   * count is off or the rename fails, the live tables are left untouched and
+   * an error is thrown; the staging tables are kept for discardStagingTables.
+   * 
+   * @param {Array<{stagingTable: string, expectedRows: number}>} tables - Staging tables to swap in
+   * @param {Object} options - Swap options
+   * @param {boolean} options.keepPrevious - Rename the replaced tables to `<table>__previous_<session>`
+   *   (see getSideTableName) instead of dropping them, so restoreReplacedTables can bring them back
+   * @returns {Promise<Array<{tableName: string, previousTable: string|null}>>} Swapped tables and where
+   *   their previous version was kept (null when it was dropped or there was none)
+   */
+  async swapStagingTables(tables, options = {}) {
+    const { keepPrevious = false } = options;
+    for (const { stagingTable, expectedRows } of tables) {
+      const rowCount = await this.countRows(stagingTable);
+      if (typeof expectedRows === 'number' && rowCount !== expectedRows) {
+        throw new Error(`Staging table '${stagingTable}' holds ${rowCount} rows, expected ${expectedRows}`);
+      }
+    }
+
+    const swapped = await this.runInTransaction(async () => {
+      const replaced = [];
+      for (const { stagingTable } of tables) {
+        const tableName = this.resolveTableName(stagingTable);
+        let previousTable = null;
+        if (keepPrevious && await this.tableExists(tableName)) {
+          previousTable = this.getPreviousTableName(tableName, stagingTable);
+          await this.executeSQL(`DROP TABLE IF EXISTS "${previousTable}"`);
+          await this.executeSQL(`ALTER TABLE "${tableName}" RENAME TO "${previousTable}"`);
+        } else {
+          // CASCADE drops foreign keys of junction tables that point at the old table
+          await this.executeSQL(`DROP TABLE IF EXISTS "${tableName}"${this.dbType === 'postgresql' ? ' CASCADE' : ''}`);
+        }
+        await this.executeSQL(`ALTER TABLE "${stagingTable}" RENAME TO "${tableName}"`);
+        replaced.push({ tableName, previousTable });
+      }
+      return replaced;
+    });
+
+    tables.forEach(({ stagingTable }) => {
+      console.log(`🔁 Swapped '${stagingTable}' in as '${this.resolveTableName(stagingTable)}'`);
+      this.stagingTables.delete(stagingTable);
+    });
+    return swapped;
+  }
+
+  /**
+   * Undo swapStagingTables: drop the swapped-in tables and rename the
+   * versions kept with keepPrevious back, in one transaction
+   * 
+   * @param {Array<{tableName: string, previousTable: string|null}>} replaced - Result of swapStagingTables
+   * @returns {Promise<void>}
+   */
+  async restoreReplacedTables(replaced) {
+    await this.runInTransaction(async () => {
+      for (const { tableName, previousTable } of replaced) {
+        await this.executeSQL(`DROP TABLE IF EXISTS "${tableName}"${this.dbType === 'postgresql' ? ' CASCADE' : ''}`);
+        if (previousTable) {
+          await this.executeSQL(`ALTER TABLE "${previousTable}" RENAME TO "${tableName}"`);
+        }
+      }
+    });
+    replaced.forEach(({ tableName, previousTable }) => {
+      console.log(previousTable ? `↩️  Restored the previous '${tableName}'` : `↩️  Dropped '${tableName}', which did not exist before`);
+    });
+  }
+
+  /**
+   * Drop the previous table versions kept by swapStagingTables
+   * 
+   * @param {Array<{tableName: string, previousTable: string|null}>} replaced - Result of swapStagingTables
+   * @returns {Promise<void>}
+   */
+  async dropReplacedTables(replaced) {
+    for (const { previousTable } of replaced) {
+      if (previousTable) {
+        await this.dropTableIfExists(previousTable);
+      }
+    }
+  }
+
+  /**
+   * Drop staging tables of an import that did not finish
+   * 
+   * @param {string[]} stagingTables - Staging table names
+   * @returns {Promise<void>}
+   */
+  async discardStagingTables(stagingTables) {
+    for (const stagingTable of stagingTables) {
+      await this.dropTableIfExists(stagingTable);
+      this.stagingTables.delete(stagingTable);
+    }
+  }
+
+  /**
+   * Map Airtable field type to SQL column type
+   * 
+   * @param {string} airtableType - Airtable field type
+   * @param {Object} options - Field options from Airtable
+   * @returns {string} SQL column type
+   */
+  mapAirtableTypeToSQL(airtableType, options = {}) {
+    const fieldType = getFieldType(airtableType);
+    if (!fieldType) {
+      return 'TEXT'; // Reported as an unknown field type in the import results
+    }
+    return typeof fieldType.column === 'function' ? fieldType.column(options || {}, this) : fieldType.column;
+  }
+
+
+  /**
+   * Create table from Airtable records with automatic schema detection
+   * 
+   * @param {string} tableName - Name of the table to create
+   * @param {Array} records - Sample Airtable records for schema inference
+   * @returns {Promise<string>} Success status
+   */
+  async createTableFromAirtableSchema(tableName, records) {
+    try {
+      if (!records || records.length === 0) {
+        throw new Error('No records provided for schema detection');
+      }
+
+      // Infer column types from sample records
+      const columns = this.inferColumnTypes(records);
+      
+      // Build CREATE TABLE SQL
+      const createTableSQL = this.buildCreateTableSQL(tableName, columns);
+      
+      // Execute the CREATE TABLE statement
+      await this.executeSQL(createTableSQL);
+      
+      console.log(`✅ Created table '${tableName}' with ${columns.length} columns`);
+      return tableName; // Return the table name, not just true
+    } catch (error) {
+      console.error(`❌ Failed to create table '${tableName}':`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Infer column types from Airtable records
+   * 
+   * @param {Array} records - Airtable records
+   * @returns {Array} Column definitions with names and types
+   */
+  inferColumnTypes(records) {
+    const columns = [];
+    const fieldTypes = {};
+
+    console.log(`🔍 Analyzing ${records.length} records for type inference...`);
+
+    // Analyze all records to determine field types
+    records.forEach((record, recordIndex) => {
+      if (record.fields) {
+        Object.entries(record.fields).forEach(([fieldName, value]) => {
+          if (!fieldTypes[fieldName]) {
+            fieldTypes[fieldName] = [];
+          }
+          const inferredType = this.inferSQLType(value);
+          fieldTypes[fieldName].push(inferredType);
+          
+          if (recordIndex < 3) { // Log first 3 records for debugging
+            console.log(`🔍 Field "${fieldName}": value="${value}" (${typeof value}) -> type=${inferredType}`);
+          }
+        });
+      }
+    });
+
+    // Determine the most appropriate type for each field
+    Object.entries(fieldTypes).forEach(([fieldName, types]) => {
+      // Count type occurrences
+      const typeCount = {};
+      types.forEach(type => {
+        typeCount[type] = (typeCount[type] || 0) + 1;
+      });
+      
+      // Smart type selection logic
+      let chosenType;
+      if (typeCount['INTEGER'] && typeCount['DECIMAL']) {
+        // If we have both integers and decimals, choose DECIMAL to accommodate both
+        chosenType = 'DECIMAL';
+        console.log(`🔍 Field "${fieldName}": Mixed INTEGER/DECIMAL detected, choosing DECIMAL for compatibility`);
+      } else if (typeCount['TEXT'] && (typeCount['INTEGER'] || typeCount['DECIMAL'])) {
+        // If we have text mixed with numbers, choose TEXT to be safe
+        chosenType = 'TEXT';
+        console.log(`🔍 Field "${fieldName}": Mixed TEXT/NUMERIC detected, choosing TEXT for safety`);
+      } else {
+        // Use the most common type
+        chosenType = Object.keys(typeCount).reduce((a, b) => 
+          typeCount[a] > typeCount[b] ? a : b
+        );
+      }
+      
+      console.log(`🔍 Field "${fieldName}": ${JSON.stringify(typeCount)} -> chosen: ${chosenType}`);
+      
+      columns.push({
+        name: fieldName,
+        type: chosenType
+      });
+    });
+
+    console.log(`🔍 Final column types:`, columns.map(c => `${c.name}:${c.type}`).join(', '));
+    return columns;
+  }
+
+  /**
+   * Infer SQL type from JavaScript value
+   * 
+   * @param {any} value - Value to analyze
+   * @returns {string} SQL type
+   */
+  inferSQLType(value) {
+    if (value === null || value === undefined) return 'TEXT';
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'INTEGER' : 'DECIMAL';
+    }
+    if (typeof value === 'string') {
+      // Check if string represents a decimal number
+      const numericValue = parseFloat(value);
+      if (!isNaN(numericValue) && isFinite(numericValue)) {
+        return numericValue % 1 === 0 ? 'INTEGER' : 'DECIMAL';
+      }
+      return 'TEXT';
+    }
+    if (typeof value === 'boolean') return 'BOOLEAN';
+    if (value instanceof Date) return 'TIMESTAMP';
+    if (Array.isArray(value)) return 'JSON';
+    if (typeof value === 'object') return 'JSON';
+    return 'TEXT';
+  }
+
+  /**
+   * Translate a column type from the type mapping into the connected database's dialect
+   * 
+   * @param {string} type - Column type from mapAirtableTypeToSQL / getColumnType
+   * @returns {string} Column definition type
+   */
+  getDatabaseColumnType(type) {
+    if (this.dbType === 'postgresql') {
+      if (type === 'DECIMAL') return 'DECIMAL(10,2)';
+      if (type === 'JSON') return 'JSONB';
+      if (type === 'COLLABORATOR') return `VARCHAR(255) REFERENCES "${COLLABORATORS_TABLE}" (id)`;
+      return type;
+    }
+    // SQLite: no array or timezone types, arrays are stored as JSON text
+    if (type.endsWith('[]')) return 'JSON';
+    if (type === 'TIMESTAMPTZ') return 'TEXT';
+    if (type === 'INTERVAL') return 'REAL';
+    if (type === 'COLLABORATOR') return `TEXT REFERENCES "${COLLABORATORS_TABLE}" (id)`;
+    return type;
+  }
+
+  /**
+   * Build CREATE TABLE SQL statement
+   * 
+   * @param {string} tableName - Table name
+   * @param {Array} columns - Column definitions
+   * @returns {string} SQL statement
+   */
+  buildCreateTableSQL(tableName, columns) {
+    const columnDefinitions = columns.map(col => `"${col.name}" ${this.getDatabaseColumnType(col.type)}`).join(', ');
+
+    // Build the CREATE TABLE statement with airtable_id for sync functionality
+    if (this.dbType === 'postgresql') {
+      return `CREATE TABLE IF NOT EXISTS "${tableName}" (
+        id SERIAL PRIMARY KEY,
+        airtable_id VARCHAR(255) UNIQUE NOT NULL,
+        ${columnDefinitions},
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`;
+    } else {
+      return `CREATE TABLE IF NOT EXISTS "${tableName}" (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        airtable_id TEXT UNIQUE NOT NULL,
+        ${columnDefinitions},
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`;
+    }
+  }
+
+  /**
+   * Run work with the connection to itself. Statements issued by the work
+   * run directly; statements of other tables wait until it is done, so they
+   * cannot end up inside its transaction.
+   * 
+   * @param {Function} work - Async function using the connection
+   * @returns {Promise<*>} Result of the work
+   */
+  async withConnection(work) {
+    if (this.connectionTurn.getStore()) {
+      return work();
+    }
+    const previous = this.connectionQueue;
+    let release;
+    this.connectionQueue = new Promise(resolve => { release = resolve; });
+    try {
+      await previous;
+      return await this.connectionTurn.run(true, work);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Run work in a transaction, rolled back if the work throws
+   * 
+   * @param {Function} work - Async function issuing the statements of the transaction
+   * @returns {Promise<*>} Result of the work
+   */
+  async runInTransaction(work) {
+    return this.withConnection(async () => {
+      await this.executeSQL('BEGIN');
+      try {
+        const result = await work();
+        await this.executeSQL('COMMIT');
+        return result;
+      } catch (error) {
+        await this.executeSQL('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Execute SQL statement
+   * 
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Parameters for prepared statement
+   * @returns {Promise} Query result
+   */
+  async executeSQL(sql, params = []) {
+    return this.withConnection(async () => {
+      try {
+        if (this.dbType === 'sqlite') {
+          return new Promise((resolve, reject) => {
+            if (params.length > 0) {
+              this.connection.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes, lastID: this.lastID });
+              });
+            } else {
+              this.connection.run(sql, function(err) {
+                if (err) reject(err);
+                else resolve({ changes: this.changes, lastID: this.lastID });
+              });
+            }
+          });
+        } else if (this.dbType === 'postgresql') {
+          return await this.connection.query(sql, params);
+        }
+      } catch (error) {
+        console.error('SQL execution error:', error.message);
+        console.error('SQL:', sql);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run a query that returns rows
+   * 
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Parameters for prepared statement
+   * @returns {Promise<Array>} Result rows
+   */
+  async querySQL(sql, params = []) {
+    return this.withConnection(async () => {
+      try {
+        if (this.dbType === 'sqlite') {
+          return await new Promise((resolve, reject) => {
+            this.connection.all(sql, params, (err, rows) => {
+              if (err) reject(err);
+              else resolve(rows);
+            });
+          });
+        } else if (this.dbType === 'postgresql') {
+          const result = await this.connection.query(sql, params);
+          return result.rows;
+        }
+        return [];
+      } catch (error) {
+        console.error('SQL query error:', error.message);
+        console.error('SQL:', sql);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Check if a table has a column
+   * 
+   * @param {string} tableName - Table name
+   * @param {string} columnName - Column name
+   * @returns {Promise<boolean>} True if the column exists
+   */
+  async columnExists(tableName, columnName) {
+    if (this.dbType === 'sqlite') {
+      const columns = await this.querySQL(`PRAGMA table_info("${tableName}")`);
+      return columns.some(column => column.name === columnName);
+    }
+    const rows = await this.querySQL(
+      "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2",
+      [tableName, columnName]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Add the _deleted_at tombstone column to a table if it is missing
+   * 
+   * @param {string} tableName - Table name
+   */
+  async ensureTombstoneColumn(tableName) {
+    if (await this.columnExists(tableName, TOMBSTONE_COLUMN)) {
+      return;
+    }
+    await this.executeSQL(`ALTER TABLE "${tableName}" ADD COLUMN "${TOMBSTONE_COLUMN}" TIMESTAMP`);
+    console.log(`🪦 Added ${TOMBSTONE_COLUMN} column to table '${tableName}'`);
+  }
+
+  /**
+   * Remove rows whose Airtable record no longer exists.
+   * Hard mode deletes the rows; tombstone mode stamps _deleted_at and keeps them.
+   * 
+   * @param {string} tableName - Table name
+   * @param {Set<string>} sourceIds - Every airtable_id currently present in Airtable
+   * @param {Object} options - Deletion options
+   * @param {string} options.mode - 'hard' or 'tombstone'
+   * @param {string[]} options.linkTables - Junction tables whose links of hard-deleted rows are removed too
+   * @param {string} options.commentsTable - Comments table whose comments of hard-deleted rows are removed too
+   * @returns {Promise<number>} Number of rows deleted or tombstoned
+   */
+  async deleteMissingRecords(tableName, sourceIds, options = {}) {
+    const { mode = 'hard', linkTables = [], commentsTable = null } = options;
+    if (!DELETION_MODES.includes(mode) || mode === 'none') {
+      throw new Error(`Invalid deletion mode: ${mode}`);
+    }
+
+    try {
+      if (mode === 'tombstone') {
+        await this.ensureTombstoneColumn(tableName);
+      }
+
+      const liveRows = await this.querySQL(
+        mode === 'tombstone'
+          ? `SELECT airtable_id FROM "${tableName}" WHERE "${TOMBSTONE_COLUMN}" IS NULL`
+          : `SELECT airtable_id FROM "${tableName}"`
+      );
+      const missingIds = liveRows.map(row => row.airtable_id).filter(id => !sourceIds.has(id));
+
+      for (let i = 0; i < missingIds.length; i += DELETE_BATCH_SIZE) {
+        const batch = missingIds.slice(i, i + DELETE_BATCH_SIZE);
+        const placeholders = batch.map((_, index) => this.dbType === 'postgresql' ? `$${index + 1}` : '?').join(', ');
+
+        if (mode === 'tombstone') {
+          await this.executeSQL(
+            `UPDATE "${tableName}" SET "${TOMBSTONE_COLUMN}" = CURRENT_TIMESTAMP WHERE airtable_id IN (${placeholders})`,
+            batch
+          );
+        } else {
+          await this.executeSQL(`DELETE FROM "${tableName}" WHERE airtable_id IN (${placeholders})`, batch);
+        }
+      }
+
+      if (mode === 'hard') {
+        for (const linkTable of linkTables) {
+          await this.deleteLinksForSources(linkTable, missingIds);
+        }
+        if (commentsTable) {
+          await this.deleteRecordComments(commentsTable, missingIds);
+        }
+      }
+
+      if (missingIds.length > 0) {
+        console.log(`🗑️  ${mode === 'tombstone' ? 'Tombstoned' : 'Deleted'} ${missingIds.length} records removed from Airtable in table '${tableName}'`);
+      }
+      return missingIds.length;
+    } catch (error) {
+      console.error(`❌ Failed to propagate deletions to table '${tableName}':`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Name of the junction table holding a linked-record field
+   * 
+   * @param {string} tableName - Sanitized source table name
+   * @param {string} fieldName - Airtable field name
+   * @returns {string} Junction table name `<table>__<field>`
+   */
+  getLinkTableName(tableName, fieldName) {
+    return this.getFieldObjectName(tableName, fieldName);
+  }
+
+  /**
+   * Name of a database object derived from a field (junction table, option table, enum type)
+   * 
+   * @param {string} tableName - Sanitized table name
+   * @param {string} fieldName - Airtable field name
+   * @param {string} suffix - Optional suffix such as '_options'
+   * @returns {string} `<table>__<field><suffix>`
+   */
+  getFieldObjectName(tableName, fieldName, suffix = '') {
+    return `${tableName}__${fieldName.replace(/[^a-zA-Z0-9_]/g, '_')}${suffix}`;
+  }
+
+  /**
+   * Column type for a field, taking the select storage mode into account
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Object} field - Airtable field definition
+   * @param {Object} options - Storage options
+   * @param {string} options.selectStorage - 'text', 'lookup' or 'enum'
+   * @returns {string} SQL column type
+   */
+  getColumnType(tableName, field, options = {}) {
+    const { selectStorage = 'text' } = options;
+
+    if (selectStorage !== 'text' && this.dbType === 'postgresql') {
+      if (field.type === 'singleSelect' && selectStorage === 'enum') {
+        return `"${this.getFieldObjectName(tableName, field.name, '_enum')}"`;
+      }
+      if (field.type === 'multipleSelects') {
+        return 'TEXT[]';
+      }
+    }
+
+    return this.mapAirtableTypeToSQL(field.type, field.options);
+  }
+
+  /**
+   * Materialise the choices of a table's select fields: ENUM types for single
+   * selects in 'enum' mode on Postgres, otherwise `<table>__<field>_options`
+   * tables holding (choice_id, name, color, position). Safe to run on every import;
+   * enum types only ever gain values.
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Array} fields - Airtable field definitions
+   * @param {Object} options - Storage options
+   * @param {string} options.selectStorage - 'text', 'lookup' or 'enum'
+   */
+  async syncSelectCatalogues(tableName, fields, options = {}) {
+    const { selectStorage = 'text' } = options;
+    if (selectStorage === 'text') {
+      return;
+    }
+
+    for (const field of fields.filter(candidate => SELECT_FIELD_TYPES.includes(candidate.type))) {
+      const choices = (field.options && field.options.choices) || [];
+
+      if (selectStorage === 'enum' && field.type === 'singleSelect' && this.dbType === 'postgresql') {
+        await this.ensureEnumType(this.getFieldObjectName(tableName, field.name, '_enum'), choices.map(choice => choice.name));
+        continue;
+      }
+
+      const optionsTable = this.getFieldObjectName(tableName, field.name, '_options');
+      await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${optionsTable}" (
+          name TEXT PRIMARY KEY,
+          choice_id TEXT,
+          color TEXT,
+          position INTEGER NOT NULL
+        )`);
+      await this.executeSQL(`DELETE FROM "${optionsTable}"`);
+      for (let position = 0; position < choices.length; position++) {
+        const choice = choices[position];
+        const placeholders = this.dbType === 'postgresql' ? '$1, $2, $3, $4' : '?, ?, ?, ?';
+        await this.executeSQL(
+          `INSERT INTO "${optionsTable}" (name, choice_id, color, position) VALUES (${placeholders})`,
+          [choice.name, choice.id || null, choice.color || null, position]
+        );
+      }
+      console.log(`🏷️  Stored ${choices.length} choices of '${field.name}' in '${optionsTable}'`);
+    }
+  }
+
+  /**
+   * Create a Postgres ENUM type, or add missing values to an existing one
+   * 
+   * @param {string} typeName - Enum type name
+   * @param {string[]} values - Values the type must accept
+   */
+  async ensureEnumType(typeName, values) {
+    const quote = value => `'${String(value).replace(/'/g, "''")}'`;
+    const existing = await this.querySQL('SELECT 1 FROM pg_type WHERE typname = $1', [typeName]);
+
+    if (existing.length === 0) {
+      await this.executeSQL(`CREATE TYPE "${typeName}" AS ENUM (${values.map(quote).join(', ')})`);
+      console.log(`🏷️  Created enum type '${typeName}' with ${values.length} values`);
+      return;
+    }
+    for (const value of values) {
+      await this.executeSQL(`ALTER TYPE "${typeName}" ADD VALUE IF NOT EXISTS ${quote(value)}`);
+    }
+  }
+
+  /**
+   * Find select values that are not among the field's choices.
+   * Enum-backed columns get the values added so the insert does not fail.
+   * 
+   * @param {string} tableName - Destination table name
+   * @param {Map} fieldDefinitions - Definitions from setTableFields
+   * @param {Array} records - Airtable records about to be inserted
+   * @returns {Promise<Object>} Field name -> array of unknown values
+   */
+  async handleUnknownSelectValues(tableName, fieldDefinitions, records) {
+    const unknownValues = this.findUnknownSelectValues(fieldDefinitions, records);
+
+    for (const [fieldName, values] of Object.entries(unknownValues)) {
+      const definition = fieldDefinitions.get(fieldName);
+      console.warn(`⚠️  Unknown values for select field '${fieldName}' in table '${tableName}': ${values.join(', ')}`);
+      if (definition.columnType.startsWith('"')) {
+        await this.ensureEnumType(definition.columnType.slice(1, -1), values);
+      }
+      values.forEach(value => definition.choices.add(value)); // Report each value once per import
+    }
+
+    return unknownValues;
+  }
+
+  /**
+   * Collect the select values of a page of records that are not among
+   * their field's choices, without changing anything
+   * 
+   * @param {Map} fieldDefinitions - Definitions from buildFieldDefinitions
+   * @param {Array} records - Airtable records
+   * @returns {Object} Field name -> array of unknown values (fields without any are left out)
+   */
+  findUnknownSelectValues(fieldDefinitions, records) {
+    const unknownValues = {};
+    if (!fieldDefinitions) {
+      return unknownValues;
+    }
+
+    for (const [fieldName, definition] of fieldDefinitions) {
+      if (!definition.choices) {
+        continue;
+      }
+      const unknown = new Set();
+      records.forEach(record => {
+        const value = record.fields ? record.fields[fieldName] : null;
+        const values = Array.isArray(value) ? value : (value === null || value === undefined ? [] : [value]);
+        values.filter(candidate => !definition.choices.has(candidate)).forEach(candidate => unknown.add(candidate));
+      });
+      if (unknown.size > 0) {
+        unknownValues[fieldName] = [...unknown];
+      }
+    }
+
+    return unknownValues;
+  }
+
+  /**
+   * Create the `_airtable_collaborators` table if it does not exist yet
+   */
+  async ensureCollaboratorsTable() {
+    const idType = this.dbType === 'postgresql' ? 'VARCHAR(255)' : 'TEXT';
+    await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${COLLABORATORS_TABLE}" (
+        id ${idType} PRIMARY KEY,
+        name TEXT,
+        email TEXT
+      )`);
+  }
+
+  /**
+   * Upsert the users referenced by collaborator fields of a page of records
+   * into `_airtable_collaborators`, so the ID columns can reference them
+   * 
+   * @param {Map} fieldDefinitions - Definitions from setTableFields
+   * @param {Array} records - Airtable records about to be inserted
+   * @returns {Promise<number>} Number of distinct collaborators upserted
+   */
+  async upsertCollaborators(fieldDefinitions, records) {
+    const collaborators = new Map();
+    if (!fieldDefinitions) {
+      return 0;
+    }
+
+    for (const [fieldName, definition] of fieldDefinitions) {
+      if (!COLLABORATOR_FIELD_TYPES.includes(definition.field.type)) {
+        continue;
       }
-    }).join(', ');
+      records.forEach(record => {
+        const value = record.fields ? record.fields[fieldName] : null;
+        (Array.isArray(value) ? value : [value])
+          .filter(collaborator => collaborator && collaborator.id)
+          .forEach(collaborator => collaborators.set(collaborator.id, collaborator));
+      });
+    }
+    return this.saveCollaborators(collaborators);
+  }
 
-    // Build the CREATE TABLE statement with airtable_id for sync functionality
-    if (this.dbType === 'postgresql') {
-      return `CREATE TABLE IF NOT EXISTS "${tableName}" (
-        id SERIAL PRIMARY KEY,
-        airtable_id VARCHAR(255) UNIQUE NOT NULL,
-        ${columnDefinitions},
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`;
-    } else {
-      return `CREATE TABLE IF NOT EXISTS "${tableName}" (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        airtable_id TEXT UNIQUE NOT NULL,
-        ${columnDefinitions},
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`;
+  /**
+   * Upsert users into `_airtable_collaborators`
+   * 
+   * @param {Map<string, Object>} collaborators - User ID -> {id, name, email}
+   * @returns {Promise<number>} Number of users upserted
+   */
+  async saveCollaborators(collaborators) {
+    if (collaborators.size === 0) {
+      return 0;
     }
+
+    await this.ensureCollaboratorsTable();
+    const placeholders = this.dbType === 'postgresql' ? '$1, $2, $3' : '?, ?, ?';
+    for (const collaborator of collaborators.values()) {
+      // Keep a known name or email when a value arrives without it
+      await this.executeSQL(
+        `INSERT INTO "${COLLABORATORS_TABLE}" (id, name, email) VALUES (${placeholders})
+          ON CONFLICT (id) DO UPDATE SET
+            name = COALESCE(excluded.name, "${COLLABORATORS_TABLE}".name),
+            email = COALESCE(excluded.email, "${COLLABORATORS_TABLE}".email)`,
+        [collaborator.id, collaborator.name || null, collaborator.email || null]
+      );
+    }
+    return collaborators.size;
   }
 
   /**
-   * Execute SQL statement
+   * Reduce a collaborator cell to the user ID, or an array of IDs for
+   * multiple-collaborator fields
    * 
-   * @param {string} sql - SQL statement
-   * @param {Array} params - Parameters for prepared statement
-   * @returns {Promise} Query result
+   * @param {Object} definition - Entry from setTableFields ({field, columnType, existingType})
+   * @param {Object|Object[]} value - Collaborator value(s) from the Airtable record
+   * @returns {string|string[]|null} Value to bind
    */
-  async executeSQL(sql, params = []) {
-    try {
-      if (this.dbType === 'sqlite') {
-        return new Promise((resolve, reject) => {
-          if (params.length > 0) {
-            this.connection.run(sql, params, function(err) {
-              if (err) reject(err);
-              else resolve({ changes: this.changes, lastID: this.lastID });
-            });
-          } else {
-            this.connection.run(sql, function(err) {
-              if (err) reject(err);
-              else resolve({ changes: this.changes, lastID: this.lastID });
-            });
-          }
+  getCollaboratorIds(definition, value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (definition.field.type !== 'multipleCollaborators') {
+      return value.id || null;
+    }
+
+    const ids = (Array.isArray(value) ? value : [value])
+      .map(collaborator => collaborator && collaborator.id)
+      .filter(Boolean);
+    // pg binds arrays as Postgres arrays; SQLite and older text columns keep them as JSON
+    const arrayColumn = this.dbType === 'postgresql' && (!definition.existingType || definition.existingType === 'array');
+    return arrayColumn ? ids : JSON.stringify(ids);
+  }
+
+  /**
+   * Name of the table holding the record comments of a table
+   * 
+   * @param {string} tableName - Destination table name
+   * @returns {string} `<table>__comments`
+   */
+  getCommentsTableName(tableName) {
+    return `${tableName}__comments`;
+  }
+
+  /**
+   * Create the comments table of a table
+   * 
+   * @param {string} commentsTableName - Comments table name
+   * @param {Object} options - Creation options
+   * @param {boolean} options.replace - Drop an existing comments table first
+   */
+  async createCommentsTable(commentsTableName, options = {}) {
+    const { replace = false } = options;
+    if (replace) {
+      await this.dropTableIfExists(commentsTableName);
+    }
+
+    const postgres = this.dbType === 'postgresql';
+    const idType = postgres ? 'VARCHAR(255)' : 'TEXT';
+    const timeType = postgres ? 'TIMESTAMPTZ' : 'TEXT';
+    await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${commentsTableName}" (
+        comment_id ${idType} PRIMARY KEY,
+        record_airtable_id ${idType} NOT NULL,
+        author_id ${idType},
+        author_name TEXT,
+        author_email TEXT,
+        text TEXT,
+        created_time ${timeType},
+        last_updated_time ${timeType},
+        mentions ${postgres ? 'JSONB' : 'JSON'}
+      )`);
+    await this.executeSQL(
+      `CREATE INDEX IF NOT EXISTS "${commentsTableName}_record_idx" ON "${commentsTableName}" (record_airtable_id)`
+    );
+  }
+
+  /**
+   * Replace the stored comments of a set of records. Comment authors and
+   * mentioned users are upserted into `_airtable_collaborators`.
+   * 
+   * @param {string} commentsTableName - Comments table name
+   * @param {Map<string, Object[]>} commentsByRecord - Record ID -> comments from the Airtable API
+   * @param {Object} options - Write options
+   * @param {string} options.timeZone - IANA zone the comment timestamps are written in
+   * @returns {Promise<number>} Number of comments written
+   */
+  async writeRecordComments(commentsTableName, commentsByRecord, options = {}) {
+    const { timeZone = 'UTC' } = options;
+    const formatTime = value => value ? formatInTimeZone(new Date(value), timeZone) : null;
+
+    await this.deleteRecordComments(commentsTableName, [...commentsByRecord.keys()]);
+
+    const collaborators = new Map();
+    const placeholders = this.dbType === 'postgresql'
+      ? '$1, $2, $3, $4, $5, $6, $7, $8, $9'
+      : '?, ?, ?, ?, ?, ?, ?, ?, ?';
+    let written = 0;
+
+    for (const [recordId, comments] of commentsByRecord) {
+      for (const comment of comments) {
+        const author = comment.author || {};
+        const mentions = Object.values(comment.mentioned || {});
+        if (author.id) {
+          collaborators.set(author.id, author);
+        }
+        mentions.filter(mention => mention.type === 'user' && mention.id).forEach(mention => {
+          collaborators.set(mention.id, { id: mention.id, name: mention.displayName, email: mention.email });
         });
-      } else if (this.dbType === 'postgresql') {
-        return await this.connection.query(sql, params);
+
+        await this.executeSQL(
+          `INSERT INTO "${commentsTableName}" (comment_id, record_airtable_id, author_id, author_name, author_email,
+            text, created_time, last_updated_time, mentions) VALUES (${placeholders})`,
+          [
+            comment.id,
+            recordId,
+            author.id || null,
+            author.name || null,
+            author.email || null,
+            comment.text || null,
+            formatTime(comment.createdTime),
+            formatTime(comment.lastUpdatedTime),
+            JSON.stringify(mentions)
+          ]
+        );
+        written++;
       }
+    }
+
+    await this.saveCollaborators(collaborators);
+    return written;
+  }
+
+  /**
+   * Delete the stored comments of records
+   * 
+   * @param {string} commentsTableName - Comments table name
+   * @param {string[]} recordIds - Airtable record IDs
+   */
+  async deleteRecordComments(commentsTableName, recordIds) {
+    for (let i = 0; i < recordIds.length; i += DELETE_BATCH_SIZE) {
+      const batch = recordIds.slice(i, i + DELETE_BATCH_SIZE);
+      const placeholders = batch.map((_, index) => this.dbType === 'postgresql' ? `$${index + 1}` : '?').join(', ');
+      await this.executeSQL(`DELETE FROM "${commentsTableName}" WHERE record_airtable_id IN (${placeholders})`, batch);
+    }
+  }
+
+  /**
+   * Create the `_airtable_attachments` table if it does not exist yet
+   */
+  async ensureAttachmentsTable() {
+    const idType = this.dbType === 'postgresql' ? 'VARCHAR(255)' : 'TEXT';
+    await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${ATTACHMENTS_TABLE}" (
+        attachment_id ${idType} NOT NULL,
+        variant ${idType} NOT NULL,
+        content_hash TEXT NOT NULL,
+        storage_key TEXT NOT NULL,
+        url TEXT NOT NULL,
+        size INTEGER,
+        PRIMARY KEY (attachment_id, variant)
+      )`);
+  }
+
+  /**
+   * Look up attachment files stored by earlier imports
+   * 
+   * @param {string[]} attachmentIds - Airtable attachment IDs
+   * @returns {Promise<Map<string, Object>>} `<attachment id>:<variant>` -> {attachmentId, variant, contentHash, storageKey, url, size}
+   */
+  async getStoredAttachments(attachmentIds) {
+    await this.ensureAttachmentsTable();
+    const stored = new Map();
+
+    for (let i = 0; i < attachmentIds.length; i += ATTACHMENT_LOOKUP_BATCH_SIZE) {
+      const batch = attachmentIds.slice(i, i + ATTACHMENT_LOOKUP_BATCH_SIZE);
+      const placeholders = batch.map((_, index) => this.dbType === 'postgresql' ? `$${index + 1}` : '?').join(', ');
+      const rows = await this.querySQL(
+        `SELECT attachment_id, variant, content_hash, storage_key, url, size FROM "${ATTACHMENTS_TABLE}" WHERE attachment_id IN (${placeholders})`,
+        batch
+      );
+      rows.forEach(row => stored.set(`${row.attachment_id}:${row.variant}`, {
+        attachmentId: row.attachment_id,
+        variant: row.variant,
+        contentHash: row.content_hash,
+        storageKey: row.storage_key,
+        url: row.url,
+        size: row.size
+      }));
+    }
+    return stored;
+  }
+
+  /**
+   * Record a stored attachment file
+   * 
+   * @param {Object} attachment - {attachmentId, variant, contentHash, storageKey, url, size}
+   */
+  async saveStoredAttachment(attachment) {
+    const placeholders = this.dbType === 'postgresql' ? '$1, $2, $3, $4, $5, $6' : '?, ?, ?, ?, ?, ?';
+    await this.executeSQL(
+      `INSERT INTO "${ATTACHMENTS_TABLE}" (attachment_id, variant, content_hash, storage_key, url, size) VALUES (${placeholders})
+        ON CONFLICT (attachment_id, variant) DO UPDATE SET
+          content_hash = excluded.content_hash, storage_key = excluded.storage_key, url = excluded.url, size = excluded.size`,
+      [attachment.attachmentId, attachment.variant, attachment.contentHash, attachment.storageKey, attachment.url, attachment.size]
+    );
+  }
+
+  /**
+   * Create the junction table for a linked-record field
+   * 
+   * @param {string} linkTableName - Junction table name
+   * @param {Object} options - Creation options
+   * @param {boolean} options.replace - Drop an existing junction table first
+   */
+  async createLinkTable(linkTableName, options = {}) {
+    const { replace = false } = options;
+    if (replace) {
+      await this.dropTableIfExists(linkTableName);
+    }
+
+    const idType = this.dbType === 'postgresql' ? 'VARCHAR(255)' : 'TEXT';
+    await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${linkTableName}" (
+        source_airtable_id ${idType} NOT NULL,
+        target_airtable_id ${idType} NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (source_airtable_id, position)
+      )`);
+    await this.executeSQL(`CREATE INDEX IF NOT EXISTS "${linkTableName}_target_idx" ON "${linkTableName}" (target_airtable_id)`);
+    console.log(`🔗 Junction table '${linkTableName}' ready`);
+  }
+
+  /**
+   * Write the links of a page of records into a junction table. A record
+   * that appears twice gets the links of its last version, as in writeBatch.
+   * 
+   * @param {string} linkTableName - Junction table name
+   * @param {string} fieldName - Linked-record field name in the records
+   * @param {Array} records - Airtable records
+   * @param {Object} options - Write options
+   * @param {boolean} options.replace - Remove existing links of these records first (sync mode)
+   * @returns {Promise<number>} Number of links written
+   */
+  async writeRecordLinks(linkTableName, fieldName, records, options = {}) {
+    const { replace = false } = options;
+    const latest = [...new Map(records.map(record => [record.id, record])).values()];
+
+    if (replace) {
+      await this.deleteLinksForSources(linkTableName, latest.map(record => record.id));
+    }
+
+    const rows = latest.flatMap(record => {
+      const targets = record.fields && Array.isArray(record.fields[fieldName]) ? record.fields[fieldName] : [];
+      return targets.map((targetId, position) => [record.id, targetId, position]);
+    });
+
+    for (let i = 0; i < rows.length; i += LINK_INSERT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + LINK_INSERT_BATCH_SIZE);
+      const values = batch.map((_, rowIndex) => this.dbType === 'postgresql'
+        ? `($${rowIndex * 3 + 1}, $${rowIndex * 3 + 2}, $${rowIndex * 3 + 3})`
+        : '(?, ?, ?)'
+      ).join(', ');
+      await this.executeSQL(
+        `INSERT INTO "${linkTableName}" (source_airtable_id, target_airtable_id, position) VALUES ${values}`,
+        batch.flat()
+      );
+    }
+
+    return rows.length;
+  }
+
+  /**
+   * Remove every link of the given source records from a junction table
+   * 
+   * @param {string} linkTableName - Junction table name
+   * @param {string[]} sourceIds - Airtable IDs of the source records
+   */
+  async deleteLinksForSources(linkTableName, sourceIds) {
+    for (let i = 0; i < sourceIds.length; i += DELETE_BATCH_SIZE) {
+      const batch = sourceIds.slice(i, i + DELETE_BATCH_SIZE);
+      const placeholders = batch.map((_, index) => this.dbType === 'postgresql' ? `$${index + 1}` : '?').join(', ');
+      await this.executeSQL(`DELETE FROM "${linkTableName}" WHERE source_airtable_id IN (${placeholders})`, batch);
+    }
+  }
+
+  /**
+   * Drop the foreign keys of a junction table so records can be loaded in any order
+   * 
+   * @param {string} linkTableName - Junction table name
+   */
+  async dropLinkForeignKeys(linkTableName) {
+    if (this.dbType !== 'postgresql') {
+      return;
+    }
+    await this.executeSQL(`ALTER TABLE IF EXISTS "${linkTableName}" DROP CONSTRAINT IF EXISTS "${linkTableName}_source_fk"`);
+    await this.executeSQL(`ALTER TABLE IF EXISTS "${linkTableName}" DROP CONSTRAINT IF EXISTS "${linkTableName}_target_fk"`);
+  }
+
+  /**
+   * Add foreign keys from a junction table to its source and target tables.
+   * SQLite cannot add constraints to existing tables, so it is skipped there.
+   * 
+   * @param {string} linkTableName - Junction table name
+   * @param {string} sourceTable - Sanitized source table name
+   * @param {string} targetTable - Sanitized linked table name
+   * @returns {Promise<{status: string, reason?: string}>} 'added' or 'skipped' with the reason
+   */
+  async addLinkForeignKeys(linkTableName, sourceTable, targetTable) {
+    if (this.dbType !== 'postgresql') {
+      return { status: 'skipped', reason: 'SQLite cannot add foreign keys to existing tables' };
+    }
+    if (!(await this.tableExists(targetTable))) {
+      return { status: 'skipped', reason: `Linked table '${targetTable}' has not been imported` };
+    }
+
+    try {
+      await this.dropLinkForeignKeys(linkTableName);
+      await this.executeSQL(`ALTER TABLE "${linkTableName}" ADD CONSTRAINT "${linkTableName}_source_fk"
+        FOREIGN KEY (source_airtable_id) REFERENCES "${sourceTable}" (airtable_id) ON DELETE CASCADE`);
+      await this.executeSQL(`ALTER TABLE "${linkTableName}" ADD CONSTRAINT "${linkTableName}_target_fk"
+        FOREIGN KEY (target_airtable_id) REFERENCES "${targetTable}" (airtable_id) ON DELETE CASCADE`);
+      console.log(`🔗 Added foreign keys for '${linkTableName}' (${sourceTable} -> ${targetTable})`);
+      return { status: 'added' };
     } catch (error) {
-      console.error('SQL execution error:', error.message);
-      console.error('SQL:', sql);
-      throw error;
+      // Typically links to records outside the imported rows; leave the junction table unconstrained
+      await this.dropLinkForeignKeys(linkTableName);
+      console.warn(`⚠️  Could not add foreign keys for '${linkTableName}':`, error.message);
+      return { status: 'skipped', reason: error.message };
     }
   }
 
   /**
-   * Insert Airtable records into database table
+   * Insert Airtable records into database table. Records are written in
+   * batches: Postgres loads each batch with COPY (through a staging table
+   * in sync mode, so inserts and updates can still be told apart) and SQLite
+   * runs multi-row prepared INSERTs inside a transaction. A batch that fails
+   * is rolled back and retried record by record, so only the records that
+   * really fail end up in `_import_rejects`.
    * 
    * @param {string} tableName - Target table name
    * @param {Array} records - Airtable records to insert
    * @param {Object} options - Insert options (syncMode, etc.)
-   * @returns {Promise<{insertedCount: number, skippedCount: number}>} Insert results
+   * @param {boolean} options.clearTombstones - Reset _deleted_at on upserted rows (records restored in Airtable)
+   * @param {string} options.sessionId - Import session recorded with rejected records
+   * @param {number} options.batchSize - Records per bulk write (default IMPORT_BATCH_SIZE or 100)
+   * @returns {Promise<Object>} Insert results: insertedCount, updatedCount, skippedCount, errorCells,
+   *   unknownSelectValues (field name -> values missing from the select choices), and rejectedCount and
+   *   rejectedIds for records that failed to insert and were written to `_import_rejects` instead
    */
   async insertRecords(tableName, records, options = {}) {
     try {
       if (!records || records.length === 0) {
-        return { insertedCount: 0, updatedCount: 0, skippedCount: 0 };
-      }
-
-      const { syncMode = false } = options;
-      let insertedCount = 0;
-      let updatedCount = 0;
-      let skippedCount = 0;
-
-      for (const record of records) {
-        if (record.fields) {
-          try {
-            // Build INSERT statement
-            const fields = Object.keys(record.fields);
-            const values = Object.values(record.fields);
-            
-            // Handle JSON values
-            const processedValues = values.map(value => {
-              if (Array.isArray(value) || (typeof value === 'object' && value !== null)) {
-                return JSON.stringify(value);
-              }
-              return value;
-            });
+        return { insertedCount: 0, updatedCount: 0, skippedCount: 0, errorCells: 0, unknownSelectValues: {}, rejectedCount: 0, rejectedIds: [] };
+      }
 
-            let insertSQL;
-            let queryParams;
-
-            if (syncMode && this.dbType === 'postgresql') {
-              // PostgreSQL UPSERT using ON CONFLICT with tracking
-              const placeholders = fields.map((_, i) => `$${i + 2}`).join(', '); // Start from $2 because $1 is airtable_id
-              const fieldNames = fields.map(f => `"${f}"`).join(', ');
-              const updateSet = fields.map(f => `"${f}" = EXCLUDED."${f}"`).join(', ');
-              
-              // Use RETURNING to detect if it was INSERT or UPDATE
-              insertSQL = `INSERT INTO "${tableName}" (airtable_id, ${fieldNames}) 
-                          VALUES ($1, ${placeholders}) 
-                          ON CONFLICT (airtable_id) DO UPDATE SET ${updateSet}
-                          RETURNING (xmax = 0) AS was_inserted`;
-              queryParams = [record.id, ...processedValues];
-              
-              const result = await this.connection.query(insertSQL, queryParams);
-              if (result.rows[0].was_inserted) {
-                insertedCount++;
-              } else {
-                updatedCount++;
-              }
-            } else if (syncMode && this.dbType === 'sqlite') {
-              // SQLite UPSERT - check if record exists first to track insert vs update
-              const existsSQL = `SELECT 1 FROM "${tableName}" WHERE airtable_id = ?`;
-              const existsResult = await this.executeSQL(existsSQL, [record.id]);
-              const recordExists = existsResult.length > 0;
-              
-              const placeholders = fields.map(() => '?').join(', ');
-              const fieldNames = fields.map(f => `"${f}"`).join(', ');
-              const updateSet = fields.map(f => `"${f}" = excluded."${f}"`).join(', ');
-              
-              insertSQL = `INSERT INTO "${tableName}" (airtable_id, ${fieldNames}) 
-                          VALUES (?, ${placeholders}) 
-                          ON CONFLICT(airtable_id) DO UPDATE SET ${updateSet}`;
-              queryParams = [record.id, ...processedValues];
-              
-              await this.executeSQL(insertSQL, queryParams);
-              if (recordExists) {
-                updatedCount++;
-              } else {
-                insertedCount++;
-              }
-            } else {
-              // Regular INSERT for overwrite mode or when sync isn't supported
-              const placeholders = this.dbType === 'postgresql' 
-                ? fields.map((_, i) => `$${i + 2}`).join(', ')
-                : fields.map(() => '?').join(', ');
-
-              const fieldNames = fields.map(f => `"${f}"`).join(', ');
-              insertSQL = `INSERT INTO "${tableName}" (airtable_id, ${fieldNames}) VALUES (${this.dbType === 'postgresql' ? '$1' : '?'}, ${placeholders})`;
-              queryParams = [record.id, ...processedValues];
-              
-              await this.executeSQL(insertSQL, queryParams);
-              insertedCount++;
-            }
-          } catch (error) {
-            if (syncMode && error.message.includes('UNIQUE constraint failed')) {
-              // Record already exists in sync mode - this is expected
-              skippedCount++;
-              console.log(`⏭️  Skipped duplicate record ${record.id} in sync mode`);
-            } else {
-              console.error(`❌ Error inserting record ${record.id}:`, error.message);
-              throw error;
-            }
-          }
+      const { syncMode = false, clearTombstones = false, sessionId = null } = options;
+      const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+      const counts = { insertedCount: 0, updatedCount: 0, skippedCount: 0 };
+      let errorCells = 0;
+      const rejectedIds = [];
+      const reject = async (record, error) => {
+        // Quarantine the record and carry on with the rest of the page
+        console.error(`❌ Error inserting record ${record.id}, moved to ${REJECTS_TABLE}:`, error.message);
+        await this.saveRejectedRecord(this.resolveTableName(tableName), record, error, { sessionId });
+        rejectedIds.push(record.id);
+      };
+      const fieldDefinitions = this.tableFields.get(this.resolveTableName(tableName));
+      const unknownSelectValues = await this.handleUnknownSelectValues(tableName, fieldDefinitions, records);
+      await this.upsertCollaborators(fieldDefinitions, records);
+
+      const rows = [];
+      for (const record of records.filter(record => record.fields)) {
+        try {
+          const row = this.convertRecord(fieldDefinitions, record);
+          errorCells += row.errorCells;
+          rows.push({ record, columns: row.columns, values: row.values });
+        } catch (error) {
+          await reject(record, error);
         }
       }
 
+      for (let i = 0; i < rows.length; i += batchSize) {
+        const batch = rows.slice(i, i + batchSize);
+        let batchCounts;
+        try {
+          batchCounts = await this.writeBatch(tableName, batch, { syncMode, clearTombstones });
+        } catch (error) {
+          console.warn(`⚠️  Batch of ${batch.length} records for table '${tableName}' failed (${error.message}), writing them one by one`);
+          batchCounts = await this.writeRowsIndividually(tableName, batch, { syncMode, clearTombstones, reject });
+        }
+        Object.keys(counts).forEach(key => { counts[key] += batchCounts[key] || 0; });
+      }
+
+      const { insertedCount, updatedCount, skippedCount } = counts;
       const totalProcessed = insertedCount + updatedCount + skippedCount;
       const mode = syncMode ? 'sync' : 'import';
       console.log(`✅ ${mode.charAt(0).toUpperCase() + mode.slice(1)} completed for table '${tableName}': ${insertedCount} inserted, ${updatedCount} updated, ${skippedCount} skipped (${totalProcessed}/${records.length} processed)`);
       
-      return { insertedCount, updatedCount, skippedCount };
+      if (errorCells > 0) {
+        console.warn(`⚠️  Stored ${errorCells} error cells as NULL in table '${tableName}'`);
+      }
+      if (rejectedIds.length > 0) {
+        console.warn(`⚠️  Rejected ${rejectedIds.length} records of table '${tableName}' (see ${REJECTS_TABLE})`);
+      }
+      
+      return { insertedCount, updatedCount, skippedCount, errorCells, unknownSelectValues, rejectedCount: rejectedIds.length, rejectedIds };
     } catch (error) {
       console.error(`❌ Failed to insert records into table '${tableName}':`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Columns written for a set of converted records: every defined field of
+   * the table plus whatever else the records carry. Writing the same columns
+   * whatever the records contain is what nulls a field cleared in Airtable,
+   * which leaves it out of the record instead of sending an empty value.
+   * 
+   * @param {string} tableName - Target table name
+   * @param {Array<{columns: string[]}>} rows - Rows from convertRecord
+   * @returns {string[]} Column names after airtable_id
+   */
+  getWriteColumns(tableName, rows) {
+    const fieldDefinitions = this.tableFields.get(this.resolveTableName(tableName));
+    return [...new Set([...(fieldDefinitions ? fieldDefinitions.keys() : []), ...rows.flatMap(row => row.columns)])];
+  }
+
+  /**
+   * Write a batch of converted records in one transaction. Every row gets
+   * the columns from getWriteColumns; a field missing from a record (Airtable
+   * leaves out empty fields) is written as NULL. A record that appears twice
+   * (it moved while the pages were read) is written once, with its last
+   * version, and the extra copies are counted as skipped: a multi-row upsert
+   * cannot touch the same row twice, and the insert counts assume distinct ids.
+   * 
+   * @param {string} tableName - Target table name
+   * @param {Array<{record: Object, columns: string[], values: Array}>} rows - Rows from convertRecord
+   * @param {Object} options - Write options
+   * @param {boolean} options.syncMode - Upsert on airtable_id instead of inserting
+   * @param {boolean} options.clearTombstones - Reset _deleted_at on upserted rows
+   * @returns {Promise<{insertedCount: number, updatedCount: number, skippedCount: number}>} Counts for the batch
+   */
+  async writeBatch(tableName, rows, options = {}) {
+    const latest = [...new Map(rows.map(row => [row.record.id, row])).values()];
+    const columns = this.getWriteColumns(tableName, latest);
+    const values = latest.map(row => {
+      const byColumn = new Map(row.columns.map((column, index) => [column, row.values[index]]));
+      return [row.record.id, ...columns.map(column => byColumn.has(column) ? byColumn.get(column) : null)];
+    });
+
+    const counts = await this.runInTransaction(() => this.dbType === 'postgresql'
+      ? this.writeBatchPostgreSQL(tableName, columns, values, options)
+      : this.writeBatchSQLite(tableName, columns, values, options));
+    return { ...counts, skippedCount: counts.skippedCount + rows.length - latest.length };
+  }
+
+  /**
+   * Conflict clause that upserts on airtable_id
+   * 
+   * @param {string[]} columns - Columns written
+   * @param {boolean} clearTombstones - Reset _deleted_at as well
+   * @returns {string} ON CONFLICT clause
+   */
+  buildUpsertClause(columns, clearTombstones) {
+    const updates = columns.map(column => `"${column}" = excluded."${column}"`);
+    if (clearTombstones) {
+      updates.push(`"${TOMBSTONE_COLUMN}" = NULL`);
+    }
+    return updates.length > 0
+      ? `ON CONFLICT (airtable_id) DO UPDATE SET ${updates.join(', ')}`
+      : 'ON CONFLICT (airtable_id) DO NOTHING';
+  }
+
+  /**
+   * Load a batch with COPY. In sync mode the rows are copied into a staging
+   * table first and upserted from there, and `xmax = 0` tells new rows from
+   * updated ones.
+   * 
+   * @param {string} tableName - Target table name
+   * @param {string[]} columns - Columns after airtable_id
+   * @param {Array<Array>} rows - airtable_id followed by the column values
+   * @param {Object} options - Write options (syncMode, clearTombstones)
+   * @returns {Promise<{insertedCount: number, updatedCount: number, skippedCount: number}>} Counts for the batch
+   */
+  async writeBatchPostgreSQL(tableName, columns, rows, options = {}) {
+    const { syncMode = false, clearTombstones = false } = options;
+    const columnList = ['airtable_id', ...columns].map(column => `"${column}"`).join(', ');
+
+    if (!syncMode) {
+      await this.copyRows(tableName, columnList, rows);
+      return { insertedCount: rows.length, updatedCount: 0, skippedCount: 0 };
+    }
+
+    await this.executeSQL(`CREATE TEMP TABLE "${STAGING_TABLE}" ON COMMIT DROP AS
+      SELECT ${columnList} FROM "${tableName}" WITH NO DATA`);
+    await this.copyRows(STAGING_TABLE, columnList, rows);
+    const upserted = await this.querySQL(`INSERT INTO "${tableName}" (${columnList})
+      SELECT ${columnList} FROM "${STAGING_TABLE}"
+      ${this.buildUpsertClause(columns, clearTombstones)}
+      RETURNING (xmax = 0) AS was_inserted`);
+    const insertedCount = upserted.filter(row => row.was_inserted).length;
+    return {
+      insertedCount,
+      updatedCount: upserted.length - insertedCount,
+      skippedCount: rows.length - upserted.length
+    };
+  }
+
+  /**
+   * Stream rows into a Postgres table with COPY ... FROM STDIN (CSV format).
+   * Values are serialised the way pg serialises query parameters.
+   * 
+   * @param {string} tableName - Target table name
+   * @param {string} columnList - Quoted, comma-separated column names
+   * @param {Array<Array>} rows - Values in column order
+   */
+  async copyRows(tableName, columnList, rows) {
+    const toCsv = value => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      return `"${String(pgUtils.prepareValue(value)).replace(/"/g, '""')}"`;
+    };
+    const lines = rows.map(row => `${row.map(toCsv).join(',')}\n`);
+    const stream = this.connection.query(copyFrom(`COPY "${tableName}" (${columnList}) FROM STDIN WITH (FORMAT csv)`));
+    await pipeline(Readable.from(lines), stream);
+  }
+
+  /**
+   * Write a batch with multi-row prepared INSERTs, as many rows per
+   * statement as SQLite's variable limit allows. In sync mode the existing
+   * airtable_ids are looked up once per batch to count inserts and updates.
+   * 
+   * @param {string} tableName - Target table name
+   * @param {string[]} columns - Columns after airtable_id
+   * @param {Array<Array>} rows - airtable_id followed by the column values
+   * @param {Object} options - Write options (syncMode, clearTombstones)
+   * @returns {Promise<{insertedCount: number, updatedCount: number, skippedCount: number}>} Counts for the batch
+   */
+  async writeBatchSQLite(tableName, columns, rows, options = {}) {
+    const { syncMode = false, clearTombstones = false } = options;
+    const columnList = ['airtable_id', ...columns].map(column => `"${column}"`).join(', ');
+    const rowPlaceholders = `(${['airtable_id', ...columns].map(() => '?').join(', ')})`;
+    const rowsPerStatement = Math.max(1, Math.floor(SQLITE_MAX_VARIABLES / (columns.length + 1)));
+    const conflictClause = syncMode ? ` ${this.buildUpsertClause(columns, clearTombstones)}` : '';
+
+    let existingCount = 0;
+    if (syncMode) {
+      const ids = rows.map(row => row[0]);
+      for (let i = 0; i < ids.length; i += SQLITE_MAX_VARIABLES) {
+        const batch = ids.slice(i, i + SQLITE_MAX_VARIABLES);
+        const existing = await this.querySQL(
+          `SELECT COUNT(*) AS count FROM "${tableName}" WHERE airtable_id IN (${batch.map(() => '?').join(', ')})`,
+          batch
+        );
+        existingCount += Number(existing[0].count);
+      }
+    }
+
+    const statements = new Map(); // rows per statement -> prepared statement
+    const prepare = rowCount => new Promise((resolve, reject) => {
+      const sql = `INSERT INTO "${tableName}" (${columnList}) VALUES ${new Array(rowCount).fill(rowPlaceholders).join(', ')}${conflictClause}`;
+      const statement = this.connection.prepare(sql, error => error ? reject(error) : resolve(statement));
+    });
+    try {
+      for (let i = 0; i < rows.length; i += rowsPerStatement) {
+        const chunk = rows.slice(i, i + rowsPerStatement);
+        if (!statements.has(chunk.length)) {
+          statements.set(chunk.length, await prepare(chunk.length));
+        }
+        const statement = statements.get(chunk.length);
+        await new Promise((resolve, reject) => statement.run(chunk.flat(), error => error ? reject(error) : resolve()));
+      }
+    } finally {
+      await Promise.all([...statements.values()].map(statement => new Promise(resolve => statement.finalize(() => resolve()))));
+    }
+
+    return { insertedCount: rows.length - existingCount, updatedCount: existingCount, skippedCount: 0 };
+  }
+
+  /**
+   * Write converted records one statement at a time, rejecting the ones
+   * that fail. Used when a bulk write of their batch failed.
+   * 
+   * @param {string} tableName - Target table name
+   * @param {Array<{record: Object, columns: string[], values: Array}>} rows - Rows from convertRecord
+   * @param {Object} options - Write options
+   * @param {boolean} options.syncMode - Upsert on airtable_id instead of inserting
+   * @param {boolean} options.clearTombstones - Reset _deleted_at on upserted rows
+   * @param {Function} options.reject - Called with (record, error) for a record that fails
+   * @returns {Promise<{insertedCount: number, updatedCount: number, skippedCount: number}>} Counts for the rows
+   */
+  async writeRowsIndividually(tableName, rows, options = {}) {
+    const { syncMode = false, clearTombstones = false, reject } = options;
+    const counts = { insertedCount: 0, updatedCount: 0, skippedCount: 0 };
+    const param = index => this.dbType === 'postgresql' ? `$${index + 1}` : '?';
+
+    for (const row of rows) {
+      const { record } = row;
+      const columns = this.getWriteColumns(tableName, [row]);
+      const byColumn = new Map(row.columns.map((column, index) => [column, row.values[index]]));
+      const values = columns.map(column => byColumn.has(column) ? byColumn.get(column) : null);
+      try {
+        const columnList = ['airtable_id', ...columns].map(column => `"${column}"`).join(', ');
+        const placeholders = ['airtable_id', ...columns].map((_, index) => param(index)).join(', ');
+        const insertSQL = `INSERT INTO "${tableName}" (${columnList}) VALUES (${placeholders})`;
+        const queryParams = [record.id, ...values];
+
+        if (syncMode && this.dbType === 'postgresql') {
+          const upserted = await this.querySQL(
+            `${insertSQL} ${this.buildUpsertClause(columns, clearTombstones)} RETURNING (xmax = 0) AS was_inserted`,
+            queryParams
+          );
+          if (upserted.length === 0) {
+            counts.skippedCount++;
+          } else if (upserted[0].was_inserted) {
+            counts.insertedCount++;
+          } else {
+            counts.updatedCount++;
+          }
+        } else if (syncMode) {
+          const existsResult = await this.querySQL(`SELECT 1 FROM "${tableName}" WHERE airtable_id = ?`, [record.id]);
+          await this.executeSQL(`${insertSQL} ${this.buildUpsertClause(columns, clearTombstones)}`, queryParams);
+          counts[existsResult.length > 0 ? 'updatedCount' : 'insertedCount']++;
+        } else {
+          await this.executeSQL(insertSQL, queryParams);
+          counts.insertedCount++;
+        }
+      } catch (error) {
+        await reject(record, error);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Create the `_import_rejects` table if it does not exist yet
+   */
+  async ensureRejectsTable() {
+    if (this.dbType === 'postgresql') {
+      await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${REJECTS_TABLE}" (
+        id SERIAL PRIMARY KEY,
+        table_name TEXT NOT NULL,
+        airtable_id VARCHAR(255),
+        session_id TEXT,
+        record_json JSONB,
+        error_message TEXT NOT NULL,
+        rejected_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )`);
+    } else {
+      await this.executeSQL(`CREATE TABLE IF NOT EXISTS "${REJECTS_TABLE}" (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        airtable_id TEXT,
+        session_id TEXT,
+        record_json TEXT,
+        error_message TEXT NOT NULL,
+        rejected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`);
+    }
+  }
+
+  /**
+   * Write a record that failed to insert to `_import_rejects` with its raw JSON
+   * 
+   * @param {string} tableName - Table the record was meant for
+   * @param {Object} record - Airtable record as received from the API
+   * @param {Error} error - Insert error
+   * @param {Object} options - Reject options
+   * @param {string} options.sessionId - Import session of the attempt
+   */
+  async saveRejectedRecord(tableName, record, error, options = {}) {
+    const { sessionId = null } = options;
+    await this.ensureRejectsTable();
+    const placeholders = this.dbType === 'postgresql' ? '$1, $2, $3, $4, $5' : '?, ?, ?, ?, ?';
+    await this.executeSQL(
+      `INSERT INTO "${REJECTS_TABLE}" (table_name, airtable_id, session_id, record_json, error_message) VALUES (${placeholders})`,
+      [tableName, record.id || null, sessionId, JSON.stringify(record), error.message]
+    );
+  }
+
+  /**
+   * Convert the fields of a record to the columns and values written for it
+   * 
+   * @param {Map} fieldDefinitions - Definitions from setTableFields (may be undefined)
+   * @param {Object} record - Airtable record
+   * @returns {{columns: string[], values: Array, errorCells: number, errorFields: string[]}} Column names,
+   *   values to bind, the number of error cells nulled and the fields they were in
+   */
+  convertRecord(fieldDefinitions, record) {
+    const columns = Object.keys(record.fields);
+    const errorFields = [];
+    let errorCells = 0;
+
+    // Convert values to their column types; unknown fields keep structured values as JSON
+    const values = Object.values(record.fields).map((value, index) => {
+      const definition = fieldDefinitions && fieldDefinitions.get(columns[index]);
+      if (definition) {
+        const converted = this.convertFieldValue(definition, value);
+        if (converted.errorCells > 0) {
+          errorCells += converted.errorCells;
+          errorFields.push(columns[index]);
+        }
+        return converted.value;
+      }
+      if (Array.isArray(value) || (typeof value === 'object' && value !== null)) {
+        return JSON.stringify(value);
+      }
+      return value;
+    });
+
+    // Companion columns and derived local-date columns for date-only reporting
+    if (fieldDefinitions) {
+      fieldDefinitions.forEach((definition, fieldName) => {
+        const value = record.fields[fieldName];
+        (definition.companions || []).forEach(companion => {
+          columns.push(companion.name);
+          values.push(value !== null && typeof value === 'object' ? companion.extract(value) : null);
+        });
+        if (!definition.localDateColumn) {
+          return;
+        }
+        const date = record.fields[fieldName] ? new Date(record.fields[fieldName]) : null;
+        columns.push(definition.localDateColumn);
+        values.push(date && !isNaN(date) ? getLocalDate(date, this.getFieldTimeZone(definition)) : null);
+      });
+    }
+
+    return { columns, values, errorCells, errorFields };
+  }
+
   /**
    * Get connection information
    * 
@@ -808,4 +2809,10 @@ class ImportDatabaseService {
   }
 }
 
+ImportDatabaseService.DELETION_MODES = DELETION_MODES;
+ImportDatabaseService.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE;
+ImportDatabaseService.REJECTS_TABLE = REJECTS_TABLE;
+ImportDatabaseService.TOMBSTONE_COLUMN = TOMBSTONE_COLUMN;
+ImportDatabaseService.SELECT_STORAGE_MODES = SELECT_STORAGE_MODES;
+
 module.exports = ImportDatabaseService;
\ No newline at end of file
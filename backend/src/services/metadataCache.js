@@ -0,0 +1,122 @@
+/**
+ * Airtable Base Metadata Cache
+ *
+ * Keeps the result of `/v0/meta/bases/{baseId}/tables` per base so that
+ * discovery, schema lookups and connection tests share one download.
+ * Entries are scoped to a fingerprint of the API key that fetched them, so a
+ * different (possibly invalid) key never gets another user's metadata.
+ * Every fresh download is also persisted to the AirtableSchema model.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = parseInt(process.env.AIRTABLE_METADATA_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * Persist table schemas to the app database (best effort)
+ *
+ * @param {string} baseId - Airtable base ID
+ * @param {Object[]} tables - Tables from the Metadata API
+ * @returns {Promise<void>}
+ */
+async function persistToAirtableSchema(baseId, tables) {
+  try {
+    // Required lazily so the cache works where the Prisma client is unavailable
+    const { prismaDatabaseService } = require('./prismaDatabase');
+    await Promise.all(tables.map(table =>
+      prismaDatabaseService.saveAirtableSchema(table.name, baseId, table.id, table.fields || [])
+    ));
+    console.log(`💾 Persisted schema for ${tables.length} tables of base ${baseId}`);
+  } catch (error) {
+    console.warn(`⚠️  Could not persist Airtable schema for base ${baseId}:`, error.message);
+  }
+}
+
+/**
+ * In-memory per-base metadata cache
+ */
+class BaseMetadataCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - How long an entry stays fresh
+   * @param {Function} options.persist - Async (baseId, tables) => void called after every set
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.persist = options.persist || persistToAirtableSchema;
+    this.entries = new Map();
+  }
+
+  /**
+   * Derive a non-reversible fingerprint for an API key
+   *
+   * @param {string} apiKey - Airtable API key
+   * @returns {string} Short SHA-256 fingerprint
+   */
+  static fingerprint(apiKey) {
+    return crypto.createHash('sha256').update(apiKey || '').digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Get cached tables for a base
+   *
+   * @param {string} baseId - Airtable base ID
+   * @param {string} apiKey - API key of the caller
+   * @returns {{tables: Object[], fetchedAt: Date}|null} Cached entry or null when missing, stale or fetched with another key
+   */
+  get(baseId, apiKey) {
+    const entry = this.entries.get(baseId);
+    if (!entry || entry.expiresAt <= Date.now() || entry.keyFingerprint !== BaseMetadataCache.fingerprint(apiKey)) {
+      return null;
+    }
+    return { tables: entry.tables, fetchedAt: entry.fetchedAt };
+  }
+
+  /**
+   * Store freshly downloaded tables and persist them
+   *
+   * @param {string} baseId - Airtable base ID
+   * @param {string} apiKey - API key used for the download
+   * @param {Object[]} tables - Tables from the Metadata API
+   * @returns {{tables: Object[], fetchedAt: Date}} The stored entry
+   */
+  set(baseId, apiKey, tables) {
+    const fetchedAt = new Date();
+    this.entries.set(baseId, {
+      tables,
+      fetchedAt,
+      expiresAt: fetchedAt.getTime() + this.ttlMs,
+      keyFingerprint: BaseMetadataCache.fingerprint(apiKey)
+    });
+
+    // Persisting must never slow down or fail the caller
+    Promise.resolve(this.persist(baseId, tables)).catch(() => {});
+
+    return { tables, fetchedAt };
+  }
+
+  /**
+   * Drop the cached entry for a base
+   *
+   * @param {string} baseId - Airtable base ID
+   * @returns {boolean} True if an entry was removed
+   */
+  invalidate(baseId) {
+    return this.entries.delete(baseId);
+  }
+
+  /**
+   * Drop every cached entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Shared instance used by every AirtableService in the process
+const baseMetadataCache = new BaseMetadataCache();
+
+module.exports = {
+  BaseMetadataCache,
+  baseMetadataCache
+};
@@ -7,6 +7,7 @@
  */
 
 const { PrismaClient } = require('@prisma/client');
+const { hashSchemaFields } = require('./schemaHistory');
 
 /**
  * Database Service using Prisma ORM
@@ -157,15 +158,17 @@ class PrismaDatabaseService {
    * 
    * @param {number} userId - User ID
    * @param {string[]} tableNames - Array of table names to import
+   * @param {Object|null} options - Import options, kept for resuming the session
    * @returns {Promise<Object>} Created import session
    */
-  async createImportSession(userId, tableNames) {
+  async createImportSession(userId, tableNames, options = null) {
     return await this.prisma.importSession.create({
       data: {
         userId,
         tableNames,
         totalTables: tableNames.length,
         status: 'PENDING',
+        ...(options ? { options } : {}),
       },
       include: {
         importedTables: true,
@@ -232,6 +235,26 @@ class PrismaDatabaseService {
     });
   }
 
+  /**
+   * Mark sessions still pending or running as failed. Called at startup:
+   * their imports ran in a server process that is gone, so they can only
+   * be resumed.
+   * 
+   * @param {string} errorMessage - Error recorded on the sessions
+   * @returns {Promise<number>} Number of sessions marked as failed
+   */
+  async failInterruptedSessions(errorMessage) {
+    const { count } = await this.prisma.importSession.updateMany({
+      where: { status: { in: ['PENDING', 'RUNNING'] } },
+      data: {
+        status: 'FAILED',
+        endTime: new Date(),
+        errorMessage,
+      },
+    });
+    return count;
+  }
+
   // ==========================================
   // IMPORTED TABLE MANAGEMENT
   // ==========================================
@@ -250,6 +273,8 @@ class PrismaDatabaseService {
         sessionId,
         tableName,
         airtableTableId: metadata.airtableTableId,
+        destination: metadata.destination,
+        schemaVersion: metadata.schemaVersion,
         recordCount: metadata.recordCount || 0,
         status: 'RUNNING',
       },
@@ -273,52 +298,114 @@ class PrismaDatabaseService {
     });
   }
 
+  /**
+   * Get the most recent incremental sync high-water mark for an Airtable table.
+   * Only completed imports of the same user into the same database are considered.
+   * 
+   * @param {number} userId - User ID
+   * @param {string} airtableTableId - Airtable table ID
+   * @param {string|null} destination - Destination database, from ImportDatabaseService.getDestination
+   * @returns {Promise<Object|null>} Imported table record with the latest mark, or null
+   */
+  async getLatestHighWaterMark(userId, airtableTableId, destination = null) {
+    return await this.prisma.importedTable.findFirst({
+      where: {
+        airtableTableId,
+        destination,
+        status: 'COMPLETED',
+        highWaterMark: { not: null },
+        session: { userId },
+      },
+      orderBy: { highWaterMark: 'desc' },
+    });
+  }
+
   // ==========================================
   // AIRTABLE SCHEMA MANAGEMENT
   // ==========================================
 
   /**
-   * Save Airtable schema information for dynamic table creation
+   * Snapshot the field definitions of an Airtable table. A new version is
+   * stored only when the fields differ from the latest version; otherwise
+   * the latest version is marked as seen again.
    * 
-   * @param {string} tableName - Database table name
+   * @param {string} tableName - Airtable table name
    * @param {string} baseId - Airtable base ID
    * @param {string} airtableId - Airtable table ID
    * @param {Object} fields - Field definitions from Airtable
-   * @returns {Promise<Object>} Saved schema record
+   * @returns {Promise<Object>} Latest schema version record
    */
   async saveAirtableSchema(tableName, baseId, airtableId, fields) {
-    return await this.prisma.airtableSchema.upsert({
-      where: { tableName },
-      update: {
-        baseId,
-        airtableId,
-        fields,
-        lastSync: new Date(),
-        updatedAt: new Date(),
-      },
-      create: {
-        tableName,
-        baseId,
-        airtableId,
-        fields,
-      },
-    });
+    const fieldsHash = hashSchemaFields(fields);
+    const latest = await this.getAirtableSchema(baseId, airtableId);
+
+    if (latest && latest.fieldsHash === fieldsHash) {
+      return await this.prisma.airtableSchema.update({
+        where: { id: latest.id },
+        data: {
+          tableName,
+          lastSync: new Date(),
+          updatedAt: new Date(),
+        },
+      });
+    }
+
+    try {
+      return await this.prisma.airtableSchema.create({
+        data: {
+          tableName,
+          baseId,
+          airtableId,
+          version: latest ? latest.version + 1 : 1,
+          fields,
+          fieldsHash,
+        },
+      });
+    } catch (error) {
+      // Another import stored the same version first
+      if (error.code === 'P2002') {
+        return await this.getAirtableSchema(baseId, airtableId);
+      }
+      throw error;
+    }
   }
 
   /**
-   * Get Airtable schema by table name
+   * Get a schema version by base and Airtable table ID
    * 
-   * @param {string} tableName - Database table name
+   * @param {string} baseId - Airtable base ID
+   * @param {string} airtableId - Airtable table ID
+   * @param {number} version - Version number (default: latest)
    * @returns {Promise<Object|null>} Schema record or null
    */
-  async getAirtableSchema(tableName) {
-    return await this.prisma.airtableSchema.findUnique({
-      where: { tableName },
+  async getAirtableSchema(baseId, airtableId, version = null) {
+    if (version !== null) {
+      return await this.prisma.airtableSchema.findUnique({
+        where: { baseId_airtableId_version: { baseId, airtableId, version } },
+      });
+    }
+    return await this.prisma.airtableSchema.findFirst({
+      where: { baseId, airtableId },
+      orderBy: { version: 'desc' },
     });
   }
 
   /**
-   * Get all Airtable schemas for a base
+   * List the schema versions of an Airtable table, newest first
+   * 
+   * @param {string} baseId - Airtable base ID
+   * @param {string} airtableId - Airtable table ID
+   * @returns {Promise<Object[]>} Schema version records
+   */
+  async getAirtableSchemaVersions(baseId, airtableId) {
+    return await this.prisma.airtableSchema.findMany({
+      where: { baseId, airtableId },
+      orderBy: { version: 'desc' },
+    });
+  }
+
+  /**
+   * Get the latest schema version of every table of a base
    * 
    * @param {string} baseId - Airtable base ID
    * @returns {Promise<Object[]>} Array of schema records
@@ -326,7 +413,28 @@ class PrismaDatabaseService {
   async getAirtableSchemas(baseId) {
     return await this.prisma.airtableSchema.findMany({
       where: { baseId },
-      orderBy: { lastSync: 'desc' },
+      distinct: ['airtableId'],
+      orderBy: [{ airtableId: 'asc' }, { version: 'desc' }],
+    });
+  }
+
+  /**
+   * Get the most recent completed import of each table a user imported,
+   * with the schema version it was imported with
+   * 
+   * @param {number} userId - User ID
+   * @returns {Promise<Object[]>} Imported table records, one per Airtable table
+   */
+  async getLastImportedSchemaVersions(userId) {
+    return await this.prisma.importedTable.findMany({
+      where: {
+        status: 'COMPLETED',
+        schemaVersion: { not: null },
+        airtableTableId: { not: null },
+        session: { userId },
+      },
+      distinct: ['airtableTableId'],
+      orderBy: [{ airtableTableId: 'asc' }, { createdAt: 'desc' }],
     });
   }
 
@@ -0,0 +1,200 @@
+/**
+ * Airtable Request Scheduler
+ *
+ * Airtable allows 5 requests per second per base and answers with HTTP 429
+ * (and a mandatory 30 second cool-down) when a client goes over that budget.
+ * This module keeps one token bucket per base that is shared by every
+ * AirtableService instance in the process, so concurrent import sessions
+ * against the same base draw from the same budget. Rate-limited (429) and
+ * unavailable (503) responses are retried with exponential backoff and jitter.
+ */
+
+const DEFAULT_REQUESTS_PER_SECOND = parseFloat(process.env.AIRTABLE_REQUESTS_PER_SECOND) || 5;
+const DEFAULT_MAX_RETRIES = parseInt(process.env.AIRTABLE_MAX_RETRIES, 10) || 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+const RETRYABLE_STATUSES = new Set([429, 503]);
+
+/**
+ * Token bucket with a FIFO queue of waiters
+ *
+ * Tokens refill continuously at `refillPerSecond`. Callers are released in
+ * the order they asked, so a busy session cannot starve a newer one.
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum burst size
+   * @param {number} refillPerSecond - Tokens added per second
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  /**
+   * Wait until a token is available and consume it
+   *
+   * @returns {Promise<void>} Resolves when the caller may send its request
+   */
+  take() {
+    return new Promise(resolve => {
+      this.waiters.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Stop handing out tokens for the given duration.
+   * Used when Airtable signals that the base is over its limit.
+   *
+   * @param {number} delayMs - Pause length in milliseconds
+   */
+  pauseFor(delayMs) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    this.tokens = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    const now = Date.now();
+    if (now < this.pausedUntil) {
+      this.schedule(this.pausedUntil - now);
+      return;
+    }
+
+    this.refill();
+    while (this.waiters.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiters.shift()();
+    }
+
+    if (this.waiters.length > 0) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+      this.schedule(waitMs);
+    }
+  }
+
+  schedule(delayMs) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, Math.max(delayMs, 1));
+  }
+}
+
+/**
+ * Per-base request scheduler with retry handling
+ */
+class AirtableRateLimiter {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.requestsPerSecond - Budget per base
+   * @param {number} options.maxRetries - Retries for 429/503 responses before giving up
+   * @param {number} options.baseDelayMs - First backoff delay
+   * @param {number} options.maxDelayMs - Upper bound for a single backoff delay
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES;
+    this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : DEFAULT_BASE_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : DEFAULT_MAX_DELAY_MS;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Get (or lazily create) the token bucket for a base
+   *
+   * @param {string} baseId - Airtable base ID
+   * @returns {TokenBucket} Shared bucket for the base
+   */
+  getBucket(baseId) {
+    if (!this.buckets.has(baseId)) {
+      this.buckets.set(baseId, new TokenBucket(this.requestsPerSecond, this.requestsPerSecond));
+    }
+    return this.buckets.get(baseId);
+  }
+
+  /**
+   * Compute the delay before the next retry.
+   * Honours a Retry-After header when Airtable sends one, otherwise uses
+   * exponential backoff with full jitter.
+   *
+   * @param {number} attempt - Zero-based retry attempt
+   * @param {string|null} retryAfter - Value of the Retry-After header
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt, retryAfter = null) {
+    const retryAfterSeconds = parseFloat(retryAfter);
+    if (!isNaN(retryAfterSeconds) && retryAfterSeconds >= 0) {
+      return retryAfterSeconds * 1000;
+    }
+
+    const exponentialDelay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(exponentialDelay / 2 + Math.random() * (exponentialDelay / 2));
+  }
+
+  /**
+   * Run a request against a base within its budget, retrying on 429/503
+   *
+   * @param {string} baseId - Airtable base ID the request targets
+   * @param {Function} requestFn - Function returning a fetch Response promise
+   * @param {Object} options - Scheduling options
+   * @param {Function} options.onRetry - Called with {attempt, status, delayMs} before each retry
+   * @returns {Promise<Response>} The final response (possibly still a 429/503 once retries are exhausted)
+   */
+  async schedule(baseId, requestFn, options = {}) {
+    const { onRetry } = options;
+    const bucket = this.getBucket(baseId);
+
+    for (let attempt = 0; ; attempt++) {
+      await bucket.take();
+      const response = await requestFn();
+
+      if (!RETRYABLE_STATUSES.has(response.status) || attempt >= this.maxRetries) {
+        return response;
+      }
+
+      const retryAfter = response.headers && response.headers.get ? response.headers.get('retry-after') : null;
+      const delayMs = this.getBackoffDelay(attempt, retryAfter);
+
+      // A 429 applies to the whole base, so every session waits it out
+      if (response.status === 429) {
+        bucket.pauseFor(delayMs);
+      }
+
+      console.warn(`⏳ Airtable returned ${response.status} for base ${baseId}, retry ${attempt + 1}/${this.maxRetries} in ${delayMs}ms`);
+
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, status: response.status, delayMs });
+      }
+
+      if (response.status !== 429) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+}
+
+// Shared instance so all sessions in the process use the same per-base budget
+const airtableRateLimiter = new AirtableRateLimiter();
+
+module.exports = {
+  TokenBucket,
+  AirtableRateLimiter,
+  airtableRateLimiter
+};
@@ -0,0 +1,99 @@
+/**
+ * Airtable Schema History
+ *
+ * Helpers behind the versioned AirtableSchema records: a stable hash of a
+ * table's field definitions, so a new version is only stored when the
+ * schema actually changed, and a field-by-field diff of two versions.
+ * Fields are matched by their Airtable field ID, so a renamed field shows
+ * up as a rename rather than a removal plus an addition.
+ */
+
+const crypto = require('crypto');
+
+// Field properties compared by the diff besides the name
+const COMPARED_PROPERTIES = ['type', 'options', 'description'];
+
+/**
+ * JSON with object keys in sorted order, so equal values serialise equally
+ *
+ * @param {*} value - Value to serialise
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of a table's field definitions. Field order does not matter.
+ *
+ * @param {Array} fields - Airtable field definitions
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashSchemaFields(fields) {
+  const sorted = [...(fields || [])].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return crypto.createHash('sha256').update(canonicalJSON(sorted)).digest('hex');
+}
+
+/**
+ * Compare two versions of a table's fields
+ *
+ * @param {Array} fromFields - Field definitions of the older version
+ * @param {Array} toFields - Field definitions of the newer version
+ * @returns {{added: Array, removed: Array, renamed: Array, changed: Array}} Added and removed
+ *   fields ({id, name, type}), renames ({id, from, to}) and property changes
+ *   ({id, name, changes: [{property, from, to}]})
+ */
+function diffSchemaFields(fromFields, toFields) {
+  const before = new Map((fromFields || []).map(field => [field.id, field]));
+  const after = new Map((toFields || []).map(field => [field.id, field]));
+  const diff = { added: [], removed: [], renamed: [], changed: [] };
+
+  after.forEach((field, id) => {
+    const previous = before.get(id);
+    if (!previous) {
+      diff.added.push({ id, name: field.name, type: field.type });
+      return;
+    }
+    if (previous.name !== field.name) {
+      diff.renamed.push({ id, from: previous.name, to: field.name });
+    }
+    const changes = COMPARED_PROPERTIES
+      .filter(property => canonicalJSON(previous[property]) !== canonicalJSON(field[property]))
+      .map(property => ({ property, from: previous[property] ?? null, to: field[property] ?? null }));
+    if (changes.length > 0) {
+      diff.changed.push({ id, name: field.name, changes });
+    }
+  });
+  before.forEach((field, id) => {
+    if (!after.has(id)) {
+      diff.removed.push({ id, name: field.name, type: field.type });
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Check whether a diff contains any change
+ *
+ * @param {Object} diff - Result of diffSchemaFields
+ * @returns {boolean} True if fields were added, removed, renamed or changed
+ */
+function hasSchemaChanges(diff) {
+  return ['added', 'removed', 'renamed', 'changed'].some(kind => diff[kind].length > 0);
+}
+
+module.exports = {
+  hashSchemaFields,
+  diffSchemaFields,
+  hasSchemaChanges
+};
@@ -0,0 +1,77 @@
+/**
+ * Concurrency helpers
+ *
+ * Small utilities for running independent async jobs with a bounded
+ * number of them in flight at once.
+ */
+
+/**
+ * Run `worker` over every item with at most `limit` calls in flight.
+ * Results keep the order of `items`. A rejected worker does not stop the
+ * others; its error is returned in place of the result so callers can
+ * decide how to report it.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers (minimum 1)
+ * @param {Function} worker - Async function (item, index) => result
+ * @returns {Promise<Array<{status: string, value?: any, reason?: Error}>>} Settled results in input order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+}
+
+/**
+ * Create a limit shared by independent callers: each `run(task)` starts
+ * its task once fewer than `limit` tasks of the limiter are running.
+ *
+ * @param {number} limit - Maximum number of tasks running at once (minimum 1)
+ * @returns {{run: Function}} Limiter; run(task) resolves or rejects with the task
+ */
+function createLimiter(limit) {
+  const maxActive = Math.max(1, limit || 1);
+  const queue = [];
+  let active = 0;
+
+  const startNext = () => {
+    if (active >= maxActive || queue.length === 0) {
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        startNext();
+      });
+  };
+
+  return {
+    run: task => new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      startNext();
+    })
+  };
+}
+
+module.exports = {
+  runWithConcurrency,
+  createLimiter
+};
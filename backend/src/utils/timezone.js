@@ -0,0 +1,104 @@
+/**
+ * Time zone helpers
+ *
+ * Formats instants in an IANA time zone using the ICU data bundled with
+ * Node, so imports can write ISO-8601 timestamps with an explicit offset
+ * and derive calendar dates as seen in a given zone.
+ */
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that splits dates into parts in a time zone
+ *
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter for the zone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check whether a string is a time zone the runtime knows
+ *
+ * @param {string} timeZone - Candidate IANA time zone name
+ * @returns {boolean} True if the zone can be used for formatting
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: string, month: string, day: string, hour: string, minute: string, second: string}} Zero-padded parts
+ */
+function getZonedParts(date, timeZone) {
+  return getFormatter(timeZone).formatToParts(date).reduce((parts, part) => {
+    if (part.type !== 'literal') {
+      parts[part.type] = part.value;
+    }
+    return parts;
+  }, {});
+}
+
+/**
+ * Format an instant as ISO-8601 with the offset of the given time zone,
+ * e.g. 2026-03-01T14:30:00.000+01:00
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} ISO-8601 timestamp with offset
+ */
+function formatInTimeZone(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wallClockAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((wallClockAsUTC - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const offsetHours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const offsetRest = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+  const milliseconds = String(date.getUTCMilliseconds()).padStart(3, '0');
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${milliseconds}${sign}${offsetHours}:${offsetRest}`;
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getLocalDate(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  formatInTimeZone,
+  getLocalDate
+};
@@ -0,0 +1,266 @@
+const AirtableService = require('../src/services/airtable');
+
+const metadataResponse = (tables) => ({
+  status: 200,
+  ok: true,
+  json: async () => ({ tables })
+});
+
+const createConnectedService = (baseId) => {
+  const service = new AirtableService();
+  service.connect('patTestKey.123', baseId);
+  return service;
+};
+
+describe('AirtableService', () => {
+  describe('table discovery', () => {
+    const tables = [
+      { id: 'tblA', name: 'Projects', primaryFieldId: 'fldA1', fields: [] },
+      { id: 'tblB', name: 'Tasks', primaryFieldId: 'fldB1', fields: [] }
+    ];
+
+    test('should return metadata without fetching records', async () => {
+      const service = createConnectedService('appDiscover1');
+      service.airtableFetch = jest.fn().mockResolvedValue(metadataResponse(tables));
+      service.fetchRecordsPage = jest.fn();
+
+      const discovered = await service.discoverTablesWithCounts();
+
+      expect(service.airtableFetch).toHaveBeenCalledTimes(1);
+      expect(service.fetchRecordsPage).not.toHaveBeenCalled();
+      expect(discovered).toEqual([
+        expect.objectContaining({ id: 'tblA', name: 'Projects', recordCount: null, countStatus: 'pending' }),
+        expect.objectContaining({ id: 'tblB', name: 'Tasks', recordCount: null, countStatus: 'pending' })
+      ]);
+    });
+
+    test('should count records with only the primary field projected', async () => {
+      const service = createConnectedService('appDiscover2');
+      service.fetchRecordsPage = jest.fn()
+        .mockResolvedValueOnce({ records: new Array(100).fill({}), offset: 'itr1' })
+        .mockResolvedValueOnce({ records: new Array(7).fill({}), offset: null });
+
+      const count = await service.countTableRecords({ id: 'tblA', name: 'Projects', primaryFieldId: 'fldA1' });
+
+      expect(count).toBe(107);
+      expect(service.fetchRecordsPage).toHaveBeenCalledWith(
+        'Projects',
+        expect.objectContaining({ fields: ['fldA1'], returnFieldsByFieldId: true }),
+        null
+      );
+      expect(service.fetchRecordsPage).toHaveBeenLastCalledWith('Projects', expect.any(Object), 'itr1');
+    });
+
+    test('should report counts as they finish and serve them from cache afterwards', async () => {
+      const service = createConnectedService('appDiscover3');
+      service.airtableFetch = jest.fn().mockResolvedValue(metadataResponse(tables));
+      service.fetchRecordsPage = jest.fn().mockImplementation(async (tableName) => ({
+        records: new Array(tableName === 'Projects' ? 3 : 5).fill({}),
+        offset: null
+      }));
+
+      const discovered = await service.discoverTablesWithCounts();
+      const updates = [];
+      await service.countRecordsInBackground(discovered, update => updates.push(update));
+
+      expect(updates).toEqual(expect.arrayContaining([
+        expect.objectContaining({ tableId: 'tblA', recordCount: 3, countStatus: 'counted' }),
+        expect.objectContaining({ tableId: 'tblB', recordCount: 5, countStatus: 'counted' })
+      ]));
+
+      const rediscovered = await service.discoverTablesWithCounts();
+      expect(rediscovered.map(table => [table.recordCount, table.countStatus])).toEqual([[3, 'cached'], [5, 'cached']]);
+      expect(service.fetchRecordsPage).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report failed counts without stopping the others', async () => {
+      const service = createConnectedService('appDiscover4');
+      service.fetchRecordsPage = jest.fn().mockImplementation(async (tableName) => {
+        if (tableName === 'Projects') {
+          throw new Error('Airtable API error for table "Projects": 403 Forbidden');
+        }
+        return { records: [{}], offset: null };
+      });
+
+      const updates = [];
+      await service.countRecordsInBackground(
+        tables.map(table => ({ ...table, countStatus: 'pending' })),
+        update => updates.push(update)
+      );
+
+      expect(updates).toEqual(expect.arrayContaining([
+        expect.objectContaining({ tableId: 'tblA', recordCount: -1, countStatus: 'error' }),
+        expect.objectContaining({ tableId: 'tblB', recordCount: 1, countStatus: 'counted' })
+      ]));
+    });
+  });
+
+  describe('base metadata cache', () => {
+    const tables = [
+      { id: 'tblA', name: 'Projects', fields: [{ id: 'fldA1', name: 'Name', type: 'singleLineText' }] },
+      { id: 'tblB', name: 'Tasks', fields: [{ id: 'fldB1', name: 'Title', type: 'singleLineText' }] }
+    ];
+
+    test('should download metadata once for schema lookups, discovery and connection tests', async () => {
+      const service = createConnectedService('appCache1');
+      service.airtableFetch = jest.fn().mockResolvedValue(metadataResponse(tables));
+
+      await service.getBaseMetadata({ forceRefresh: true });
+      const projects = await service.getTableSchema('Projects');
+      const tasks = await service.getTableSchema('Tasks');
+      await service.discoverTablesWithCounts();
+      await service.testConnection();
+
+      expect(service.airtableFetch).toHaveBeenCalledTimes(1);
+      expect(projects.fields[0].name).toBe('Name');
+      expect(tasks.id).toBe('tblB');
+    });
+
+    test('should share the cache between service instances for the same key', async () => {
+      const first = createConnectedService('appCache2');
+      first.airtableFetch = jest.fn().mockResolvedValue(metadataResponse(tables));
+      await first.getBaseMetadata();
+
+      const second = createConnectedService('appCache2');
+      second.airtableFetch = jest.fn().mockResolvedValue(metadataResponse(tables));
+      await second.getBaseMetadata();
+
+      expect(second.airtableFetch).not.toHaveBeenCalled();
+    });
+
+    test('should not serve cached metadata to a different API key', async () => {
+      const first = createConnectedService('appCache3');
+      first.airtableFetch = jest.fn().mockResolvedValue(metadataResponse(tables));
+      await first.getBaseMetadata();
+
+      const other = new AirtableService();
+      other.connect('patOtherKey.456', 'appCache3');
+      other.airtableFetch = jest.fn().mockResolvedValue({ status: 401, ok: false });
+
+      await expect(other.getBaseMetadata()).rejects.toThrow('Invalid API key');
+    });
+
+    test('should download again after invalidation or a forced refresh', async () => {
+      const service = createConnectedService('appCache4');
+      service.airtableFetch = jest.fn().mockResolvedValue(metadataResponse(tables));
+
+      await service.getBaseMetadata();
+      service.invalidateMetadata();
+      await service.getBaseMetadata();
+      await service.getBaseMetadata({ forceRefresh: true });
+
+      expect(service.airtableFetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should share one download between concurrent callers', async () => {
+      const service = createConnectedService('appCache5');
+      service.airtableFetch = jest.fn().mockResolvedValue(metadataResponse(tables));
+
+      await Promise.all([
+        service.getTableSchema('Projects'),
+        service.getTableSchema('Tasks'),
+        service.discoverTablesWithCounts()
+      ]);
+
+      expect(service.airtableFetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('list query building', () => {
+    test('should encode fields and sort parameters', () => {
+      const service = new AirtableService();
+      const query = new URLSearchParams(service.buildListQuery({
+        fields: ['Name', 'Status'],
+        sort: [{ field: 'Name', direction: 'desc' }],
+        pageSize: 100
+      }, 'itr123'));
+
+      expect(query.getAll('fields[]')).toEqual(['Name', 'Status']);
+      expect(query.get('sort[0][field]')).toBe('Name');
+      expect(query.get('sort[0][direction]')).toBe('desc');
+      expect(query.get('offset')).toBe('itr123');
+    });
+
+    test('should build a modified-since formula from a last modified field', () => {
+      const service = new AirtableService();
+      const formula = service.buildModifiedSinceFormula(new Date('2026-01-02T03:04:05.000Z'), 'Updated At');
+
+      expect(formula).toBe(
+        "OR(IS_AFTER({Updated At}, DATETIME_PARSE('2026-01-02T03:04:05.000Z')), " +
+        "IS_AFTER(CREATED_TIME(), DATETIME_PARSE('2026-01-02T03:04:05.000Z')))"
+      );
+    });
+
+    test('should fall back to LAST_MODIFIED_TIME() without a tracking field', () => {
+      const service = new AirtableService();
+      const formula = service.buildModifiedSinceFormula(new Date('2026-01-02T03:04:05.000Z'));
+
+      expect(formula).toContain("IS_AFTER(LAST_MODIFIED_TIME(), DATETIME_PARSE('2026-01-02T03:04:05.000Z'))");
+    });
+
+    test('should not reference a tracking field whose name contains a closing brace', () => {
+      const service = new AirtableService();
+      const formula = service.buildModifiedSinceFormula(new Date('2026-01-02T03:04:05.000Z'), 'Edited {by sync}');
+
+      expect(formula).not.toContain('Edited');
+      expect(formula).toContain("IS_AFTER(LAST_MODIFIED_TIME(), DATETIME_PARSE('2026-01-02T03:04:05.000Z'))");
+    });
+  });
+
+  describe('record comments', () => {
+    test('should follow comment pages through the rate-limited fetch', async () => {
+      const service = createConnectedService('appComments1');
+      service.airtableFetch = jest.fn()
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ comments: [{ id: 'com1' }], offset: 'com1' }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ comments: [{ id: 'com2' }], offset: null }) });
+
+      const comments = await service.listRecordComments('Projects', 'rec1');
+
+      expect(comments.map(comment => comment.id)).toEqual(['com1', 'com2']);
+      expect(service.airtableFetch.mock.calls[0]).toEqual([
+        'https://api.airtable.com/v0/appComments1/Projects/rec1/comments?pageSize=100',
+        'Projects'
+      ]);
+      expect(service.airtableFetch.mock.calls[1][0]).toContain('offset=com1');
+    });
+
+    test('should report API errors with the record', async () => {
+      const service = createConnectedService('appComments2');
+      service.airtableFetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 404,
+        statusText: 'Not Found',
+        json: async () => ({ error: { type: 'MODEL_ID_NOT_FOUND' } })
+      });
+
+      await expect(service.listRecordComments('Projects', 'recGone')).rejects.toThrow('comments of record recGone');
+    });
+  });
+
+  describe('record streaming', () => {
+    test('should continue a stream from a saved offset', async () => {
+      const service = createConnectedService('appStream1');
+      service.fetchRecordsPage = jest.fn()
+        .mockResolvedValueOnce({ records: [{ id: 'rec3' }], offset: 'itr4' })
+        .mockResolvedValueOnce({ records: [{ id: 'rec4' }], offset: null });
+      const pages = [];
+
+      const result = await service.streamTableRecords('Projects', async (records, pageInfo) => { pages.push(pageInfo); }, { offset: 'itr3' });
+
+      expect(service.fetchRecordsPage.mock.calls.map(call => call[2])).toEqual(['itr3', 'itr4']);
+      expect(pages.map(page => page.offset)).toEqual(['itr4', null]);
+      expect(result).toEqual({ fetchedRecords: 2, pages: 2 });
+    });
+
+    test('should flag offsets Airtable no longer accepts', async () => {
+      const service = createConnectedService('appStream2');
+      service.airtableFetch = jest.fn().mockResolvedValue({
+        status: 422,
+        ok: false,
+        json: async () => ({ error: { type: 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE' } })
+      });
+
+      await expect(service.fetchRecordsPage('Projects', {}, 'itrOld')).rejects.toMatchObject({ code: 'OFFSET_EXPIRED' });
+    });
+  });
+});
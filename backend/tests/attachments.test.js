@@ -0,0 +1,99 @@
+const sqlite3 = require('sqlite3');
+const AttachmentService = require('../src/services/attachments');
+const ImportDatabaseService = require('../src/services/importDatabase');
+
+const files = {
+  'https://dl.airtable.com/a.png': 'image-a',
+  'https://dl.airtable.com/a-small.png': 'thumb-a',
+  'https://dl.airtable.com/b.png': 'image-a' // Same content as a.png
+};
+
+const mockFetch = () => jest.fn().mockImplementation(async url => files[url] === undefined
+  ? { ok: false, status: 410 }
+  : { ok: true, status: 200, buffer: async () => Buffer.from(files[url]), headers: { get: () => 'image/png' } });
+
+const createMemoryStorage = () => {
+  const objects = new Map();
+  return {
+    objects,
+    exists: jest.fn(async key => objects.has(key)),
+    put: jest.fn(async (key, body) => { objects.set(key, body); }),
+    getUrl: key => `memory://${key}`
+  };
+};
+
+describe('AttachmentService', () => {
+  const photos = { id: 'fldPhotos', name: 'Photos', type: 'multipleAttachments' };
+  let importDatabaseService;
+  let storage;
+  let fetch;
+  let service;
+
+  const records = () => [
+    createMockAirtableRecord('rec1', {
+      'Photos': [{
+        id: 'attA',
+        url: 'https://dl.airtable.com/a.png',
+        filename: 'a.png',
+        type: 'image/png',
+        thumbnails: { small: { url: 'https://dl.airtable.com/a-small.png', width: 36, height: 36 } }
+      }]
+    }),
+    createMockAirtableRecord('rec2', {
+      'Photos': [{ id: 'attB', url: 'https://dl.airtable.com/b.png', filename: 'b.png', type: 'image/png' }]
+    })
+  ];
+
+  beforeEach(() => {
+    importDatabaseService = new ImportDatabaseService();
+    importDatabaseService.dbType = 'sqlite';
+    importDatabaseService.connection = new sqlite3.Database(':memory:');
+    storage = createMemoryStorage();
+    fetch = mockFetch();
+    service = new AttachmentService({ storage, importDatabaseService, fetch });
+  });
+
+  afterEach(done => {
+    importDatabaseService.connection.close(done);
+  });
+
+  test('should find attachment fields', () => {
+    expect(AttachmentService.getAttachmentFields([photos, { name: 'Name', type: 'singleLineText' }])).toEqual([photos]);
+  });
+
+  test('should store files by content hash and rewrite the values', async () => {
+    const result = await service.storeRecordAttachments(records(), [photos]);
+
+    expect(result).toMatchObject({ downloaded: 3, unchanged: 0, deduplicated: 1, failed: 0 });
+    expect(storage.objects.size).toBe(2);
+
+    const [a] = result.records[0].fields['Photos'];
+    const [b] = result.records[1].fields['Photos'];
+    expect(a.url).toMatch(/^memory:\/\/[0-9a-f]{2}\/[0-9a-f]{64}$/);
+    expect(a.thumbnails.small).toMatchObject({ width: 36, url: expect.stringMatching(/^memory:\/\//) });
+    expect(b.url).toBe(a.url);
+    expect(a).toMatchObject({ id: 'attA', filename: 'a.png', contentHash: expect.any(String) });
+  });
+
+  test('should skip attachments stored by an earlier import', async () => {
+    await service.storeRecordAttachments(records(), [photos]);
+    fetch.mockClear();
+
+    const result = await service.storeRecordAttachments(records(), [photos]);
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ downloaded: 0, unchanged: 3 });
+    expect(result.records[1].fields['Photos'][0].url).toMatch(/^memory:\/\//);
+  });
+
+  test('should keep the Airtable URL of files that fail to download', async () => {
+    const expired = [createMockAirtableRecord('rec3', {
+      'Photos': [{ id: 'attC', url: 'https://dl.airtable.com/expired.png', filename: 'c.png' }]
+    })];
+
+    const result = await service.storeRecordAttachments(expired, [photos]);
+
+    expect(result).toMatchObject({ downloaded: 0, failed: 1 });
+    expect(result.records[0].fields['Photos'][0].url).toBe('https://dl.airtable.com/expired.png');
+  });
+});
@@ -0,0 +1,65 @@
+const { runWithConcurrency, createLimiter } = require('../src/utils/concurrency');
+
+describe('runWithConcurrency', () => {
+  test('should never exceed the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    await runWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+    });
+
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('should keep results in input order and isolate failures', async () => {
+    const results = await runWithConcurrency([30, 10, 20], 3, async (delay) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      if (delay === 10) {
+        throw new Error('boom');
+      }
+      return delay;
+    });
+
+    expect(results[0]).toEqual({ status: 'fulfilled', value: 30 });
+    expect(results[1].status).toBe('rejected');
+    expect(results[1].reason.message).toBe('boom');
+    expect(results[2]).toEqual({ status: 'fulfilled', value: 20 });
+  });
+
+  test('should handle an empty list', async () => {
+    expect(await runWithConcurrency([], 4, jest.fn())).toEqual([]);
+  });
+});
+
+describe('createLimiter', () => {
+  test('should share one limit between independent callers', async () => {
+    const limiter = createLimiter(3);
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const task = async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+    };
+
+    await Promise.all([
+      runWithConcurrency([1, 2, 3, 4], 2, () => limiter.run(task)),
+      runWithConcurrency([1, 2, 3, 4], 2, () => limiter.run(task))
+    ]);
+
+    expect(maxInFlight).toBe(3);
+  });
+
+  test('should pass on results and failures of the tasks', async () => {
+    const limiter = createLimiter(1);
+
+    await expect(limiter.run(async () => 'done')).resolves.toBe('done');
+    await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(limiter.run(async () => 'still running')).resolves.toBe('still running');
+  });
+});
@@ -0,0 +1,27 @@
+const { getFieldType, isKnownFieldType, getUnknownFieldTypes, getCompanionColumns } = require('../src/services/fieldTypes');
+
+describe('field type registry', () => {
+  test('should know the types the importer handles explicitly', () => {
+    ['button', 'aiText', 'externalSyncSource', 'singleCollaborator', 'multipleCollaborators', 'count',
+      'multipleLookupValues', 'checkbox'].forEach(type => expect(isKnownFieldType(type)).toBe(true));
+    expect(isKnownFieldType('hologram')).toBe(false);
+    expect(getFieldType('toString')).toBeNull();
+  });
+
+  test('should list fields of unknown types', () => {
+    const fields = [
+      { name: 'Name', type: 'singleLineText' },
+      { name: 'Hologram', type: 'hologram' }
+    ];
+
+    expect(getUnknownFieldTypes(fields)).toEqual([{ field: 'Hologram', type: 'hologram' }]);
+  });
+
+  test('should name companion columns after the field', () => {
+    const companions = getCompanionColumns({ name: 'Summary', type: 'aiText' });
+
+    expect(companions.map(companion => companion.name)).toEqual(['Summary_state']);
+    expect(companions[0].extract({ state: 'pending', isStale: true })).toBe('pending');
+    expect(getCompanionColumns({ name: 'Name', type: 'singleLineText' })).toEqual([]);
+  });
+});
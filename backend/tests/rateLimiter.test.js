@@ -0,0 +1,148 @@
+const { TokenBucket, AirtableRateLimiter } = require('../src/services/rateLimiter');
+
+const mockResponse = (status, headers = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: {
+    get: (name) => headers[name.toLowerCase()] || null
+  }
+});
+
+describe('TokenBucket', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should allow a burst up to capacity immediately', async () => {
+    const bucket = new TokenBucket(5, 5);
+    const released = [];
+
+    for (let i = 0; i < 5; i++) {
+      bucket.take().then(() => released.push(i));
+    }
+    await Promise.resolve();
+
+    expect(released).toHaveLength(5);
+  });
+
+  test('should delay requests beyond the per-second budget', async () => {
+    const bucket = new TokenBucket(5, 5);
+    const released = [];
+
+    for (let i = 0; i < 7; i++) {
+      bucket.take().then(() => released.push(i));
+    }
+    await Promise.resolve();
+    expect(released).toHaveLength(5);
+
+    await jest.advanceTimersByTimeAsync(200);
+    expect(released).toHaveLength(6);
+
+    await jest.advanceTimersByTimeAsync(200);
+    expect(released).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  test('should hand out no tokens while paused', async () => {
+    const bucket = new TokenBucket(5, 5);
+    bucket.pauseFor(1000);
+
+    let released = false;
+    bucket.take().then(() => { released = true; });
+
+    await jest.advanceTimersByTimeAsync(900);
+    expect(released).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(400);
+    expect(released).toBe(true);
+  });
+});
+
+describe('AirtableRateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should share one bucket per base', () => {
+    const limiter = new AirtableRateLimiter();
+
+    expect(limiter.getBucket('appA')).toBe(limiter.getBucket('appA'));
+    expect(limiter.getBucket('appA')).not.toBe(limiter.getBucket('appB'));
+  });
+
+  test('should retry 429 responses and report each retry', async () => {
+    const limiter = new AirtableRateLimiter({ baseDelayMs: 100, maxRetries: 3 });
+    const requestFn = jest.fn()
+      .mockResolvedValueOnce(mockResponse(429))
+      .mockResolvedValueOnce(mockResponse(429))
+      .mockResolvedValueOnce(mockResponse(200));
+    const onRetry = jest.fn();
+
+    const promise = limiter.schedule('appA', requestFn, { onRetry });
+    await jest.advanceTimersByTimeAsync(5000);
+    const response = await promise;
+
+    expect(response.status).toBe(200);
+    expect(requestFn).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, status: 429 }));
+  });
+
+  test('should retry 503 responses', async () => {
+    const limiter = new AirtableRateLimiter({ baseDelayMs: 100, maxRetries: 3 });
+    const requestFn = jest.fn()
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(200));
+
+    const promise = limiter.schedule('appA', requestFn);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect((await promise).status).toBe(200);
+    expect(requestFn).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not retry other error statuses', async () => {
+    const limiter = new AirtableRateLimiter();
+    const requestFn = jest.fn().mockResolvedValue(mockResponse(404));
+
+    const response = await limiter.schedule('appA', requestFn);
+
+    expect(response.status).toBe(404);
+    expect(requestFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return the last response once retries are exhausted', async () => {
+    const limiter = new AirtableRateLimiter({ baseDelayMs: 10, maxRetries: 2 });
+    const requestFn = jest.fn().mockResolvedValue(mockResponse(429));
+
+    const promise = limiter.schedule('appA', requestFn);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect((await promise).status).toBe(429);
+    expect(requestFn).toHaveBeenCalledTimes(3);
+  });
+
+  test('should honour Retry-After headers', () => {
+    const limiter = new AirtableRateLimiter();
+
+    expect(limiter.getBackoffDelay(0, '30')).toBe(30000);
+  });
+
+  test('should grow backoff exponentially within the jitter range', () => {
+    const limiter = new AirtableRateLimiter({ baseDelayMs: 1000, maxDelayMs: 30000 });
+
+    for (let attempt = 0; attempt < 6; attempt++) {
+      const ceiling = Math.min(30000, 1000 * Math.pow(2, attempt));
+      const delay = limiter.getBackoffDelay(attempt);
+      expect(delay).toBeGreaterThanOrEqual(ceiling / 2);
+      expect(delay).toBeLessThanOrEqual(ceiling);
+    }
+  });
+});
@@ -0,0 +1,60 @@
+const { hashSchemaFields, diffSchemaFields, hasSchemaChanges } = require('../src/services/schemaHistory');
+
+describe('schemaHistory', () => {
+  const fields = [
+    { id: 'fldName', name: 'Name', type: 'singleLineText' },
+    { id: 'fldStatus', name: 'Status', type: 'singleSelect', options: { choices: [{ id: 'sel1', name: 'Open' }] } }
+  ];
+
+  describe('hashSchemaFields', () => {
+    test('should ignore field and key order', () => {
+      const reordered = [
+        { options: { choices: [{ name: 'Open', id: 'sel1' }] }, type: 'singleSelect', name: 'Status', id: 'fldStatus' },
+        { type: 'singleLineText', name: 'Name', id: 'fldName' }
+      ];
+
+      expect(hashSchemaFields(reordered)).toBe(hashSchemaFields(fields));
+    });
+
+    test('should change when a field changes', () => {
+      const renamed = [{ ...fields[0], name: 'Title' }, fields[1]];
+
+      expect(hashSchemaFields(renamed)).not.toBe(hashSchemaFields(fields));
+    });
+  });
+
+  describe('diffSchemaFields', () => {
+    test('should match fields by ID', () => {
+      const next = [
+        { id: 'fldName', name: 'Title', type: 'singleLineText' },
+        { id: 'fldDue', name: 'Due', type: 'date' }
+      ];
+
+      const diff = diffSchemaFields(fields, next);
+
+      expect(diff.added).toEqual([{ id: 'fldDue', name: 'Due', type: 'date' }]);
+      expect(diff.removed).toEqual([{ id: 'fldStatus', name: 'Status', type: 'singleSelect' }]);
+      expect(diff.renamed).toEqual([{ id: 'fldName', from: 'Name', to: 'Title' }]);
+      expect(diff.changed).toEqual([]);
+      expect(hasSchemaChanges(diff)).toBe(true);
+    });
+
+    test('should list type and option changes', () => {
+      const next = [
+        { id: 'fldName', name: 'Name', type: 'multilineText' },
+        { ...fields[1], options: { choices: [{ id: 'sel1', name: 'Open' }, { id: 'sel2', name: 'Done' }] } }
+      ];
+
+      const diff = diffSchemaFields(fields, next);
+
+      expect(diff.changed).toEqual([
+        { id: 'fldName', name: 'Name', changes: [{ property: 'type', from: 'singleLineText', to: 'multilineText' }] },
+        { id: 'fldStatus', name: 'Status', changes: [{ property: 'options', from: fields[1].options, to: next[1].options }] }
+      ]);
+    });
+
+    test('should report no changes for identical schemas', () => {
+      expect(hasSchemaChanges(diffSchemaFields(fields, [...fields].reverse()))).toBe(false);
+    });
+  });
+});
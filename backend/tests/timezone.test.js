@@ -0,0 +1,27 @@
+const { isValidTimeZone, formatInTimeZone, getLocalDate } = require('../src/utils/timezone');
+
+describe('timezone utils', () => {
+  const instant = new Date('2026-03-01T23:30:00.250Z');
+
+  test('should recognise IANA time zones', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  test('should format instants with the offset of the zone', () => {
+    expect(formatInTimeZone(instant, 'UTC')).toBe('2026-03-01T23:30:00.250+00:00');
+    expect(formatInTimeZone(instant, 'Asia/Kolkata')).toBe('2026-03-02T05:00:00.250+05:30');
+    expect(formatInTimeZone(instant, 'America/New_York')).toBe('2026-03-01T18:30:00.250-05:00');
+  });
+
+  test('should follow daylight saving time', () => {
+    expect(formatInTimeZone(new Date('2026-07-01T12:00:00Z'), 'Europe/Berlin')).toBe('2026-07-01T14:00:00.000+02:00');
+  });
+
+  test('should derive the calendar date in the zone', () => {
+    expect(getLocalDate(instant, 'UTC')).toBe('2026-03-01');
+    expect(getLocalDate(instant, 'Asia/Kolkata')).toBe('2026-03-02');
+  });
+});
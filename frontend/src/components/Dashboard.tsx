@@ -2,12 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { settingsAPI, importAPI } from '../services/api';
-import { ImportSession } from '../types';
+import { ImportSession, TableSchemaStatus } from '../types';
 
 const Dashboard: React.FC = () => {
   const [sessions, setSessions] = useState<ImportSession[]>([]);
   const [loading, setLoading] = useState(true);
   const [hasSettings, setHasSettings] = useState(false);
+  const [schemaStatus, setSchemaStatus] = useState<TableSchemaStatus[]>([]);
+  const [resumingSession, setResumingSession] = useState<string | null>(null);
+  const [resumeMessage, setResumeMessage] = useState('');
   const { user, logout } = useAuth();
   const navigate = useNavigate();
 
@@ -31,6 +34,14 @@ const Dashboard: React.FC = () => {
         // It's okay if there are no sessions yet
         setSessions([]);
       }
+
+      // Schema change badges are informational; skip them if Airtable is unreachable
+      try {
+        const status = await importAPI.getSchemaStatus();
+        setSchemaStatus(status.tables);
+      } catch (error) {
+        setSchemaStatus([]);
+      }
     } catch (error) {
       console.error('Error loading dashboard data:', error);
     } finally {
@@ -38,6 +49,30 @@ const Dashboard: React.FC = () => {
     }
   };
 
+  const getSchemaChange = (tableName: string): TableSchemaStatus | undefined =>
+    schemaStatus.find(table => table.changed && (table.importedTableName === tableName || table.tableName === tableName));
+
+  /**
+   * Resumes a failed session: its unfinished tables continue from their
+   * last checkpoint with the options the session was started with.
+   */
+  const handleResume = async (sessionId: string) => {
+    setResumingSession(sessionId);
+    setResumeMessage('');
+
+    try {
+      const result = await importAPI.resume(sessionId);
+      const resumed = result.checkpoints.filter(checkpoint => checkpoint.checkpointRows > 0).length;
+      setResumeMessage(`Resumed ${result.tableNames.length} unfinished ${result.tableNames.length === 1 ? 'table' : 'tables'}` +
+        (resumed > 0 ? `, ${resumed} from a checkpoint` : ''));
+      await loadData();
+    } catch (error: any) {
+      setResumeMessage(error.response?.data?.error || 'Failed to resume import');
+    } finally {
+      setResumingSession(null);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -95,6 +130,7 @@ const Dashboard: React.FC = () => {
 
             <div style={styles.sessionsSection}>
               <h2>Recent Import Sessions</h2>
+              {resumeMessage && <p style={styles.resumeMessage}>{resumeMessage}</p>}
               {sessions.length === 0 ? (
                 <p style={styles.noSessions}>No import sessions yet. Start your first import!</p>
               ) : (
@@ -111,7 +147,23 @@ const Dashboard: React.FC = () => {
                         </span>
                       </div>
                       <div style={styles.sessionDetails}>
-                        <p>Tables: {session.tableNames.join(', ')}</p>
+                        <p>
+                          Tables:{' '}
+                          {session.tableNames.map((tableName, index) => {
+                            const schemaChange = getSchemaChange(tableName);
+                            return (
+                              <span key={tableName}>
+                                {index > 0 && ', '}
+                                {tableName}
+                                {schemaChange && (
+                                  <span style={styles.schemaBadge} title={describeSchemaChange(schemaChange)}>
+                                    Schema changed since last import
+                                  </span>
+                                )}
+                              </span>
+                            );
+                          })}
+                        </p>
                         <p>Started: {new Date(session.startTime).toLocaleString()}</p>
                         {session.endTime && (
                           <p>Completed: {new Date(session.endTime).toLocaleString()}</p>
@@ -122,6 +174,18 @@ const Dashboard: React.FC = () => {
                           </p>
                         )}
                       </div>
+                      {['FAILED', 'PARTIAL_FAILED'].includes(session.status.toUpperCase()) && (
+                        <button
+                          onClick={() => handleResume(session.sessionId)}
+                          disabled={resumingSession !== null}
+                          style={{
+                            ...styles.resumeButton,
+                            opacity: resumingSession !== null ? 0.6 : 1
+                          }}
+                        >
+                          {resumingSession === session.sessionId ? 'Resuming...' : 'Resume Import'}
+                        </button>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -147,6 +211,19 @@ const getStatusColor = (status: string): string => {
   }
 };
 
+const describeSchemaChange = (status: TableSchemaStatus): string => {
+  if (status.tableRemoved || !status.summary) {
+    return 'Table no longer exists in Airtable';
+  }
+  const { added, removed, renamed, changed } = status.summary;
+  return [
+    added && `${added} added`,
+    removed && `${removed} removed`,
+    renamed && `${renamed} renamed`,
+    changed && `${changed} changed`,
+  ].filter(Boolean).join(', ') + ` since schema version ${status.importedVersion}`;
+};
+
 const styles = {
   container: {
     minHeight: '100vh',
@@ -293,6 +370,28 @@ const styles = {
     fontSize: '14px',
     color: '#6b7280',
   },
+  resumeButton: {
+    padding: '8px 16px',
+    backgroundColor: '#3b82f6',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    fontWeight: '500',
+    cursor: 'pointer',
+  },
+  resumeMessage: {
+    fontSize: '14px',
+    color: '#374151',
+  },
+  schemaBadge: {
+    marginLeft: '6px',
+    fontSize: '11px',
+    fontWeight: '600',
+    padding: '2px 6px',
+    borderRadius: '4px',
+    color: '#92400e',
+    backgroundColor: '#fef3c7',
+  },
 };
 
 export default Dashboard;
\ No newline at end of file
@@ -1,9 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { settingsAPI, importAPI } from '../services/api';
-import { Settings, ImportSession, ImportProgress, DiscoveredTable } from '../types';
+import { Settings, ImportSession, ImportProgress, DiscoveredTable, TableCountUpdate, DeletionMode, SelectStorage, ImportPreviewResult } from '../types';
 import { socketService } from '../services/socket';
 
+// Tables are selectable while their count is pending; only failed counts are excluded
+const isTableAccessible = (table: DiscoveredTable): boolean =>
+  !table.error && (table.recordCount === null || table.recordCount >= 0);
+
 const Import: React.FC = () => {
   const [settings, setSettings] = useState<Settings | null>(null);
   const [selectedTables, setSelectedTables] = useState<string[]>([]);
@@ -13,6 +17,21 @@ const Import: React.FC = () => {
   const [currentSession, setCurrentSession] = useState<ImportSession | null>(null);
   const [progress, setProgress] = useState<Record<string, ImportProgress>>({});
   const [overwrite, setOverwrite] = useState(false);
+  const [incremental, setIncremental] = useState(false);
+  const [deletionMode, setDeletionMode] = useState<DeletionMode>('none');
+  const [foreignKeys, setForeignKeys] = useState(false);
+  const [selectStorage, setSelectStorage] = useState<SelectStorage>('text');
+  const [timeZone, setTimeZone] = useState('UTC');
+  const [localDateColumns, setLocalDateColumns] = useState(false);
+  const [downloadAttachments, setDownloadAttachments] = useState(false);
+  const [importComments, setImportComments] = useState(false);
+  const [maxRejectedRecords, setMaxRejectedRecords] = useState('');
+  const [batchSize, setBatchSize] = useState('');
+  const [concurrency, setConcurrency] = useState('');
+  const [preview, setPreview] = useState<ImportPreviewResult | null>(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [rollbackOnCancel, setRollbackOnCancel] = useState(false);
   const [error, setError] = useState('');
   const navigate = useNavigate();
 
@@ -27,8 +46,23 @@ const Import: React.FC = () => {
       }));
     });
 
+    // Record counts are computed in the background and pushed as they finish
+    socketService.connect();
+    socketService.joinDiscovery();
+    const unsubscribeCounts = socketService.onTableCount((update: TableCountUpdate) => {
+      setDiscoveredTables(prev => prev.map(table =>
+        table.id === update.tableId
+          ? { ...table, recordCount: update.recordCount, countStatus: update.countStatus, error: update.error }
+          : table
+      ));
+      if (update.countStatus === 'error') {
+        setSelectedTables(prev => prev.filter(name => name !== update.tableName));
+      }
+    });
+
     return () => {
       unsubscribe();
+      unsubscribeCounts();
     };
   }, []);
 
@@ -55,25 +89,36 @@ const Import: React.FC = () => {
 
   /**
    * Automatically discovers all tables in the Airtable base using the Metadata API.
-   * Fetches table information including names, IDs, and record counts.
-   * Replaces manual table entry with automatic discovery.
+   * Table names and IDs arrive immediately; record counts that are not cached
+   * yet arrive later over the socket connection.
+   * When refreshing, the cached base metadata is re-downloaded first so
+   * newly added tables and fields show up.
    */
-  const discoverTables = async () => {
+  const discoverTables = async (refresh: boolean = false) => {
     setDiscovering(true);
     setError('');
     setDiscoveredTables([]);
     setSelectedTables([]);
     
     try {
+      if (refresh) {
+        console.log('Refreshing cached base metadata...');
+        await importAPI.refreshMetadata();
+      }
+
       console.log('Starting automatic table discovery...');
       const result = await importAPI.discoverTables();
       
       if (result.success && result.tables.length > 0) {
         setDiscoveredTables(result.tables);
+        if (result.countsPending) {
+          // Joining again replays the counts that finished before the tables were shown
+          socketService.joinDiscovery();
+        }
         
         // Pre-select all accessible tables (those without errors)
         const accessibleTableNames = result.tables
-          .filter(table => table.recordCount >= 0 && !table.error)
+          .filter(isTableAccessible)
           .map(table => table.name);
         setSelectedTables(accessibleTableNames);
         
@@ -117,6 +162,37 @@ const Import: React.FC = () => {
     }
   };
 
+  /**
+   * Dry run of the import: shows the generated table definitions, column
+   * mapping, sample rows and predicted conversion problems. Nothing is
+   * written to the destination database.
+   */
+  const previewImport = async () => {
+    if (selectedTables.length === 0) {
+      setError('Please select at least one table to preview');
+      return;
+    }
+
+    setPreviewing(true);
+    setError('');
+
+    try {
+      const selectedTableObjects = discoveredTables.filter(table =>
+        selectedTables.includes(table.name)
+      );
+      const result = await importAPI.preview(selectedTableObjects, {
+        selectStorage,
+        timeZone: timeZone.trim() || 'UTC',
+        localDateColumns
+      });
+      setPreview(result);
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Failed to preview import');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   /**
    * Starts the import process with selected tables.
    * Sends enhanced table data including metadata for better tracking.
@@ -130,6 +206,7 @@ const Import: React.FC = () => {
     setImporting(true);
     setError('');
     setProgress({});
+    setPreview(null);
 
     try {
       // Prepare enhanced table data with metadata for import
@@ -141,7 +218,19 @@ const Import: React.FC = () => {
         selectedTableObjects.map(t => `${t.name} (${t.recordCount} records)`).join(', '));
 
       // Send both formats for backward compatibility, including overwrite flag
-      const result = await importAPI.start(selectedTables, selectedTableObjects, overwrite);
+      const result = await importAPI.start(selectedTables, selectedTableObjects, overwrite, {
+        incremental: !overwrite && incremental,
+        deletionMode: overwrite ? 'none' : deletionMode,
+        foreignKeys,
+        selectStorage,
+        timeZone: timeZone.trim() || 'UTC',
+        localDateColumns,
+        attachmentMode: downloadAttachments ? 'download' : 'metadata',
+        comments: importComments,
+        maxRejectedRecords: maxRejectedRecords.trim() === '' ? null : Math.max(0, parseInt(maxRejectedRecords, 10) || 0),
+        batchSize: batchSize.trim() === '' ? null : Math.min(10000, Math.max(1, parseInt(batchSize, 10) || 1)),
+        concurrency: concurrency.trim() === '' ? null : Math.max(1, parseInt(concurrency, 10) || 1)
+      });
       setCurrentSession(result);
       
       // Connect to socket for real-time updates
@@ -154,7 +243,26 @@ const Import: React.FC = () => {
     }
   };
 
+  /**
+   * Asks the backend to stop the running import. Tables that are still
+   * importing stop after their current page; with rollback, tables that
+   * were already replaced get their previous contents back.
+   */
+  const handleCancel = async () => {
+    if (!currentSession) return;
+    setCancelling(true);
+    setError('');
+
+    try {
+      await importAPI.cancel(currentSession.sessionId, rollbackOnCancel);
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Failed to cancel import');
+      setCancelling(false);
+    }
+  };
+
   const handleTableToggle = (tableName: string) => {
+    setPreview(null);
     setSelectedTables(prev => 
       prev.includes(tableName) 
         ? prev.filter(t => t !== tableName)
@@ -175,10 +283,14 @@ const Import: React.FC = () => {
         return '#22c55e';
       case 'error':
         return '#ef4444';
+      case 'cancelled':
+        return '#f59e0b';
       case 'running':
       case 'fetching':
       case 'creating_table':
       case 'inserting':
+      case 'syncing':
+      case 'comments':
         return '#3b82f6';
       default:
         return '#6b7280';
@@ -213,11 +325,11 @@ const Import: React.FC = () => {
           <div style={styles.setupSection}>
             <div style={styles.card}>
               <h2>Discover Tables</h2>
-              <p>Automatically discover all tables in your Airtable base with record counts.</p>
+              <p>Automatically discover all tables in your Airtable base. Record counts fill in as they are computed.</p>
               
               <div style={styles.discoveryActions}>
                 <button
-                  onClick={discoverTables}
+                  onClick={() => discoverTables(discoveredTables.length > 0)}
                   disabled={discovering}
                   style={{
                     ...styles.primaryButton,
@@ -231,7 +343,7 @@ const Import: React.FC = () => {
                 
                 {error && (
                   <button
-                    onClick={discoverTables}
+                    onClick={() => discoverTables()}
                     disabled={discovering}
                     style={{
                       ...styles.secondaryButton,
@@ -265,7 +377,7 @@ const Import: React.FC = () => {
                   <button
                     onClick={() => {
                       const accessibleTables = discoveredTables
-                        .filter(table => table.recordCount >= 0 && !table.error)
+                        .filter(isTableAccessible)
                         .map(table => table.name);
                       setSelectedTables(accessibleTables);
                     }}
@@ -299,6 +411,176 @@ const Import: React.FC = () => {
                       </span>
                     </div>
                   </label>
+                  {!overwrite && (
+                    <label style={styles.optionLabel}>
+                      <input
+                        type="checkbox"
+                        checked={incremental}
+                        onChange={(e) => setIncremental(e.target.checked)}
+                        style={styles.optionCheckbox}
+                      />
+                      <div style={styles.optionDetails}>
+                        <span style={styles.optionTitle}>Incremental sync</span>
+                        <span style={styles.optionDescription}>
+                          {incremental
+                            ? 'Fetch only records created or modified since the last import'
+                            : 'Fetch every record and upsert changes'
+                          }
+                        </span>
+                      </div>
+                    </label>
+                  )}
+                  {!overwrite && (
+                    <div style={styles.optionLabel}>
+                      <div style={styles.optionDetails}>
+                        <span style={styles.optionTitle}>Records deleted in Airtable</span>
+                        <select
+                          value={deletionMode}
+                          onChange={(e) => setDeletionMode(e.target.value as DeletionMode)}
+                          style={styles.optionSelect}
+                        >
+                          <option value="none">Keep them</option>
+                          <option value="hard">Delete them</option>
+                          <option value="tombstone">Mark them deleted (_deleted_at)</option>
+                        </select>
+                      </div>
+                    </div>
+                  )}
+                  <label style={styles.optionLabel}>
+                    <input
+                      type="checkbox"
+                      checked={foreignKeys}
+                      onChange={(e) => setForeignKeys(e.target.checked)}
+                      style={styles.optionCheckbox}
+                    />
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Foreign keys for linked records</span>
+                      <span style={styles.optionDescription}>
+                        Linked-record fields are always written to &lt;table&gt;__&lt;field&gt; junction tables;
+                        this also adds foreign keys to them once all tables are loaded (PostgreSQL only)
+                      </span>
+                    </div>
+                  </label>
+                  <div style={styles.optionLabel}>
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Select fields</span>
+                      <select
+                        value={selectStorage}
+                        onChange={(e) => setSelectStorage(e.target.value as SelectStorage)}
+                        style={styles.optionSelect}
+                      >
+                        <option value="text">Store as text</option>
+                        <option value="lookup">Also store choices in option tables</option>
+                        <option value="enum">ENUM types for single selects (PostgreSQL)</option>
+                      </select>
+                    </div>
+                  </div>
+                  <div style={styles.optionLabel}>
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Time zone</span>
+                      <input
+                        type="text"
+                        value={timeZone}
+                        onChange={(e) => setTimeZone(e.target.value)}
+                        placeholder="UTC"
+                        style={styles.optionSelect}
+                      />
+                      <span style={styles.optionDescription}>
+                        Timestamps are written with this zone's offset, e.g. Europe/Berlin
+                      </span>
+                    </div>
+                  </div>
+                  <label style={styles.optionLabel}>
+                    <input
+                      type="checkbox"
+                      checked={localDateColumns}
+                      onChange={(e) => setLocalDateColumns(e.target.checked)}
+                      style={styles.optionCheckbox}
+                    />
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Local date columns</span>
+                      <span style={styles.optionDescription}>
+                        Add a &lt;field&gt;_local_date column to every timestamp field for date-only reporting
+                      </span>
+                    </div>
+                  </label>
+                  <label style={styles.optionLabel}>
+                    <input
+                      type="checkbox"
+                      checked={downloadAttachments}
+                      onChange={(e) => setDownloadAttachments(e.target.checked)}
+                      style={styles.optionCheckbox}
+                    />
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Download attachments</span>
+                      <span style={styles.optionDescription}>
+                        Copy attachment files and thumbnails to the configured storage and point the columns at the copies; unchanged files are skipped on re-sync
+                      </span>
+                    </div>
+                  </label>
+                  <label style={styles.optionLabel}>
+                    <input
+                      type="checkbox"
+                      checked={importComments}
+                      onChange={(e) => setImportComments(e.target.checked)}
+                      style={styles.optionCheckbox}
+                    />
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Import record comments</span>
+                      <span style={styles.optionDescription}>
+                        Store the comments of every imported record in a &lt;table&gt;__comments table (one extra API request per record)
+                      </span>
+                    </div>
+                  </label>
+                  <div style={styles.optionLabel}>
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Rejected record limit</span>
+                      <input
+                        type="number"
+                        min={0}
+                        value={maxRejectedRecords}
+                        onChange={(e) => setMaxRejectedRecords(e.target.value)}
+                        placeholder="No limit"
+                        style={styles.optionSelect}
+                      />
+                      <span style={styles.optionDescription}>
+                        Records that fail to insert go to the _import_rejects table; a table fails once more than this many are rejected
+                      </span>
+                    </div>
+                  </div>
+                  <div style={styles.optionLabel}>
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Write batch size</span>
+                      <input
+                        type="number"
+                        min={1}
+                        max={10000}
+                        value={batchSize}
+                        onChange={(e) => setBatchSize(e.target.value)}
+                        placeholder="One page (100)"
+                        style={styles.optionSelect}
+                      />
+                      <span style={styles.optionDescription}>
+                        Records written per bulk insert (COPY on PostgreSQL, one transaction on SQLite); larger batches load big tables faster
+                      </span>
+                    </div>
+                  </div>
+                  <div style={styles.optionLabel}>
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Tables imported at once</span>
+                      <input
+                        type="number"
+                        min={1}
+                        value={concurrency}
+                        onChange={(e) => setConcurrency(e.target.value)}
+                        placeholder="Server default"
+                        style={styles.optionSelect}
+                      />
+                      <span style={styles.optionDescription}>
+                        Independent tables are imported in parallel; Airtable requests still share the base's rate limit
+                      </span>
+                    </div>
+                  </div>
                 </div>
                 
                 <div style={styles.tableList}>
@@ -308,13 +590,15 @@ const Import: React.FC = () => {
                         type="checkbox"
                         checked={selectedTables.includes(table.name)}
                         onChange={() => handleTableToggle(table.name)}
-                        disabled={table.recordCount < 0 || !!table.error}
+                        disabled={!isTableAccessible(table)}
                         style={styles.checkbox}
                       />
                       <div style={styles.tableInfo}>
                         <span style={styles.tableName}>{table.name}</span>
                         <div style={styles.tableDetails}>
-                          {table.recordCount >= 0 ? (
+                          {table.recordCount === null ? (
+                            <span style={styles.recordCount}>Counting records...</span>
+                          ) : table.recordCount >= 0 ? (
                             <span style={styles.recordCount}>
                               {table.recordCount.toLocaleString()} records
                             </span>
@@ -334,16 +618,130 @@ const Import: React.FC = () => {
                   ))}
                 </div>
                 
-                <button
-                  onClick={startImport}
-                  disabled={selectedTables.length === 0}
-                  style={{
-                    ...styles.primaryButton,
-                    opacity: selectedTables.length === 0 ? 0.6 : 1,
-                    cursor: selectedTables.length === 0 ? 'not-allowed' : 'pointer',
-                  }}
-                >
-                  Start Import ({selectedTables.length} tables)
+                <div style={styles.discoveryActions}>
+                  <button
+                    onClick={startImport}
+                    disabled={selectedTables.length === 0}
+                    style={{
+                      ...styles.primaryButton,
+                      opacity: selectedTables.length === 0 ? 0.6 : 1,
+                      cursor: selectedTables.length === 0 ? 'not-allowed' : 'pointer',
+                    }}
+                  >
+                    Start Import ({selectedTables.length} tables)
+                  </button>
+                  <button
+                    onClick={previewImport}
+                    disabled={selectedTables.length === 0 || previewing}
+                    style={{
+                      ...styles.secondaryButton,
+                      marginLeft: '8px',
+                      opacity: selectedTables.length === 0 || previewing ? 0.6 : 1,
+                      cursor: selectedTables.length === 0 || previewing ? 'not-allowed' : 'pointer',
+                    }}
+                  >
+                    {previewing ? 'Building Preview...' : 'Preview Import'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {preview && (
+              <div style={styles.card}>
+                <h2>Import Preview</h2>
+                <p>
+                  Dry run against your {preview.dbType === 'postgresql' ? 'PostgreSQL' : 'SQLite'} database
+                  settings. Nothing has been written yet.
+                </p>
+
+                {preview.tables.map((table) => (
+                  <div key={table.tableName} style={styles.previewTable}>
+                    <h3 style={styles.previewTitle}>
+                      {table.tableName}
+                      {table.destinationTable && table.destinationTable !== table.tableName && (
+                        <span style={styles.previewDestination}> → {table.destinationTable}</span>
+                      )}
+                    </h3>
+
+                    {!table.success ? (
+                      <div style={styles.error}>{table.error}</div>
+                    ) : (
+                      <>
+                        {table.problems && table.problems.length > 0 ? (
+                          <ul style={styles.previewProblems}>
+                            {table.problems.map((problem) => (
+                              <li key={`${problem.field}:${problem.problem}`}>
+                                <strong>{problem.field}</strong>: {problem.message}
+                                {problem.count !== undefined && ` (${problem.count} of ${table.sampleSize} sampled records)`}
+                                {problem.values && `: ${problem.values.join(', ')}`}
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <p style={styles.previewOk}>No conversion problems found in the sampled records.</p>
+                        )}
+
+                        <details>
+                          <summary style={styles.previewSummary}>Column mapping ({table.columns?.length} columns)</summary>
+                          <table style={styles.previewGrid}>
+                            <thead>
+                              <tr>
+                                <th style={styles.previewCell}>Column</th>
+                                <th style={styles.previewCell}>Airtable type</th>
+                                <th style={styles.previewCell}>Database type</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {table.columns?.map((column) => (
+                                <tr key={column.name}>
+                                  <td style={styles.previewCell}>{column.name}</td>
+                                  <td style={styles.previewCell}>{column.airtableType}</td>
+                                  <td style={styles.previewCell}>{column.databaseType}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </details>
+
+                        <details>
+                          <summary style={styles.previewSummary}>Sample rows ({table.sampleSize})</summary>
+                          <div style={styles.previewScroll}>
+                            <table style={styles.previewGrid}>
+                              <thead>
+                                <tr>
+                                  {table.rows && table.rows.length > 0 && Object.keys(table.rows[0]).map((column) => (
+                                    <th key={column} style={styles.previewCell}>{column}</th>
+                                  ))}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {table.rows?.map((row) => (
+                                  <tr key={String(row.airtable_id)}>
+                                    {Object.keys(table.rows![0]).map((column) => (
+                                      <td key={column} style={styles.previewCell}>
+                                        {row[column] === null || row[column] === undefined
+                                          ? 'NULL'
+                                          : typeof row[column] === 'object' ? JSON.stringify(row[column]) : String(row[column])}
+                                      </td>
+                                    ))}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </details>
+
+                        <details>
+                          <summary style={styles.previewSummary}>CREATE TABLE statement</summary>
+                          <pre style={styles.previewDdl}>{table.ddl}</pre>
+                        </details>
+                      </>
+                    )}
+                  </div>
+                ))}
+
+                <button onClick={() => setPreview(null)} style={styles.secondaryButton}>
+                  Close Preview
                 </button>
               </div>
             )}
@@ -388,6 +786,16 @@ const Import: React.FC = () => {
                         {tableProgress?.message && (
                           <span style={styles.progressMessage}>{tableProgress.message}</span>
                         )}
+                        {!!tableProgress?.rejectedRecords && (
+                          <span style={styles.progressRejected}>
+                            {tableProgress.rejectedRecords} rejected {tableProgress.rejectedRecords === 1 ? 'record' : 'records'}
+                          </span>
+                        )}
+                        {!!tableProgress?.retries && (
+                          <span style={styles.progressRetries}>
+                            {tableProgress.retries} rate-limit {tableProgress.retries === 1 ? 'retry' : 'retries'}
+                          </span>
+                        )}
                         {tableProgress?.error && (
                           <span style={styles.progressError}>{tableProgress.error}</span>
                         )}
@@ -397,7 +805,37 @@ const Import: React.FC = () => {
                 })}
               </div>
               
-              {Object.values(progress).every(p => p.status === 'completed' || p.status === 'error') && (
+              {!Object.values(progress).every(p => p.status === 'completed' || p.status === 'cancelled' || p.status === 'error') && (
+                <div style={styles.cancelActions}>
+                  <label style={styles.optionLabel}>
+                    <input
+                      type="checkbox"
+                      checked={rollbackOnCancel}
+                      onChange={(e) => setRollbackOnCancel(e.target.checked)}
+                      disabled={cancelling}
+                      style={styles.optionCheckbox}
+                    />
+                    <div style={styles.optionDetails}>
+                      <span style={styles.optionTitle}>Roll back completed tables</span>
+                      <span style={styles.optionDescription}>
+                        Restore the previous contents of tables this import already replaced; tables synced in place keep their changes
+                      </span>
+                    </div>
+                  </label>
+                  <button
+                    onClick={handleCancel}
+                    disabled={cancelling}
+                    style={{
+                      ...styles.secondaryButton,
+                      opacity: cancelling ? 0.6 : 1
+                    }}
+                  >
+                    {cancelling ? 'Cancelling...' : 'Cancel Import'}
+                  </button>
+                </div>
+              )}
+
+              {Object.values(progress).every(p => p.status === 'completed' || p.status === 'cancelled' || p.status === 'error') && (
                 <div style={styles.completionActions}>
                   <button
                     onClick={() => navigate('/dashboard')}
@@ -410,6 +848,7 @@ const Import: React.FC = () => {
                       setImporting(false);
                       setCurrentSession(null);
                       setProgress({});
+                      setCancelling(false);
                       setDiscoveredTables([]);
                       setSelectedTables([]);
                       setError('');
@@ -616,6 +1055,20 @@ const styles = {
   progressError: {
     color: '#dc2626',
   },
+  progressRetries: {
+    color: '#d97706',
+  },
+  progressRejected: {
+    color: '#b45309',
+    fontWeight: '500',
+  },
+  cancelActions: {
+    display: 'flex',
+    gap: '12px',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: '16px',
+  },
   completionActions: {
     display: 'flex',
     gap: '12px',
@@ -673,6 +1126,9 @@ const styles = {
     borderRadius: '8px',
     padding: '16px',
     marginBottom: '16px',
+    display: 'flex',
+    flexDirection: 'column' as const,
+    gap: '12px',
   },
   optionLabel: {
     display: 'flex',
@@ -701,6 +1157,68 @@ const styles = {
     color: '#6b7280',
     lineHeight: '1.4',
   },
+  previewTable: {
+    borderTop: '1px solid #e5e7eb',
+    padding: '16px 0',
+  },
+  previewTitle: {
+    margin: '0 0 8px 0',
+    fontSize: '16px',
+    color: '#111827',
+  },
+  previewDestination: {
+    fontWeight: '400',
+    color: '#6b7280',
+  },
+  previewProblems: {
+    margin: '0 0 8px 0',
+    paddingLeft: '20px',
+    fontSize: '14px',
+    color: '#92400e',
+  },
+  previewOk: {
+    fontSize: '14px',
+    color: '#16a34a',
+  },
+  previewSummary: {
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: '#374151',
+    margin: '8px 0',
+  },
+  previewScroll: {
+    overflowX: 'auto' as const,
+  },
+  previewGrid: {
+    borderCollapse: 'collapse' as const,
+    fontSize: '12px',
+    width: '100%',
+  },
+  previewCell: {
+    border: '1px solid #e5e7eb',
+    padding: '4px 8px',
+    textAlign: 'left' as const,
+    whiteSpace: 'nowrap' as const,
+    maxWidth: '240px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+  previewDdl: {
+    backgroundColor: '#f3f4f6',
+    padding: '12px',
+    borderRadius: '6px',
+    fontSize: '12px',
+    overflowX: 'auto' as const,
+  },
+  optionSelect: {
+    marginTop: '4px',
+    padding: '6px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '14px',
+    backgroundColor: 'white',
+  },
 };
 
 export default Import;
\ No newline at end of file
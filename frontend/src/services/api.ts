@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { AuthResponse, Settings, ConnectionTestResult, ImportSession, TableTestResult, DiscoverTablesResult, DiscoveredTable } from '../types';
+import { AuthResponse, Settings, ConnectionTestResult, ImportSession, TableTestResult, DiscoverTablesResult, ImportOptions, ImportTableRequest, SchemaStatusResult, SchemaVersion, SchemaDiffResult, ImportPreviewResult, CancelImportResult, ResumeImportResult } from '../types';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
@@ -90,7 +90,7 @@ export const settingsAPI = {
 };
 
 export const importAPI = {
-  start: async (tableNames: string[], tables?: DiscoveredTable[], overwrite?: boolean) => {
+  start: async (tableNames: string[], tables?: ImportTableRequest[], overwrite?: boolean, options?: ImportOptions) => {
     const payload: any = { tableNames };
     if (tables && tables.length > 0) {
       payload.tables = tables;
@@ -98,15 +98,76 @@ export const importAPI = {
     if (overwrite !== undefined) {
       payload.overwrite = overwrite;
     }
+    if (options?.incremental !== undefined) {
+      payload.incremental = options.incremental;
+    }
+    if (options?.deletionMode !== undefined) {
+      payload.deletionMode = options.deletionMode;
+    }
+    if (options?.foreignKeys !== undefined) {
+      payload.foreignKeys = options.foreignKeys;
+    }
+    if (options?.selectStorage !== undefined) {
+      payload.selectStorage = options.selectStorage;
+    }
+    if (options?.timeZone !== undefined) {
+      payload.timeZone = options.timeZone;
+    }
+    if (options?.localDateColumns !== undefined) {
+      payload.localDateColumns = options.localDateColumns;
+    }
+    if (options?.attachmentMode !== undefined) {
+      payload.attachmentMode = options.attachmentMode;
+    }
+    if (options?.comments !== undefined) {
+      payload.comments = options.comments;
+    }
+    if (options?.maxRejectedRecords !== undefined) {
+      payload.maxRejectedRecords = options.maxRejectedRecords;
+    }
+    if (options?.batchSize !== undefined) {
+      payload.batchSize = options.batchSize;
+    }
+    if (options?.concurrency !== undefined) {
+      payload.concurrency = options.concurrency;
+    }
     const response = await api.post('/import/start', payload);
     return response.data;
   },
 
+  preview: async (tables: ImportTableRequest[], options?: Pick<ImportOptions, 'selectStorage' | 'timeZone' | 'localDateColumns'>, sampleSize?: number): Promise<ImportPreviewResult> => {
+    const payload: any = { tables };
+    if (sampleSize !== undefined) {
+      payload.sampleSize = sampleSize;
+    }
+    if (options?.selectStorage !== undefined) {
+      payload.selectStorage = options.selectStorage;
+    }
+    if (options?.timeZone !== undefined) {
+      payload.timeZone = options.timeZone;
+    }
+    if (options?.localDateColumns !== undefined) {
+      payload.localDateColumns = options.localDateColumns;
+    }
+    const response = await api.post('/import/preview', payload);
+    return response.data;
+  },
+
   getStatus: async (sessionId: string): Promise<ImportSession> => {
     const response = await api.get(`/import/status/${sessionId}`);
     return response.data;
   },
 
+  cancel: async (sessionId: string, rollback: boolean = false): Promise<CancelImportResult> => {
+    const response = await api.post(`/import/sessions/${sessionId}/cancel`, { rollback });
+    return response.data;
+  },
+
+  resume: async (sessionId: string): Promise<ResumeImportResult> => {
+    const response = await api.post(`/import/sessions/${sessionId}/resume`);
+    return response.data;
+  },
+
   getSessions: async (): Promise<ImportSession[]> => {
     const response = await api.get('/import/sessions');
     return response.data;
@@ -121,6 +182,26 @@ export const importAPI = {
     const response = await api.get('/import/discover-tables');
     return response.data;
   },
+
+  refreshMetadata: async (): Promise<{ success: boolean; tablesFound: number; refreshedAt: string }> => {
+    const response = await api.post('/import/metadata/refresh');
+    return response.data;
+  },
+
+  getSchemaStatus: async (): Promise<SchemaStatusResult> => {
+    const response = await api.get('/import/schemas/status');
+    return response.data;
+  },
+
+  getSchemaVersions: async (airtableTableId: string): Promise<{ success: boolean; versions: SchemaVersion[] }> => {
+    const response = await api.get(`/import/schemas/${airtableTableId}/versions`);
+    return response.data;
+  },
+
+  diffSchemaVersions: async (airtableTableId: string, from?: number, to?: number): Promise<SchemaDiffResult> => {
+    const response = await api.get(`/import/schemas/${airtableTableId}/diff`, { params: { from, to } });
+    return response.data;
+  },
 };
 
 export default api;
\ No newline at end of file
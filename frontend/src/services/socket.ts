@@ -1,11 +1,16 @@
 import { io, Socket } from 'socket.io-client';
-import { ImportProgress } from '../types';
+import { ImportProgress, TableCountUpdate } from '../types';
 
 class SocketService {
   private socket: Socket | null = null;
   private progressCallbacks = new Set<(progress: ImportProgress) => void>();
+  private tableCountCallbacks = new Set<(update: TableCountUpdate) => void>();
 
   connect() {
+    if (this.socket) {
+      return this.socket;
+    }
+
     const socketUrl = process.env.REACT_APP_SOCKET_URL || 'http://localhost:3001';
     
     this.socket = io(socketUrl, {
@@ -27,6 +32,12 @@ class SocketService {
       });
     });
 
+    this.socket.on('table-count', (data: TableCountUpdate) => {
+      this.tableCountCallbacks.forEach(callback => {
+        callback(data);
+      });
+    });
+
     this.socket.on('error', (error) => {
       console.error('Socket error:', error);
     });
@@ -40,6 +51,7 @@ class SocketService {
       this.socket = null;
     }
     this.progressCallbacks.clear();
+    this.tableCountCallbacks.clear();
   }
 
   joinSession(sessionId: string) {
@@ -62,6 +74,31 @@ class SocketService {
     });
   }
 
+  joinDiscovery() {
+    if (!this.socket) {
+      console.error('Socket not connected');
+      return;
+    }
+
+    const token = localStorage.getItem('token');
+    if (!token) {
+      console.error('No token available');
+      return;
+    }
+
+    // Join the user's discovery room for background record counts
+    this.socket.emit('join-discovery', { token });
+  }
+
+  onTableCount(callback: (update: TableCountUpdate) => void) {
+    this.tableCountCallbacks.add(callback);
+
+    // Return unsubscribe function
+    return () => {
+      this.tableCountCallbacks.delete(callback);
+    };
+  }
+
   onProgressUpdate(callback: (progress: ImportProgress) => void) {
     this.progressCallbacks.add(callback);
     
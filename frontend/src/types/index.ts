@@ -37,10 +37,12 @@ export interface ConnectionTestResult {
 
 export interface ImportProgress {
   table: string;
-  status: 'starting' | 'fetching' | 'creating_table' | 'inserting' | 'completed' | 'error';
+  status: 'starting' | 'fetching' | 'creating_table' | 'inserting' | 'syncing' | 'comments' | 'completed' | 'cancelled' | 'error';
   message?: string;
   recordsProcessed?: number;
   totalRecords?: number;
+  retries?: number;
+  rejectedRecords?: number; // Records written to _import_rejects instead of the table
   error?: string;
 }
 
@@ -54,11 +56,26 @@ export interface ImportSession {
   error?: string;
 }
 
+export interface ResumeImportResult {
+  sessionId: string;
+  message: string;
+  tableNames: string[];
+  checkpoints: Array<{ tableName: string; checkpointRows: number }>; // Records each table continues after
+  status: 'PENDING';
+}
+
+export interface CancelImportResult {
+  sessionId: string;
+  status: 'CANCELLING' | 'CANCELLED';
+  rollback: boolean;
+}
+
 export interface ImportResult {
   tableName: string;
   success: boolean;
   recordsImported: number;
   totalRecords?: number;
+  rejectedRecords?: number;
   error?: string;
 }
 
@@ -73,14 +90,146 @@ export interface TableTestResult {
 export interface DiscoveredTable {
   id: string;
   name: string;
-  recordCount: number;
+  recordCount: number | null; // null while the count is still being computed, -1 when unknown
+  countStatus?: 'pending' | 'cached' | 'counted' | 'error';
   description?: string | null;
   error?: string;
 }
 
+export interface TableSelection {
+  fields?: string[]; // Field names or IDs; the created table only gets these columns
+  view?: string;
+  filterByFormula?: string;
+  sort?: { field: string; direction?: 'asc' | 'desc' }[];
+  maxRecords?: number;
+}
+
+export type ImportTableRequest = DiscoveredTable & TableSelection;
+
+export type DeletionMode = 'none' | 'hard' | 'tombstone';
+
+export type SelectStorage = 'text' | 'lookup' | 'enum';
+
+export type AttachmentMode = 'metadata' | 'download';
+
+export interface ImportOptions {
+  incremental?: boolean;
+  deletionMode?: DeletionMode;
+  foreignKeys?: boolean;
+  selectStorage?: SelectStorage;
+  timeZone?: string; // IANA zone timestamps are written in, e.g. 'Europe/Berlin'
+  localDateColumns?: boolean;
+  attachmentMode?: AttachmentMode;
+  comments?: boolean; // Also import record comments into <table>__comments
+  maxRejectedRecords?: number | null; // Rejected records allowed per table before it fails; null for no limit
+  batchSize?: number | null; // Records per bulk write; null writes one Airtable page at a time
+  concurrency?: number | null; // Tables imported at once; null for the server default
+}
+
 export interface DiscoverTablesResult {
   success: boolean;
   tables: DiscoveredTable[];
+  countsPending?: number;
   message: string;
   error?: string;
-}
\ No newline at end of file
+}
+
+export interface TableCountUpdate {
+  baseId: string;
+  tableId: string;
+  tableName: string;
+  recordCount: number;
+  countStatus: 'counted' | 'error';
+  error?: string;
+}
+
+export interface SchemaDiffSummary {
+  added: number;
+  removed: number;
+  renamed: number;
+  changed: number;
+}
+
+export interface TableSchemaStatus {
+  airtableTableId: string;
+  tableName: string;
+  importedTableName: string; // Airtable table name at the time of the import
+  importedVersion: number;
+  importedAt: string;
+  tableRemoved: boolean;
+  changed: boolean; // Schema changed since the last import
+  summary: SchemaDiffSummary | null;
+}
+
+export interface SchemaStatusResult {
+  success: boolean;
+  baseId: string;
+  tables: TableSchemaStatus[];
+}
+
+export interface SchemaVersion {
+  version: number;
+  tableName: string;
+  fieldCount: number;
+  fieldsHash: string | null;
+  createdAt: string;
+  lastSeenAt: string;
+}
+
+export interface SchemaFieldChange {
+  id: string;
+  name: string;
+  changes: { property: 'type' | 'options' | 'description'; from: unknown; to: unknown }[];
+}
+
+export interface SchemaDiffResult {
+  success: boolean;
+  airtableTableId: string;
+  from: { version: number; tableName: string; createdAt: string };
+  to: { version: number; tableName: string; createdAt: string };
+  changed: boolean;
+  diff: {
+    added: { id: string; name: string; type: string }[];
+    removed: { id: string; name: string; type: string }[];
+    renamed: { id: string; from: string; to: string }[];
+    changed: SchemaFieldChange[];
+  };
+}
+
+export interface ImportPreviewColumn {
+  name: string;
+  field: string; // Airtable field the column is filled from
+  fieldId: string | null;
+  airtableType: string;
+  type: string; // Abstract column type, e.g. NUMERIC(38,2) or TIMESTAMPTZ
+  databaseType: string; // Type in the destination dialect
+}
+
+export interface ImportPreviewProblem {
+  field: string;
+  problem: 'unknown_field_type' | 'error_cells' | 'rounded_values' | 'non_integer_values' | 'unknown_select_values';
+  message: string;
+  count?: number;
+  recordIds?: string[];
+  values?: string[];
+}
+
+export interface TablePreview {
+  tableName: string;
+  success: boolean;
+  destinationTable?: string;
+  dbType?: 'sqlite' | 'postgresql';
+  sampleSize?: number;
+  ddl?: string;
+  columns?: ImportPreviewColumn[];
+  rows?: Record<string, unknown>[];
+  problems?: ImportPreviewProblem[];
+  error?: string;
+}
+
+export interface ImportPreviewResult {
+  success: boolean;
+  dbType: 'sqlite' | 'postgresql';
+  tables: TablePreview[];
+}
+